@@ -0,0 +1,110 @@
+/**
+ * Benchmark of the live object over large documents
+ * Run with: npm run bench (node --expose-gc for stable memory numbers)
+ */
+const LiveJSON = require('../index')
+
+const KEYS = 100000
+const ITEMS = 10000
+
+/**
+ * Run a function and print its duration and the memory it kept
+ * @param {String} name
+ * @param {Function} fn
+ */
+function bench(name, fn) {
+    if (global.gc) {
+        global.gc()
+    }
+    let heap = process.memoryUsage().heapUsed
+    let start = process.hrtime.bigint()
+    let ops = fn()
+    let ms = Number(process.hrtime.bigint() - start) / 1e6
+    let kept = (process.memoryUsage().heapUsed - heap) / 1024 / 1024
+    console.log(`${name.padEnd(56)} ${ms.toFixed(1).padStart(9)} ms ${(ops / ms * 1000).toFixed(0).padStart(11)} ops/s ${kept.toFixed(1).padStart(8)} MB`)
+}
+
+function createDocument() {
+    let data = { keys: {}, items: [] }
+    for (let i = 0; i < KEYS; i++) {
+        data.keys['key' + i] = { value: i, label: 'Key ' + i }
+    }
+    for (let i = 0; i < ITEMS; i++) {
+        data.items.push({ id: i })
+    }
+    return data
+}
+
+let config = new LiveJSON(createDocument(), { history: 0 })
+let $ = config.$
+let names = Object.keys(config.get().keys)
+
+console.log(`${KEYS} keys, ${ITEMS} items`)
+bench(`read ${KEYS} nested values`, () => {
+    let sum = 0
+    names.forEach((name) => {
+        sum += $.keys[name].value
+    })
+    return names.length
+})
+bench(`read ${KEYS} nested values again`, () => {
+    names.forEach((name) => {
+        $.keys[name].label.length
+    })
+    return names.length
+})
+bench(`write ${KEYS} nested values`, () => {
+    names.forEach((name, i) => {
+        $.keys[name].value = i + 1
+    })
+    return names.length
+})
+bench(`push ${ITEMS} items`, () => {
+    for (let i = 0; i < ITEMS; i++) {
+        $.items.push({ id: ITEMS + i })
+    }
+    return ITEMS
+})
+bench(`read ${ITEMS * 2} items`, () => {
+    let items = $.items
+    let sum = 0
+    for (let i = 0; i < items.length; i++) {
+        sum += items[i].id
+    }
+    return items.length
+})
+bench('splice 1000 items in the middle', () => {
+    for (let i = 0; i < 1000; i++) {
+        $.items.splice(ITEMS, 1, { id: -i })
+    }
+    return 1000
+})
+bench('unshift and shift 1000 items', () => {
+    for (let i = 0; i < 1000; i++) {
+        $.items.unshift({ id: -i })
+        $.items.shift()
+    }
+    return 2000
+})
+bench(`pop ${ITEMS} items`, () => {
+    for (let i = 0; i < ITEMS; i++) {
+        $.items.pop()
+    }
+    return ITEMS
+})
+bench(`write a value in the last of ${ITEMS} items after a shift`, () => {
+    let last = $.items[$.items.length - 1]
+    $.items.shift()
+    for (let i = 0; i < 1000; i++) {
+        last.id = i
+    }
+    return 1000
+})
+bench(`transaction of ${KEYS} writes`, () => {
+    config.transaction(($) => {
+        names.forEach((name, i) => {
+            $.keys[name].value = i
+        })
+    })
+    return names.length
+})
@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+const fs = require('fs')
+const path = require('path')
+const LiveJSON = require('../index')
+const jsonPath = require('../lib/path')
+const codecs = require('../lib/codecs')
+const schema = require('../lib/schema')
+const { isObject } = require('../lib/util')
+
+/**
+ * livejson command-line tool: read and change the files through LiveJSON, with the same formatting and change semantics
+ */
+
+const USAGE = `Usage: livejson <command> <file> [arguments] [options]
+
+Commands:
+  get <file> [path]                 Print a value (the whole document without path)
+  set <file> <path> <json-value>    Change a value, the missing parents are created
+  del <file> <path>                 Remove a value
+  merge <file> <patch>              Apply a JSON Merge Patch (an object) or a JSON Patch (an array) read from a file
+  validate <file> --schema <file>   Check the file against a JSON Schema
+  watch <file> [path]               Print the change and propchange events as NDJSON, until interrupted
+
+Options:
+  --schema <file>     JSON Schema the changes must respect
+  --spacer <n>        Indentation of the written file (default: the one of the file, or 2)
+  --encoding <name>   Encoding of the file
+  --codec <name>      json, jsonc, json5, yaml, toml or env (default: from the extension)
+  --lock              Lock the file while writing it, for the processes using the lock option
+  --poll              Poll the file instead of watching it (watch)
+  --raw               Print strings without quotes (get)
+  -h, --help          Show this help
+
+Exit codes:
+  0 success, 1 other error, 2 invalid usage, 3 parse error, 4 permission error, 5 validation error, 6 path or file not found`
+
+const EXIT = {
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    PARSE: 3,
+    PERMISSION: 4,
+    VALIDATION: 5,
+    NOT_FOUND: 6
+}
+
+const FLAGS = ['lock', 'poll', 'raw', 'help']
+
+/**
+ * Error with the exit code of the command
+ */
+class CommandError extends Error {
+    constructor(message, exitCode) {
+        super(message)
+        this.exitCode = exitCode
+    }
+}
+
+/**
+ * Split the arguments into positional arguments and options
+ * @param {Array} argv
+ * @returns {Object} { args, options }
+ */
+function parseArgs(argv) {
+    let args = []
+    let options = {}
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i]
+        if (arg === '-h') {
+            arg = '--help'
+        }
+        if (arg.indexOf('--') !== 0 || arg === '--') {
+            args.push(arg)
+            continue
+        }
+        let name = arg.substr(2)
+        let value = true
+        let equal = name.indexOf('=')
+        if (equal !== -1) {
+            value = name.substr(equal + 1)
+            name = name.substr(0, equal)
+        } else if (FLAGS.indexOf(name) === -1) {
+            if (i + 1 >= argv.length) {
+                throw new CommandError(`Missing value for --${name}`, EXIT.USAGE)
+            }
+            value = argv[++i]
+        }
+        options[name] = value
+    }
+    return { args, options }
+}
+
+/**
+ * Get the exit code of an error
+ * @param {Error} err
+ */
+function exitCode(err) {
+    if (err.exitCode !== undefined) {
+        return err.exitCode
+    }
+    if (err instanceof LiveJSON.ValidationError) {
+        return EXIT.VALIDATION
+    }
+    let code = err.code || (err.originalError && err.originalError.code)
+    if (['EACCES', 'EPERM', 'EROFS'].indexOf(code) !== -1) {
+        return EXIT.PERMISSION
+    }
+    if (code === 'ENOENT') {
+        return EXIT.NOT_FOUND
+    }
+    return EXIT.ERROR
+}
+
+/**
+ * Read a document given as an argument, like a schema or a patch
+ * @param {String} file
+ */
+function readDocument(file) {
+    let text
+    try {
+        text = fs.readFileSync(file, 'utf8')
+    } catch (e) {
+        throw new CommandError(`Couldn't read ${file}: ${e.message}`, exitCode(e))
+    }
+    try {
+        return codecs.forFile(file).parse(text)
+    } catch (e) {
+        throw new CommandError(`Couldn't parse ${file}: ${e.message}`, EXIT.PARSE)
+    }
+}
+
+/**
+ * Find the indentation of a file, to write it back the same way
+ * @param {String} file
+ * @returns {Number|String} the number of spaces, a tab, or null if the file isn't indented
+ */
+function detectSpacer(file) {
+    let match
+    try {
+        match = /\n([ \t]+)\S/.exec(fs.readFileSync(file, 'utf8'))
+    } catch (e) {
+        return null
+    }
+    if (!match) {
+        return null
+    }
+    return match[1][0] === '\t' ? '\t' : match[1].length
+}
+
+/**
+ * Open a file with LiveJSON, failing with the right exit code if it can't be read
+ * @param {String} file
+ * @param {Object} options the command options
+ * @param {Object} [overrides] other LiveJSON options
+ * @returns {Promise<LiveJSON>}
+ */
+function open(file, options, overrides) {
+    let stat = null
+    try {
+        stat = fs.statSync(file)
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            return Promise.reject(e)
+        }
+    }
+    if (stat && stat.isDirectory()) {
+        return Promise.reject(new CommandError(`${file} is a directory`, EXIT.USAGE))
+    }
+    let spacer = options.spacer !== undefined ? Number(options.spacer) : detectSpacer(file)
+    if (spacer === null || Number.isNaN(spacer)) {
+        spacer = 2
+    }
+    let live
+    try {
+        live = new LiveJSON({}, Object.assign({
+            // Relative to the current directory, not to the module creating the LiveJSON
+            file: path.resolve(process.cwd(), file),
+            spacer: spacer,
+            encoding: options.encoding || null,
+            codec: options.codec || null,
+            schema: options.schema ? readDocument(options.schema) : null,
+            lock: !!options.lock,
+            autoload: false,
+            history: 0
+        }, overrides))
+    } catch (e) {
+        return Promise.reject(e.exitCode !== undefined ? e : new CommandError(e.message, EXIT.USAGE))
+    }
+    let errors = []
+    let invalid = null
+    live.on('error', (err) => errors.push(err))
+    // The data isn't loaded, it must not be written
+    live.on('invalid', (e) => {
+        invalid = invalid || e
+    })
+    return live.ready.then(() => {
+        live.removeAllListeners('error')
+        live.removeAllListeners('invalid')
+        let err = null
+        if (errors.length) {
+            // The file couldn't be parsed or decrypted
+            err = new CommandError(errors[0].message, live._unreadable ? EXIT.PARSE : exitCode(errors[0]))
+        } else if (invalid) {
+            err = new CommandError(`${file} is invalid: ${schema.formatErrors(invalid.errors)}`, EXIT.VALIDATION)
+        }
+        if (err) {
+            return live.close().then(() => {
+                throw err
+            })
+        }
+        return live
+    })
+}
+
+/**
+ * Check that a file exists, for the commands reading it
+ * @param {String} file
+ */
+function mustExist(file) {
+    if (!fs.existsSync(file)) {
+        throw new CommandError(`File ${file} doesn't exist`, EXIT.NOT_FOUND)
+    }
+}
+
+/**
+ * Parse a path argument
+ * @param {String} path
+ */
+function parsePath(path) {
+    try {
+        return jsonPath.parse(path)
+    } catch (e) {
+        throw new CommandError(`Invalid path "${path}": ${e.message}`, EXIT.USAGE)
+    }
+}
+
+/**
+ * Get a value through the live object
+ * @param {LiveJSON} live
+ * @param {Array} segments
+ * @returns {*} the value, undefined if it doesn't exist
+ */
+function lookup(live, segments) {
+    return segments.reduce((value, name) => (typeof value === 'object' && value !== null ? value[name] : undefined), live.$)
+}
+
+const commands = {
+    get(file, path, options) {
+        mustExist(file)
+        // Reading only, nothing must be written
+        return open(file, options, { autosave: false }).then((live) => {
+            let value = lookup(live, parsePath(path))
+            return live.close().then(() => {
+                if (value === undefined) {
+                    throw new CommandError(`${path} doesn't exist in ${file}`, EXIT.NOT_FOUND)
+                }
+                console.log(options.raw && typeof value === 'string' ? value : JSON.stringify(value, null, live.options.spacer))
+            })
+        })
+    },
+
+    set(file, path, text, options) {
+        if (path === undefined || text === undefined) {
+            throw new CommandError('Usage: livejson set <file> <path> <json-value>', EXIT.USAGE)
+        }
+        let value
+        try {
+            value = JSON.parse(text)
+        } catch (e) {
+            throw new CommandError(`Invalid JSON value ${text}: strings must be quoted, like '"${text}"'`, EXIT.USAGE)
+        }
+        let segments = parsePath(path)
+        return open(file, options).then((live) => {
+            return change(live, () => {
+                if (!segments.length) {
+                    return live.set(value)
+                }
+                let parent = live.$
+                segments.slice(0, -1).forEach((name) => {
+                    if (typeof parent[name] !== 'object' || parent[name] === null) {
+                        parent[name] = {}
+                    }
+                    parent = parent[name]
+                })
+                parent[segments[segments.length - 1]] = value
+            })
+        })
+    },
+
+    del(file, path, options) {
+        if (path === undefined) {
+            throw new CommandError('Usage: livejson del <file> <path>', EXIT.USAGE)
+        }
+        mustExist(file)
+        let segments = parsePath(path)
+        if (!segments.length) {
+            throw new CommandError('The whole document can\'t be removed', EXIT.USAGE)
+        }
+        return open(file, options).then((live) => {
+            let parent = lookup(live, segments.slice(0, -1))
+            let name = segments[segments.length - 1]
+            if (typeof parent !== 'object' || parent === null || !Object.prototype.hasOwnProperty.call(parent, name)) {
+                return live.close().then(() => {
+                    throw new CommandError(`${path} doesn't exist in ${file}`, EXIT.NOT_FOUND)
+                })
+            }
+            return change(live, () => {
+                if (Array.isArray(parent)) {
+                    parent.splice(Number(name), 1)
+                } else {
+                    delete parent[name]
+                }
+            })
+        })
+    },
+
+    merge(file, patchFile, options) {
+        if (patchFile === undefined) {
+            throw new CommandError('Usage: livejson merge <file> <patch>', EXIT.USAGE)
+        }
+        let patch = readDocument(patchFile)
+        return open(file, options).then((live) => {
+            return change(live, () => {
+                if (Array.isArray(patch)) {
+                    return live.applyPatch(patch)
+                }
+                if (!isObject(patch) || !isObject(live.$)) {
+                    return live.set(patch)
+                }
+                mergePatch(live.$, patch)
+            })
+        })
+    },
+
+    validate(file, options) {
+        if (!options.schema || options.schema === true) {
+            throw new CommandError('Usage: livejson validate <file> --schema <file>', EXIT.USAGE)
+        }
+        mustExist(file)
+        let errors = []
+        // An invalid file is reported with 'invalid', and not loaded
+        let check = Object.assign({}, options, { schema: null })
+        return open(file, check, { autosave: false }).then((live) => {
+            errors = schema.validate(readDocument(options.schema), JSON.parse(JSON.stringify(live.$)))
+            return live.close()
+        }).then(() => {
+            if (errors.length) {
+                errors.forEach((e) => console.error(`${e.path || '(root)'} ${e.message}`))
+                throw new CommandError(`${file} is invalid`, EXIT.VALIDATION)
+            }
+            console.log(`${file} is valid`)
+        })
+    },
+
+    watch(file, path, options) {
+        let segments = parsePath(path)
+        let overlaps = (other) => jsonPath.isPrefix(segments, other) || jsonPath.isPrefix(other, segments)
+        return open(file, options, { autoload: true, autosave: false, watcher: options.poll ? 'poll' : 'auto' }).then((live) => {
+            let print = (e) => {
+                try {
+                    // A change of the whole document is printed when one of its changes is on the path
+                    let paths = e.fullname !== null && e.fullname !== undefined ? [e.segments] : (e.changes || []).map((change) => change.segments)
+                    if (!segments.length || paths.some(overlaps)) {
+                        process.stdout.write(JSON.stringify(e) + '\n')
+                    }
+                } catch (err) {
+                    // A change that can't be printed doesn't stop the watch
+                    console.error(`Couldn't print a change of ${file}: ${err.message}`)
+                }
+            }
+            live.on('change', print)
+            live.on('propchange', print)
+            live.on('error', (err) => console.error(err.message))
+            return new Promise((resolve) => {
+                let stop = () => {
+                    process.removeListener('SIGINT', stop)
+                    process.removeListener('SIGTERM', stop)
+                    live.close().then(resolve, resolve)
+                }
+                process.on('SIGINT', stop)
+                process.on('SIGTERM', stop)
+            })
+        })
+    }
+}
+
+/**
+ * Make changes as one transaction, and write them
+ * @param {LiveJSON} live
+ * @param {Function} fn making the changes
+ */
+function change(live, fn) {
+    try {
+        live.transaction(fn)
+    } catch (e) {
+        // Nothing was changed, there is nothing to write
+        return live.close().then(() => {
+            throw e
+        })
+    }
+    return live.close()
+}
+
+/**
+ * Apply a JSON Merge Patch (RFC 7386) through the live object: null removes a key, objects are merged
+ * @param {Object} target the live object
+ * @param {Object} patch
+ */
+function mergePatch(target, patch) {
+    Object.keys(patch).forEach((name) => {
+        let value = patch[name]
+        if (value === null) {
+            delete target[name]
+        } else if (isObject(value) && isObject(target[name])) {
+            mergePatch(target[name], value)
+        } else if (isObject(value)) {
+            target[name] = {}
+            mergePatch(target[name], value)
+        } else {
+            target[name] = value
+        }
+    })
+}
+
+/**
+ * Run a command
+ * @param {Array} argv the arguments, without node and the script
+ * @returns {Promise<Number>} the exit code
+ */
+function main(argv) {
+    let parsed
+    try {
+        parsed = parseArgs(argv)
+    } catch (e) {
+        console.error(e.message)
+        return Promise.resolve(exitCode(e))
+    }
+    let { args, options } = parsed
+    let name = args[0]
+    if (options.help || !name) {
+        console.log(USAGE)
+        return Promise.resolve(options.help ? EXIT.OK : EXIT.USAGE)
+    }
+    if (!Object.prototype.hasOwnProperty.call(commands, name) || !args[1]) {
+        console.error(commands[name] ? `Missing file\n\n${USAGE}` : `Unknown command "${name}"\n\n${USAGE}`)
+        return Promise.resolve(EXIT.USAGE)
+    }
+    return Promise.resolve().then(() => {
+        let command = commands[name]
+        // The positional arguments, then the options
+        let positional = args.slice(1, command.length)
+        while (positional.length < command.length - 1) {
+            positional.push(undefined)
+        }
+        return command.apply(null, positional.concat(options))
+    }).then(() => EXIT.OK, (err) => {
+        console.error(err.message)
+        return exitCode(err)
+    })
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then((code) => {
+        process.exitCode = code
+    })
+}
+
+module.exports = main
@@ -1,204 +1,514 @@
 const { EventEmitter } = require('events')
 const fs = require('fs')
 const path = require('path')
+const util = require('util')
+const { AsyncLocalStorage } = require('async_hooks')
+const schema = require('./lib/schema')
+const patch = require('./lib/patch')
+const jsonPath = require('./lib/path')
+const codecs = require('./lib/codecs')
+const { merge } = require('./lib/merge')
+const Lock = require('./lib/lock')
+const storages = require('./lib/storage')
+const guard = require('./lib/guard')
+const { SyncServer, SyncClient } = require('./lib/socket')
+const { Secrets, SecretError } = require('./lib/secrets')
+const interpolation = require('./lib/interpolate')
+const { isObject, deepEqual, clone, isPromise, whenReady, attempt, hash, log } = require('./lib/util')
 
 /**
- * Log function
- * Will only log if Verbose > 1
- * @param  {...any} args
+ * Raw objects behind the LiveJSONObjectProp proxies
+ * Key: proxy, value: target
  */
-function log(...args) {
-    if (module.exports.VERBOSE) {
-        console.log.apply(console, args)
+const proxyTargets = new WeakMap()
+
+/**
+ * Convert a value to the raw JSON value stored in the data
+ * Proxies are unwrapped and objects are copied, so the data never shares references with the outside
+ * @param {*} value
+ */
+function toRaw(value) {
+    if (typeof value !== 'object' || value === null) {
+        return value
+    }
+    if (proxyTargets.has(value)) {
+        value = proxyTargets.get(value)
+    } else if (typeof value.toJSON === 'function') {
+        return toRaw(value.toJSON())
+    }
+    if (Array.isArray(value)) {
+        return value.map(toRaw)
+    }
+    let o = {}
+    Object.keys(value).forEach((name) => {
+        if (typeof value[name] !== 'undefined' && typeof value[name] !== 'function') {
+            o[name] = toRaw(value[name])
+        }
+    })
+    return o
+}
+
+/**
+ * Array methods changing the array, the others are called on the proxy so the values they give are read through it
+ */
+const ARRAY_MUTATORS = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin']
+
+/**
+ * Convert an array method call to the splice doing the same change
+ * @param {String} method push, pop, shift, unshift or splice
+ * @param {Array} args the arguments of the call
+ * @param {Number} length the length of the array
+ * @returns {Object} { index, count, values }: count values removed at index, then values inserted
+ */
+function toSplice(method, args, length) {
+    if (method === 'push') {
+        return { index: length, count: 0, values: args }
+    }
+    if (method === 'pop') {
+        return { index: Math.max(length - 1, 0), count: length ? 1 : 0, values: [] }
+    }
+    if (method === 'shift') {
+        return { index: 0, count: length ? 1 : 0, values: [] }
     }
+    if (method === 'unshift') {
+        return { index: 0, count: 0, values: args }
+    }
+    let start = Math.trunc(args[0]) || 0
+    let index = start < 0 ? Math.max(length + start, 0) : Math.min(start, length)
+    let count = args.length === 0 ? 0 : (args.length === 1 ? length - index : Math.min(Math.max(Math.trunc(args[1]) || 0, 0), length - index))
+    return { index: index, count: count, values: args.slice(2) }
+}
+
+/**
+ * Find where the values of an array went after a sort or a reverse
+ * Equal values are matched in order, objects by identity
+ * @param {Array} oldValue the array before
+ * @param {Array} value the array after
+ * @returns {Array} the moves, with the from and to indexes
+ */
+function findMoves(oldValue, value) {
+    let positions = new Map()
+    oldValue.forEach((item, index) => {
+        if (!positions.has(item)) {
+            positions.set(item, [])
+        }
+        positions.get(item).push(index)
+    })
+    let moves = []
+    value.forEach((item, index) => {
+        let from = positions.get(item).shift()
+        if (from !== index) {
+            moves.push({ from: from, to: index })
+        }
+    })
+    return moves
+}
+
+/**
+ * Check if a change record is an insertion or a removal in an array, which moves the next values
+ * @param {Object} record
+ */
+function isSplice(record) {
+    return (record.added || record.removed) && typeof record.segments[record.segments.length - 1] === 'number'
 }
-log.$2 = function(...args) {
-    if (module.exports.VERBOSE >= 2) {
-        log.apply(console, args)
+
+/**
+ * The transaction of the code running, it follows the asynchronous functions given to transaction()
+ * Node versions without AsyncLocalStorage (before 12.17) only follow the synchronous part of the functions
+ */
+const transactionContext = AsyncLocalStorage ? new AsyncLocalStorage() : {
+    store: undefined,
+    run(store, fn) {
+        let previous = this.store
+        this.store = store
+        try {
+            return fn()
+        } finally {
+            this.store = previous
+        }
+    },
+    getStore() {
+        return this.store
     }
 }
-log.$3 = function(...args) {
-    if (module.exports.VERBOSE >= 3) {
-        log.apply(console, args)
+
+/**
+ * Thrown while resolving a string which references itself, through other strings or not
+ */
+class CircularReference extends Error {
+    /**
+     * @param {Array} paths the paths of the strings read, the last one was already read
+     */
+    constructor(paths) {
+        super(paths.join(' -> '))
+        this.paths = paths
     }
 }
+
 /**
  * Object corresponding to all objects in JSON
- * Returns a proxy so we know when properties are changed
+ * It is the handler of the proxies of a LiveJSON, so we know when properties are changed
+ * There is one proxy per object of the data, created at the first access, so they keep their identity
+ * The path of an object is found from its parent when needed, so it follows the insertions and removals in arrays
  */
 class LiveJSONObjectProp {
     
-    constructor(props, path, onSet, onGet) {
-        // The props of the objects
-        this.properties = props
-        
-        // The current path in the original JSON
-        this.path = path
-        let $this = this
-        log.$3(`> Creating proxy for "${path}" with :`, props)
-        return new Proxy(props, {
-            get: function (target, name) {
-                let val
-                log.$3(`> Accessing "${typeof name === 'symbol' ? 'symbol' : name}" (${typeof name}) in :`, target)
-                
-                // Symbol is for NodeJS console.log / console.error
-                if (typeof name === 'symbol' && String(name) === 'Symbol(util.inspect.custom)') {
-                    // super hacky method of supporting nodejs printing values
-                    val = () => $this.properties
-                } else if (typeof target[name] === 'function' && name === 'toString') {
-                    // toString is the only method we are allowing
-                    val = target[name]
-                } else if (Array.isArray(target)) {
-                    // The object is an array, special treatment to know when a value is changed in the array
-                    if (typeof target[name] === 'function') {
-                        
-                        // We transform each function and we check the array after the execution
-                        val = function (...args) {
-                            let oldValue = target.slice()
-                            let result = target[name].apply(target, args)
-                            let _path = $this.path
-                            let targetName, targetFullpath
-                            
-                            // Correct property name and fullpath
-                            if (_path === null) {
-                                targetName = null
-                                targetFullpath = null
-                            } else {
-                                targetFullpath = _path
-                                _path = _path.split(/\./gi)
-                                targetName = _path.pop()
-                            }
-                            // Executed when a value is changed, removed, or added
-                            function ArrayValueChanged(target, name, index, old, val) {
-                                let oldValue, newValue
-                                let removed = false
-                                let added = false
-                                
-                                // No index on old, it is a new value
-                                if (typeof old[index] !== 'undefined') {
-                                    oldValue = old[index]
-                                } else {
-                                    added = true
-                                }
-                                
-                                // No index on new, a value was removed
-                                if (typeof val[index] !== 'undefined') {
-                                    newValue = val[index]
-                                } else {
-                                    removed = true
-                                }
-                                
-                                // Emit prop value change for array
-                                onSet({
-                                    target: target,
-                                    name: targetName,
-                                    index: index,
-                                    oldValue: oldValue,
-                                    value: newValue,
-                                    removed: removed,
-                                    added: added,
-                                    type: 'arrayvalue',
-                                    fullpath: targetFullpath
-                                })
-                            }
-                            
-                            // Checking target and oldValue values
-                            let changed = false
-                            target.forEach((val, index) => {
-                                if (typeof oldValue[index] === 'undefined' || target[index] !== oldValue[index]) {
-                                    ArrayValueChanged(target, name, index, oldValue, target)
-                                    changed = true
-                                }
-                            })
-                            oldValue.forEach((val, index) => {
-                                if (typeof target[index] === 'undefined') {
-                                    ArrayValueChanged(target, name, index, oldValue, target)
-                                    changed = true
-                                }
-                            })
-                            // If we have a change, we emit another event 'array', so we can tell "all the array was changed" and save only one time the file
-                            if (changed) {
-                                onSet({
-                                    target: target,
-                                    name: targetName,
-                                    oldValue: oldValue,
-                                    value: target.slice(),
-                                    type: 'array',
-                                    fullpath: targetFullpath
-                                })
-                            }
-                            return result
-                        }
-                    } else {
-                        // If the target is an object, we create a new proxy object on the go
-                        val = target[name]
-                        if (typeof val === 'object') {
-                            let o = new LiveJSONObjectProp(val, $this._combine($this.path, name), onSet, onGet)
-                            val = o
-                        }
-                    }
-                } else {
-                    /* Maybe it will be useful a day
-                    if (onGet) {
-                        val = onGet({
-                            target: target,
-                            name: name, 
-                            path: $this.path,
-                            fullpath: $this._combine($this.path, name)
-                        })
-                    }
-                    */
-                    if (typeof val === 'undefined') {
-                        val = $this.properties[name]
-                        if (typeof val === 'object') {
-                            let o = new LiveJSONObjectProp(val, $this._combine($this.path, name), onSet, onGet)
-                            val = o
-                        }
-                    }
-                }
-                return val
-            },
-            set: function (target, name, value) {
-                let oldValue = $this.properties[name]
-                let newRawValue = value
-                let newValue = value
-                
-                // If the new value is an object, we create the proxy object on it and we return this object
-                if (value === 'object') {
-                    newValue = new LiveJSONObjectProp(newValue, $this._combine($this.path, name), onSet, onGet)
-                }
-                target[name] = value
-                
-                // Emitting value change
-                onSet({
-                    target: target,
-                    name: name, 
-                    path: $this.path,
-                    value: newRawValue,
-                    oldValue: oldValue,
-                    type: 'value',
-                    fullpath: $this._combine($this.path, name)
+    constructor(onSet, onGet, onBeforeSet, onInspect) {
+        this.onSet = onSet
+        this.onGet = onGet
+        this.onBeforeSet = onBeforeSet
+        // Returns what console.log shows for an object, from the object and its path
+        this.onInspect = onInspect || null
+        // If onGet resolves the values read, when there are interpolated strings or computed values
+        this.resolving = false
+        // Key: raw object, value: its proxy
+        this.proxies = new WeakMap()
+        // Key: raw object, value: { parent, name }, the root has none
+        this.parents = new WeakMap()
+        // Key: raw array, value: its methods, created at the first call
+        this.methods = new WeakMap()
+    }
+    
+    /**
+     * Get the proxy of an object
+     * @param {Object|Array} target the raw object
+     * @param {Object|Array} parent the raw object containing it, null for the root
+     * @param {String|Number} name its key in the parent
+     */
+    wrap(target, parent, name) {
+        let proxy = this.proxies.get(target)
+        if (!proxy) {
+            log.$3('> Creating proxy for :', target)
+            if (parent) {
+                this.parents.set(target, { parent: parent, name: name })
+            }
+            if (this.onInspect) {
+                // Recent versions of node inspect the target of a proxy, not the proxy
+                Object.defineProperty(target, util.inspect.custom, {
+                    value: () => this.onInspect(target, this.segments(target)),
+                    configurable: true,
+                    writable: true
                 })
-                return newValue
             }
+            proxy = new Proxy(target, this)
+            this.proxies.set(target, proxy)
+            proxyTargets.set(proxy, target)
+        }
+        return proxy
+    }
+    
+    /**
+     * Get the current path of an object, as a list of keys
+     * Array indexes are numbers
+     * @param {Object|Array} target the raw object
+     */
+    segments(target) {
+        let segments = []
+        let link = this.parents.get(target)
+        while (link) {
+            if (Array.isArray(link.parent) && link.parent[link.name] !== target) {
+                // Moved by an insertion or a removal, a removed object keeps its last path
+                let index = link.parent.indexOf(target)
+                if (index !== -1) {
+                    link.name = index
+                }
+            }
+            segments.unshift(link.name)
+            target = link.parent
+            link = this.parents.get(target)
+        }
+        return segments
+    }
+    
+    get(target, name) {
+        if (module.exports.VERBOSE >= 3) {
+            log.$3(`> Accessing "${typeof name === 'symbol' ? 'symbol' : name}" (${typeof name}) in :`, target)
+        }
+        
+        // Symbol is for NodeJS console.log / console.error
+        if (typeof name === 'symbol' && String(name) === 'Symbol(util.inspect.custom)') {
+            // super hacky method of supporting nodejs printing values
+            return () => this.onInspect ? this.onInspect(target, this.segments(target)) : target
+        }
+        let val = target[name]
+        if (typeof val === 'function') {
+            // toString is the only method we are allowing on objects, arrays are watched when their methods change them
+            // The constructor is used by the methods creating arrays, like filter
+            return name !== 'toString' && name !== 'constructor' && Array.isArray(target) ? this._method(target, name) : val
+        }
+        if (this.resolving && typeof name === 'string') {
+            let resolved = this.onGet(target, name, val, this)
+            if (resolved !== val) {
+                return resolved
+            }
+        }
+        if (typeof val === 'object' && val !== null) {
+            // The same proxy is returned at each access
+            return this.wrap(val, target, this._key(target, name))
+        }
+        return val
+    }
+    
+    set(target, name, value) {
+        if (typeof name === 'symbol') {
+            target[name] = value
+            return true
+        }
+        
+        // Objects are stored raw, they will get their own proxy when accessed
+        let event = this._event(target, name, {
+            value: toRaw(value),
+            added: !Object.prototype.hasOwnProperty.call(target, name)
+        })
+        if (this.onBeforeSet(event) === false) {
+            // Refused, but not an error
+            return true
+        }
+        target[name] = event.value
+        
+        // Emitting value change
+        this.onSet(event)
+        return true
+    }
+    
+    deleteProperty(target, name) {
+        if (typeof name === 'symbol' || !Object.prototype.hasOwnProperty.call(target, name)) {
+            return Reflect.deleteProperty(target, name)
+        }
+        let event = this._event(target, name, {
+            value: undefined,
+            removed: true
+        })
+        if (this.onBeforeSet(event) === false) {
+            return true
+        }
+        if (!Reflect.deleteProperty(target, name)) {
+            return false
+        }
+        
+        // Emitting value removal
+        this.onSet(event)
+        return true
+    }
+    
+    defineProperty(target, name, descriptor) {
+        if (typeof name === 'symbol') {
+            return Reflect.defineProperty(target, name, descriptor)
+        }
+        if (descriptor.get || descriptor.set) {
+            // Accessors can't be saved in JSON
+            return false
+        }
+        if (!('value' in descriptor)) {
+            return Reflect.defineProperty(target, name, descriptor)
+        }
+        let event = this._event(target, name, {
+            value: toRaw(descriptor.value),
+            added: !Object.prototype.hasOwnProperty.call(target, name)
         })
+        if (this.onBeforeSet(event) === false) {
+            return true
+        }
+        if (!Reflect.defineProperty(target, name, Object.assign({}, descriptor, { value: event.value }))) {
+            return false
+        }
+        
+        // Emitting value change
+        this.onSet(event)
+        return true
+    }
+    
+    has(target, name) {
+        return name in target
+    }
+    
+    ownKeys(target) {
+        return Reflect.ownKeys(target)
+    }
+    
+    /**
+     * Create the event of a change of a property
+     * @param {Object|Array} target
+     * @param {String} name the property
+     * @param {Object} change value, and added or removed
+     */
+    _event(target, name, change) {
+        let segments = this.segments(target)
+        let path = segments.length ? segments.join('.') : null
+        return Object.assign({
+            target: target,
+            name: name,
+            path: path,
+            oldValue: target[name],
+            type: 'value',
+            fullpath: path ? path + '.' + name : name,
+            segments: segments.concat(this._key(target, name))
+        }, change)
+    }
+    
+    /**
+     * Get a method of an array, the methods changing it are watched
+     * The others read the array through its proxy: the objects they give or pass to callbacks are proxies,
+     * and the values are resolved like when they are read directly
+     * @param {Array} target
+     * @param {String|Symbol} name the method name
+     */
+    _method(target, name) {
+        let methods = this.methods.get(target)
+        if (!methods) {
+            methods = Object.create(null)
+            this.methods.set(target, methods)
+        }
+        if (!methods[name]) {
+            methods[name] = ARRAY_MUTATORS.indexOf(name) === -1 ? (...args) => target[name].apply(this.proxies.get(target), args) : (...args) => this._mutate(target, name, args)
+        }
+        return methods[name]
     }
     
     /**
-     * Combine a path and a name with '.'
-     * @param {String} _path 
-     * @param {String} name 
+     * Call a method changing an array, and emit the changes it made
+     * Insertions and removals are found from the arguments, only sort, reverse, fill and copyWithin compare the array with a copy
+     * @param {Array} target
+     * @param {String} method the method name
+     * @param {Array} args the arguments of the call
+     * @returns {*} the result of the method
      */
-    _combine(_path, name) {
-        if (!_path) {
-            return name
+    _mutate(target, method, args) {
+        let changes = []
+        let result, restore, oldValue
+        if (method === 'sort' || method === 'reverse' || method === 'fill' || method === 'copyWithin') {
+            oldValue = target.slice()
+            result = target[method].apply(target, method === 'fill' ? [toRaw(args[0])].concat(args.slice(1)) : args)
+            if (method === 'fill' || method === 'copyWithin') {
+                target.forEach((value, index) => {
+                    if (value !== oldValue[index]) {
+                        // The same object must not be at two places
+                        target[index] = toRaw(value)
+                        changes.push({ operation: 'replace', index: index, oldValue: oldValue[index], value: target[index] })
+                    }
+                })
+            } else {
+                findMoves(oldValue, target).forEach((move) => {
+                    changes.push({ operation: 'move', from: move.from, index: move.to, oldValue: oldValue[move.to], value: target[move.to] })
+                })
+            }
+            restore = () => {
+                target.length = 0
+                Array.prototype.push.apply(target, oldValue)
+            }
+            // The proxy is returned instead of the raw array
+            result = result === target ? this.proxies.get(target) : result
         } else {
-            return _path + '.' + name
+            let splice = toSplice(method, args, target.length)
+            let values = splice.values.map(toRaw)
+            let removed = target.splice(splice.index, splice.count, ...values)
+            // The values removed and inserted at the same place are replaced
+            let common = Math.min(removed.length, values.length)
+            for (let i = 0; i < common; i++) {
+                if (removed[i] !== values[i]) {
+                    changes.push({ operation: 'replace', index: splice.index + i, oldValue: removed[i], value: values[i] })
+                }
+            }
+            // value and oldValue are the values at the index after and before the change, like for the other changes
+            if (removed.length > common) {
+                let index = splice.index + common
+                changes.push({ operation: 'remove', index: index, oldValue: removed[common], value: target[index], oldValues: removed.slice(common) })
+            }
+            if (values.length > common) {
+                let index = splice.index + common
+                changes.push({ operation: 'insert', index: index, oldValue: target[index + values.length - common], value: values[common], values: values.slice(common) })
+            }
+            restore = () => {
+                target.splice(splice.index, values.length, ...removed)
+            }
+            result = method === 'push' || method === 'unshift' ? target.length : (method === 'splice' ? removed : removed[0])
+        }
+        if (!changes.length) {
+            return result
+        }
+        let segments = this.segments(target)
+        let path = segments.length ? segments.join('.') : null
+        let event = {
+            target: target,
+            name: segments.length ? segments[segments.length - 1] : null,
+            path: path,
+            oldValue: oldValue,
+            value: target,
+            type: 'array',
+            method: method,
+            changes: changes,
+            fullpath: path,
+            segments: segments
         }
+        
+        // Checking the array after the change, the old values are restored if the change is refused
+        let accepted
+        try {
+            accepted = this.onBeforeSet(event) !== false
+        } catch (e) {
+            accepted = e
+        }
+        if (accepted !== true) {
+            restore()
+            if (accepted !== false) {
+                throw accepted
+            }
+            return result
+        }
+        this.onSet(event)
+        return result
+    }
+    
+    /**
+     * Get the key of a property of the target
+     * Array indexes are numbers
+     * @param {Object|Array} target
+     * @param {String} name
+     */
+    _key(target, name) {
+        return Array.isArray(target) && /^\d+$/.test(name) ? Number(name) : name
     }
     
-    toString() {
-        return JSON.stringify(this.properties)
+}
+
+/**
+ * Handler of the read-only views of a LiveJSON
+ * The views follow the data, but throw a ReadOnlyError on any change
+ */
+class ReadonlyObjectProp extends LiveJSONObjectProp {
+    
+    /**
+     * @param {Function} onVeto called with the path of each refused change
+     */
+    constructor(onVeto, onGet, onInspect) {
+        super(null, onGet, null, onInspect)
+        this.onVeto = onVeto
+    }
+    
+    set(target, name) {
+        return this._refuse(this.segments(target).concat(this._key(target, name)))
+    }
+    
+    deleteProperty(target, name) {
+        return this._refuse(this.segments(target).concat(this._key(target, name)))
+    }
+    
+    defineProperty(target, name) {
+        return this._refuse(this.segments(target).concat(this._key(target, name)))
+    }
+    
+    _mutate(target) {
+        return this._refuse(this.segments(target))
+    }
+    
+    /**
+     * Refuse a change
+     * @param {Array} segments the path of the change
+     */
+    _refuse(segments) {
+        let fullname = segments.length ? jsonPath.format(segments) : null
+        this.onVeto(segments)
+        throw new guard.ReadOnlyError(`Can't change ${fullname || 'the document'}: the view is read-only`, fullname)
     }
     
 }
@@ -230,20 +540,46 @@ class LiveJSON extends EventEmitter {
         }, {
             file: require.resolve('config.json'),
             spacer: 4,
-            encoding: 
+            encoding: 'utf8',
+            saveDelay: 100, // Debounce: wait 100ms without changes before writing
+            saveMaxDelay: 1000, // But never wait more than 1s after the first pending change
+            schema: { type: 'object', required: ['user'] }, // JSON Schema checked on load, reload and every change
+            schemaMode: 'refuse', // Invalid changes are ignored and emit 'invalid' ('throw' to throw a ValidationError)
+            backups: 3, // Keeps config.json.1 to config.json.3, from the newest to the oldest
+            recover: 'backup', // Loads the newest valid backup if the file can't be read at start
+            history: 20, // Number of changes that can be undone
+            codec: 'jsonc', // 'json', 'jsonc', 'json5', 'yaml', 'toml', 'env' or a codec object (default: from the extension)
+            conflict: 'ours', // When the file and pending changes modify the same value: 'ours', 'theirs' (the default) or a function
+            lock: { stale: 10000, timeout: 5000 }, // Lock config.json.lock while writing, for processes sharing the file (true for the defaults), $.n++ needs withLock() not to lose increments
+            storage: 'fs', // Where the file is stored: 'fs', 'memory', new LiveJSON.KeyValueStorage(localStorage) or any object with read, write, stat and watch
+            watcher: 'poll', // 'native' (fs.watch), 'poll' (fs.watchFile, for NFS and Docker bind mounts) or 'auto' for both, as native events can be missing (the default)
+            pollInterval: 2000, // ms between two checks of the file when polling
+            reloadDelay: 100, // ms without events before reloading, editors fire several per save
+            protect: ['secrets.**', 'version'], // Changing these paths throws a ReadOnlyError and emits 'vetoed'
+            migrations: { 2: (data) => { data.db = { host: data.dbHost }; delete data.dbHost } }, // Upgrades the files with a lower version
+            versionKey: 'version', // The key of the version in the file (files without it are version 1)
+            secrets: ['db.password', 'apiKeys.*'], // Encrypted in the file, and shown as "[REDACTED]" by console.log, toString() and the events
+            secretKey: process.env.CONFIG_KEY, // The key of the secrets (default: the LIVEJSON_SECRET_KEY environment variable)
+            revealSecrets: false, // Keep the secret values in the output and the events
+            interpolate: true // Resolve the "${paths.root}/logs" and "${env:HOME}" references of the strings when they are read
+        })
+        new LiveJSON({
+            socket: '/tmp/config.sock', // Syncs with the LiveJSON listening on the socket instead of reading a file, see listen()
+            reconnectDelay: 1000 // ms between two attempts to connect to the socket
         })
      * @param  {...any} args 
      */
     constructor (...args) {
         super()
-        this._errorsAtStart = []
+        this._eventsAtStart = []
         this._created = false
         this.on('newListener', (name, listener) => {
-            if (name === 'error' && this._errorsAtStart.length) {
-                this._errorsAtStart.forEach((err) => {
-                    listener.apply(this, [err, err.originalError])
+            let events = this._eventsAtStart.filter((e) => e.name === name)
+            if (events.length) {
+                this._eventsAtStart = this._eventsAtStart.filter((e) => e.name !== name)
+                events.forEach((e) => {
+                    listener.apply(this, e.args)
                 })
-                this._errorsAtStart = []
             }
         })
         let opts, data = {}
@@ -257,6 +593,7 @@ class LiveJSON extends EventEmitter {
         } else {
             opts = args[0]
         }
+        let defaults = data
         let file = null
         if (typeof opts === 'string') {
             file = opts
@@ -267,8 +604,38 @@ class LiveJSON extends EventEmitter {
             autosave: true,
             autoload: true,
             spacer: 2,
-            encoding: null
+            encoding: null,
+            saveDelay: 0,
+            saveMaxDelay: null,
+            schema: null,
+            schemaMode: 'throw',
+            backups: 0,
+            recover: false,
+            history: 100,
+            codec: null,
+            conflict: 'theirs',
+            lock: false,
+            storage: 'fs',
+            watcher: 'auto',
+            pollInterval: 1000,
+            reloadDelay: 50,
+            protect: [],
+            migrations: null,
+            versionKey: 'version',
+            socket: null,
+            reconnectDelay: 1000,
+            secrets: [],
+            secretKey: null,
+            revealSecrets: false,
+            interpolate: false
         }, opts)
+        file = options.file
+        // format is the former name of the codec option
+        options.codec = options.codec || options.format || null
+        this._codec = options.codec ? codecs.get(options.codec) : codecs.forFile(file)
+        if (options.socket && file) {
+            throw new Error('A LiveJSON can\'t read a file and sync with a socket: the file belongs to the LiveJSON listening on the socket')
+        }
         if (!file) {
             options.autosave = options.autoload = false
         }
@@ -277,81 +644,160 @@ class LiveJSON extends EventEmitter {
         this.options = options
         this.lastFileStat = false
         this._val = null
-        let parent = path.dirname(this.file)
-        if (fs && this.file && module.parent && !fs.existsSync(this.file) && (parent === '.' || !fs.existsSync(parent))) {
-            this.file = path.join(path.dirname(module.parent.filename), this.file)
-        } else {
-            this.file = path.resolve(this.file)
-        }
-        // Only if we have FS (are you using CommonJS?)
-        if (fs && this.file) {
-            if (fs.existsSync(this.file)) {
-                // Testing file writeable/readable
-                let perms = fs.constants.R_OK
-                let hasError = false
-                if (this.options.autosave) {
-                    perms = fs.constants.R_OK | fs.constants.W_OK
-                }
-                try {
-                    fs.accessSync(this.file, perms)
-                } catch (err) {
-                    if (perms === fs.constants.R_OK) {
-                        this._error(`File ${this.file} is not readable !`)
-                    } else {                        
-                        this._error(`File ${this.file} is not readable/writeable !`)
+        this._unreadable = false
+        // The file on disk couldn't be read but the data was recovered or restored from a backup:
+        // it is kept as file.corrupt when overwritten, instead of taking the place of a valid backup
+        this._corrupt = false
+        this._source = null
+        // Hash of the contents last read from or written to the file
+        this._hash = null
+        // The data last read from or written to the file, the base of the merges with external changes
+        this._base = null
+        
+        // Transaction and history state
+        this._transaction = null
+        this._replaying = false
+        this._undoStack = []
+        this._redoStack = []
+        this._subscriptions = []
+        
+        // Interpolated strings and computed values, with the paths they read
+        this._templates = []
+        this._computed = []
+        this._computedNames = new Set()
+        // The paths read while an interpolated string or a computed value is computed
+        this._tracking = null
+        // The circular references already reported
+        this._cycles = new Set()
+        
+        // Write guards
+        this._protect = (options.protect || []).map((pattern) => jsonPath.parse(pattern))
+        this._hooks = []
+        this._readonly = null
+        
+        // Secret values, decrypted in memory only
+        this._secrets = null
+        if (options.secrets && options.secrets.length) {
+            let key = options.secretKey || process.env.LIVEJSON_SECRET_KEY
+            if (this.file && !key) {
+                throw new Error('The secrets option needs a key: set the secretKey option or the LIVEJSON_SECRET_KEY environment variable')
+            }
+            this._secrets = new Secrets(options.secrets, key)
+        }
+        
+        // Pending writes state
+        this._dirty = false
+        this._dirtySince = null
+        this._saveTimer = null
+        this._queuedWrite = null
+        this._writeQueue = Promise.resolve()
+        
+        // Lifecycle state
+        this._unwatch = null
+        this._checkTimer = null
+        this._closing = null
+        this.paused = false
+        this.closed = false
+        
+        this._storage = storages.get(options.storage, options)
+        if (this.file && this._storage instanceof storages.FileStorage) {
+            let parent = path.dirname(this.file)
+            if (module.parent && !path.isAbsolute(this.file) && !fs.existsSync(this.file) && (parent === '.' || !fs.existsSync(parent))) {
+                this.file = path.join(path.dirname(module.parent.filename), this.file)
+            } else {
+                this.file = path.resolve(this.file)
+            }
+        }
+        // Lock shared with the other processes writing the file
+        this._lock = null
+        if (this.file && options.lock) {
+            if (this._storage instanceof storages.FileStorage) {
+                this._lock = new Lock(`${this.file}.lock`, options.lock === true ? null : options.lock)
+            } else {
+                this._error('The lock option only works with the file storage')
+            }
+        }
+        this._lockQueue = Promise.resolve()
+        
+        // Sync with the other processes, as the server owning the file or as a client
+        this._server = null
+        this._client = null
+        
+        // Migrations upgrading the documents, from the oldest version
+        this._migrations = Object.keys(options.migrations || {}).map((version) => {
+            if (!/^\d+$/.test(version) || typeof options.migrations[version] !== 'function') {
+                throw new TypeError(`Invalid migration "${version}": migrations must be functions with an integer version`)
+            }
+            return { version: Number(version), fn: options.migrations[version] }
+        }).sort((a, b) => a.version - b.version)
+        // The migration waiting to be written
+        this._migration = null
+        // If there was no file at start: the document is new, so at the latest version
+        this._missing = !this.file
+        
+        // Resolved when the file is read, at once with a synchronous storage
+        this.ready = Promise.resolve()
+        if (this.file) {
+            let loaded = this._load()
+            if (isPromise(loaded)) {
+                // The defaults are used until the file is read
+                this.ready = loaded.then((o) => {
+                    if (this._missing) {
+                        this._stampVersion()
                     }
-                    hasError = true
-                }
-                // Testing JSON
-                if (!hasError) {
-                    try {
-                        this.lastFileStat = fs.statSync(this.file)
-                        // Overriding data with contents of file
-                        data = JSON.parse(fs.readFileSync(this.file, { encoding: this.options.encoding }))
-                    } catch (e) {
-                        this._error(`File ${file} couldn't be read as JSON. Error: ${e.message}`, e)
+                    if (o !== undefined && this._mergeExternal(o) && !this._migration) {
+                        this._scheduleSave()
                     }
-                }
-                
-                // Autoloading on change
-                if (options.autoload) {
-                    
-                    fs.watch(path.dirname(this.file), (eventType, filename) => {
-                        let filepath = path.join(path.dirname(this.file), filename)
-                        if (filepath === this.file && fs.existsSync(this.file)) {
-                            let stat = fs.statSync(this.file)
-                            if (stat.mtime > this.lastFileStat.mtime) {
-                                log(`> Watch Event: ${eventType} ${filename} must reload`)
-                                this.lastFileStat = stat
-                                try {
-                                    let o = JSON.parse(fs.readFileSync(this.file, { encoding: this.options.encoding }))
-                                    this.set(o, true)
-                                } catch (e) {
-                                    this._error(`File ${file} couldn't be read as JSON. Error: ${e.message}`, e, false)
-                                }                                
-                            }
-                        }
-                        /*
-                        if (eventType === 'change') {
-                            log(`> File ${filename} changed ! Auto-loading...`)
-                            try {
-                                let o = JSON.parse(fs.readFileSync(this.file, { encoding: this.options.encoding }))
-                            } catch (e) {
-                                console.log(e)
-                                this._error(`File ${file} couldn't be read as JSON. Error: ${e.getMessage()}`, e)
-                            }
-                        }
-                        */
-                    })
-                }
-                
+                    if (this._migration) {
+                        return this._saveMigration()
+                    }
+                })
+            } else if (loaded !== undefined) {
+                data = loaded
+            }
+            // Autoloading on change, a missing file is loaded when it is created
+            if (options.autoload) {
+                this._startWatching()
             }
         }
         let $this = this
+        if (data === defaults) {
+            // Defaults can be wrong too, but there is nothing to fall back to
+            let errors = this.validate(data)
+            if (errors.length) {
+                this._emitOrDefer('invalid', {
+                    type: 'invalid',
+                    fullname: null,
+                    segments: [],
+                    errors: errors,
+                    value: data,
+                    external: false
+                })
+            }
+            // A new document is at the latest version, not a file which couldn't be read or migrated
+            if (this._missing && this._migrations.length && isObject(data) && data[options.versionKey] === undefined) {
+                data = Object.assign({ [options.versionKey]: this._migrations[this._migrations.length - 1].version }, data)
+            }
+        }
         this._data = data
+        this._base = toRaw(data)
         
         // Creating the new LiveJSONObjectProp
-        this._val = new LiveJSONObjectProp(data, null, (e) => { return $this._onSet.apply($this, [e]) }, (e) => { return $this._onGet.apply($this, [e]); })
+        this._proxies = new LiveJSONObjectProp((e) => { return $this._onSet.apply($this, [e]) }, (target, name, value, handler) => { return $this._onGet(target, name, value, handler) }, (e) => { return $this._onBeforeSet.apply($this, [e]) }, this._secrets ? (target, segments) => { return $this._redact(target, segments) } : null)
+        this._val = this._proxies.wrap(data, null, null)
+        this._updateResolving()
+        if (options.interpolate) {
+            this._indexTemplates()
+        }
+        // Writing the file upgraded at load, 'migrated' is emitted when a listener is added
+        if (this._migration) {
+            this.ready = this._saveMigration()
+        }
+        if (options.socket) {
+            this._client = new SyncClient(this, options.socket, { reconnectDelay: options.reconnectDelay })
+            // Resolved when the data of the server is received
+            this.ready = this._client.ready
+        }
         this._created = true
     }
     /**
@@ -362,198 +808,2079 @@ class LiveJSON extends EventEmitter {
     _error (message, originalError) {
         let e = new Error(message)
         e.originalError = originalError
-        if (!this.listenerCount('error')) {
-            if (!this._created) {
-                this._errorsAtStart.push(e)
-            }
-        } else {
+        if (!this._created) {
+            this._eventsAtStart.push({ name: 'error', args: [e, originalError] })
+        } else if (this.listenerCount('error')) {
             this.emit('error', e, originalError)
         }
     }
-    _onGet(event) {
-        // Do something ?
-    }
     
     /**
-     * Called when a change is done on any property of the object
+     * Emit an event, or keep it until a listener is added if the object is being created
+     * @param {String} name the event name
+     * @param  {...any} args the event arguments
      */
-    _onSet(event) {
-        let hasChange = event.value !== event.oldValue
-        if (!hasChange) {
-            return false
+    _emitOrDefer (name, ...args) {
+        if (!this._created) {
+            args[0] = this._redactEvent(args[0])
+            this._eventsAtStart.push({ name: name, args: args })
+        } else {
+            this.emit(name, ...args)
         }
-        let diffuseChange = false
-        
-        // Type: value, a common assignation
-        if (event.type === 'value') {
-            this.emit('propchange', {
-                type: 'propchange',
-                fullname: event.fullpath,
-                name: event.name,
-                oldValue: event.oldValue,
-                value: event.value,
-                external: false
-            })
-            diffuseChange = true
-        } else if (event.type === 'array') { // Type array, an array was changed
-            diffuseChange = true
-        } else if (event.type === 'arrayvalue') { // Type arrayvalue, a value in the array changed
-            diffuseChange = false
-            this.emit('propchange', {
-                type: 'propchange',
-                fullname: event.fullpath,
-                name: event.name,
-                oldValue: event.oldValue,
-                value:event.value,
-                index: event.index,
-                added: event.added,
-                removed: event.removed,
-                external: false
-            })
+    }
+    
+    /**
+     * Emit an event, with the secret values redacted
+     * @param {String} name the event name
+     * @param  {...any} args the event arguments
+     */
+    emit(name, ...args) {
+        if (args.length) {
+            args[0] = this._redactEvent(args[0])
         }
-        if (event.value === event.oldValue) {
-            diffuseChange = false
+        return super.emit(name, ...args)
+    }
+    
+    /**
+     * Hide the secret values of a value, unless the revealSecrets option is set
+     * @param {*} value
+     * @param {Array} segments the path of the value
+     */
+    _redact(value, segments) {
+        if (!this._secrets || this.options.revealSecrets) {
+            return value
         }
-        if (!diffuseChange) {
-            return
+        return this._secrets.redact(value, segments)
+    }
+    
+    /**
+     * Hide the secret values of an event: its values, its changes, its patch operations and its conflicts
+     * @param {Object} event
+     * @returns {Object} a copy of the event, or the event itself without secrets
+     */
+    _redactEvent(event) {
+        if (!this._secrets || this.options.revealSecrets || !isObject(event) || !event.type) {
+            return event
         }
-        
-        // Emitting change only if we have a "value" or "array" event
-        this.emit('change', {
-            type: 'change',
-            fullname: event.fullpath,
-            name: event.name,
-            oldValue: event.oldValue,
-            value: event.value,
-            external: false
-        })
-        // Same for saving
-        if (fs && this.options.autosave) {
-            if (fs.existsSync(this.file)) {
-                try {
-                    fs.accessSync(this.file, fs.constants.W_OK)
-                }
-                catch (err) {
-                   return this._error(`Counldn't write to file ${this.file}: ${err}`, err)
-                }
+        let segments = event.segments || []
+        let redacted = Object.assign({}, event)
+        if (event.operation) {
+            // Changes of an array: the values are at the index, the inserted and removed values are listed from it
+            let at = (value, offset) => this._redact(value, segments.concat(event.index + offset))
+            redacted.value = at(event.value, 0)
+            redacted.oldValue = at(event.oldValue, 0)
+            if (event.values) {
+                redacted.values = event.values.map(at)
             }
-            log(`> Writing changes to file ${this.file}`)
-            this.writing = true
-            fs.writeFile(this.file, JSON.stringify(this._data, null, this.options.spacer), (err) => {
-                if (err) {
-                    return this._error(`Counldn't write to file ${this.file}: ${err}`, err)
-                }
-                this.lastFileStat = fs.statSync(this.file)
+            if (event.oldValues) {
+                redacted.oldValues = event.oldValues.map(at)
+            }
+        } else {
+            ['value', 'oldValue'].filter((name) => name in event).forEach((name) => {
+                redacted[name] = this._redact(event[name], segments)
             })
         }
+        if (Array.isArray(event.changes)) {
+            redacted.changes = event.changes.map((change) => this._redactEvent(change))
+        }
+        if (Array.isArray(event.operations)) {
+            redacted.operations = event.operations.map((op) => 'value' in op ? Object.assign({}, op, { value: this._redact(op.value, patch.fromPointer(op.path)) }) : op)
+        }
+        if (Array.isArray(event.conflicts)) {
+            redacted.conflicts = event.conflicts.map((conflict) => Object.assign({}, conflict, {
+                base: this._redact(conflict.base, conflict.segments),
+                ours: this._redact(conflict.ours, conflict.segments),
+                theirs: this._redact(conflict.theirs, conflict.segments),
+                value: this._redact(conflict.value, conflict.segments)
+            }))
+        }
+        return redacted
     }
     
-    get() {
-        return this._val
+    /**
+     * Validate data against the schema option
+     * @param {*} data the data to validate
+     * @returns {Array} the errors, empty if the data is valid or if there is no schema
+     */
+    validate(data) {
+        if (!this.options.schema) {
+            return []
+        }
+        return schema.validate(this.options.schema, data)
     }
+    
     /**
-     * Change all the properties of the LiveJSON object
-     * @param {Object} obj the object containing the changes
+     * Refuse or throw on invalid data, depending on schemaMode
+     * @param {Array} errors the validation errors
+     * @param {*} value the refused value
+     * @param {Array} segments the path of the refused value
      * @param {Boolean} external if the change is an external change or not
+     * @returns {Boolean} false, the change is refused
      */
-    set(obj, external) {
-        if (external === undefined) {
-            external = false
+    _invalid(errors, value, segments, external) {
+        let fullname = segments.length ? segments.join('.') : null
+        this.emit('invalid', {
+            type: 'invalid',
+            fullname: fullname,
+            segments: segments,
+            errors: errors,
+            value: value,
+            external: external
+        })
+        if (!external && this.options.schemaMode === 'throw') {
+            throw new schema.ValidationError(`Invalid value for ${fullname || 'the document'}: ${schema.formatErrors(errors)}`, errors)
         }
-        let emitPropChangeEvent = true
-        var $this = this
-        function SetProp(a, b, parent) {
-            // log(`>> Comparing (${parent})`, a, 'and', b)
-            function SetPropAtIndex(a, b, i, parent) {
-                log.$3(`>>> Comparing ${i} in ${parent}`)
-                let hasChange = false
-                if (typeof a[i] !== typeof b[i] || Array.isArray(a[i]) !== Array.isArray(b[i])) {
-                    if (typeof b[i] === 'undefined') {
-                        delete a[i]
-                    } else {
-                        a[i] = b[i]
-                    }
-                    hasChange = true
+        return false
+    }
+    
+    /**
+     * Called before a change is done on any property of the object
+     * The change is refused if it returns false
+     */
+    _onBeforeSet(event) {
+        if (!this._guard(event)) {
+            return false
+        }
+        if (!this.options.schema || this._inTransaction()) {
+            return true
+        }
+        let target = event.target
+        let errors
+        if (event.type === 'value') {
+            // Applying the change for the validation only
+            let exists = Object.prototype.hasOwnProperty.call(target, event.name)
+            let oldValue = target[event.name]
+            if (event.removed) {
+                delete target[event.name]
+            } else {
+                target[event.name] = event.value
+            }
+            try {
+                errors = this.validate(this._data)
+            } finally {
+                if (exists) {
+                    target[event.name] = oldValue
                 } else {
-                    if (typeof(a[i]) === 'object') {
-                        hasChange = SetProp(a[i], b[i], i)
-                    } else if (a[i] !== b[i]) {
-                        log.$2(`>>>> Changed "${i}" ! ${a[i]} > ${b[i]}`)
-                        a[i] = b[i]
-                        hasChange = true
-                    } else {
-                        log.$3(`>>>> Equals "${i}" ! ${a[i]} = ${b[i]}`)
+                    delete target[event.name]
+                }
+            }
+        } else {
+            // Array changes are already applied, and restored if refused
+            errors = this.validate(this._data)
+        }
+        if (errors.length) {
+            return this._invalid(errors, event.value, event.segments, false)
+        }
+        return true
+    }
+    
+    /**
+     * Check a change with the protect option and the beforeChange hooks
+     * A hook can replace the value of an assignment by setting change.value
+     * @param {Object} event the change, its value can be replaced
+     * @returns {Boolean} false if a hook vetoed the change
+     */
+    _guard(event) {
+        let segments = event.segments
+        let isArray = event.type === 'array'
+        if (this._transaction && !this._inTransaction()) {
+            // The changes of an asynchronous transaction would be mixed with them, and rolled back with them
+            let fullname = jsonPath.format(segments) || null
+            throw new Error(`Can't change ${fullname || 'the document'} while a transaction is running`)
+        }
+        let after = event.removed ? undefined : event.value
+        let computed = this._computed.find((entry) => jsonPath.isPrefix(entry.segments, segments))
+        if (computed) {
+            let fullname = jsonPath.format(segments)
+            this._veto(event, 'computed', jsonPath.format(computed.segments))
+            throw new guard.ReadOnlyError(`Can't change ${fullname}: ${jsonPath.format(computed.segments)} is computed`, fullname)
+        }
+        if (this._protect.length) {
+            let before = isArray ? () => this._arrayBefore(event) : () => event.oldValue
+            let pattern = this._protect.find((pattern) => guard.isProtected(pattern, segments, before, after))
+            if (pattern) {
+                let fullname = jsonPath.format(segments) || null
+                this._veto(event, 'protected', jsonPath.format(pattern))
+                throw new guard.ReadOnlyError(`Can't change ${fullname || 'the document'}: ${jsonPath.format(pattern)} is protected`, fullname)
+            }
+        }
+        let hooks = this._hooks.filter((hook) => jsonPath.match(hook.pattern, segments))
+        for (let i = 0; i < hooks.length; i++) {
+            let change = {
+                fullname: jsonPath.format(segments) || null,
+                segments: segments,
+                oldValue: isArray ? undefined : event.oldValue,
+                value: after,
+                removed: !!event.removed,
+                method: isArray ? event.method : null,
+                external: false
+            }
+            if (hooks[i].hook(change) === false) {
+                this._veto(event, 'hook', jsonPath.format(hooks[i].pattern))
+                return false
+            }
+            // Removals and array changes can only be vetoed
+            if (!event.removed && !isArray && change.value !== after) {
+                after = event.value = toRaw(change.value)
+            }
+        }
+        return true
+    }
+    
+    /**
+     * Emit a vetoed event for a refused change
+     * @param {Object} event the change
+     * @param {String} reason 'protected', 'hook', 'readonly' or 'computed'
+     * @param {String} pattern the protected path, the path of the hook or of the computed value
+     */
+    _veto(event, reason, pattern) {
+        let fullname = jsonPath.format(event.segments) || null
+        log(`> Change of ${fullname || 'the document'} vetoed (${reason})`)
+        this.emit('vetoed', {
+            type: 'vetoed',
+            fullname: fullname,
+            segments: event.segments,
+            value: event.removed ? undefined : event.value,
+            oldValue: event.type === 'array' ? undefined : event.oldValue,
+            removed: !!event.removed,
+            method: event.type === 'array' ? event.method : null,
+            reason: reason,
+            pattern: pattern,
+            external: false
+        })
+    }
+    
+    /**
+     * Get the value an array had before the changes of an array method, already applied
+     * @param {Object} event the array change
+     */
+    _arrayBefore(event) {
+        if (event.oldValue) {
+            return event.oldValue
+        }
+        let array = event.value.slice()
+        event.changes.slice().reverse().forEach((change) => {
+            if (change.operation === 'insert') {
+                array.splice(change.index, change.values.length)
+            } else if (change.operation === 'remove') {
+                array.splice(change.index, 0, ...change.oldValues)
+            } else {
+                array[change.index] = change.oldValue
+            }
+        })
+        return array
+    }
+    
+    /**
+     * Read the file at start
+     * If it can't be read, the newest valid backup is used with the recover option
+     * @returns {*} the data, undefined to keep the defaults, or a promise of it with an asynchronous storage
+     */
+    _load() {
+        return attempt(() => whenReady(this._storage.stat(this.file), (stat) => {
+            if (!stat) {
+                // Created at the first write
+                this._missing = true
+                return undefined
+            }
+            if (stat.directory) {
+                // It must never be written
+                this._unreadable = true
+                this._error(`${this.file} is a directory, use LiveJSON.Directory to load the files it contains`)
+                return undefined
+            }
+            // Testing file writeable/readable
+            if (stat.readable === false || (this.options.autosave && stat.writable === false)) {
+                let message = this.options.autosave ? `File ${this.file} is not readable/writeable !` : `File ${this.file} is not readable !`
+                let err = new Error(message)
+                err.code = 'EACCES'
+                this._error(message, err)
+                return undefined
+            }
+            this.lastFileStat = stat
+            return whenReady(this._storage.read(this.file), (source) => {
+                if (source === null) {
+                    return undefined
+                }
+                // Set even if the file can't be parsed, so a recovered file isn't read again before being written
+                this._hash = hash(source)
+                // Overriding data with contents of file, if valid
+                let o = this._parse(source)
+                this._source = source
+                o = this._upgrade(o, source)
+                if (o === undefined) {
+                    return undefined
+                }
+                let errors = this.validate(o)
+                if (errors.length) {
+                    this._emitOrDefer('invalid', {
+                        type: 'invalid',
+                        fullname: null,
+                        segments: [],
+                        errors: errors,
+                        value: o,
+                        external: true
+                    })
+                    return undefined
+                }
+                return o
+            })
+        }), (e) => whenReady(this.options.recover === 'backup' ? this._findValidBackup(1) : null, (backup) => {
+            if (backup) {
+                log(`> File ${this.file} couldn't be read, recovered from ${backup.file}`)
+                this._source = backup.source
+                this._corrupt = true
+                this._emitOrDefer('recovered', {
+                    type: 'recovered',
+                    file: this.file,
+                    backup: backup.file,
+                    index: backup.index,
+                    error: e
+                })
+                return backup.data
+            }
+            this._unreadable = true
+            this._error(`File ${this.file} couldn't be read as ${this._codec.name}. Error: ${e.message}`, e)
+            return undefined
+        }))
+    }
+    
+    /**
+     * Start watching the file for external changes
+     */
+    _startWatching() {
+        if (this._unwatch || !this.file || typeof this._storage.watch !== 'function') {
+            return
+        }
+        try {
+            this._unwatch = this._storage.watch(this.file, (eventType) => {
+                log(`> Watch Event: ${eventType} ${this.file}`)
+                this._scheduleCheck()
+            }, (err) => {
+                this._error(`Error while watching file ${this.file}: ${err.message}`, err)
+            }) || null
+        } catch (err) {
+            this._error(`Couldn't watch file ${this.file}: ${err.message}`, err)
+        }
+    }
+    
+    /**
+     * Stop watching the file
+     */
+    _stopWatching() {
+        clearTimeout(this._checkTimer)
+        this._checkTimer = null
+        if (this._unwatch) {
+            this._unwatch()
+            this._unwatch = null
+        }
+    }
+    
+    /**
+     * Check the file once the watch events stop for reloadDelay ms
+     */
+    _scheduleCheck() {
+        clearTimeout(this._checkTimer)
+        this._checkTimer = setTimeout(() => {
+            this._checkTimer = null
+            if (this._transaction) {
+                // Merged with the data once the transaction is done
+                this._transaction.finished.then(() => {
+                    if (!this.paused && !this.closed) {
+                        this._scheduleCheck()
+                    }
+                })
+                return
+            }
+            this._checkFile()
+        }, this.options.reloadDelay)
+    }
+    
+    /**
+     * Reload the file if its contents changed since the last read or write
+     * Emits 'unlink' when the file is removed, and 'add' when it is created again
+     * @returns {Promise|undefined} a promise with an asynchronous storage
+     */
+    _checkFile() {
+        return attempt(() => whenReady(this._storage.stat(this.file), (stat) => {
+            if (!stat) {
+                if (this.lastFileStat) {
+                    log(`> File ${this.file} removed`)
+                    // The data is kept, and written again on the next change
+                    this.lastFileStat = null
+                    this._hash = null
+                    this.emit('unlink', { type: 'unlink', file: this.file })
+                }
+                return
+            }
+            let added = !this.lastFileStat
+            this.lastFileStat = stat
+            if (added) {
+                log(`> File ${this.file} added`)
+                this.emit('add', { type: 'add', file: this.file })
+            }
+            return whenReady(this._reload(), (save) => {
+                if (save) {
+                    // Our changes still have to be written
+                    this._scheduleSave()
+                }
+            })
+        }), (err) => {
+            this._error(`Couldn't check file ${this.file}: ${err.message}`, err)
+        })
+    }
+    
+    /**
+     * Parse the contents of the file with the codec
+     * @param {String} text
+     */
+    _parse(text) {
+        let data = this._codec.parse(text)
+        return this._secrets ? this._secrets.decrypt(data) : data
+    }
+    
+    /**
+     * Serialize the data for the file with the codec
+     * The codec gets the previous contents of the file, to keep comments and formatting when it can
+     * @param {*} data
+     */
+    _serialize(data) {
+        if (this._secrets) {
+            data = this._secrets.encrypt(data)
+        }
+        if (this._source !== null) {
+            try {
+                return this._codec.serialize(data, { spacer: this.options.spacer, source: this._source })
+            } catch (e) {
+                log(`> Couldn't update the previous contents of ${this.file}, writing it again: ${e.message}`)
+            }
+        }
+        return this._codec.serialize(data, { spacer: this.options.spacer, source: null })
+    }
+    
+    /**
+     * Read the file and apply its contents as an external change
+     * The changes not written yet are kept: the file is merged with them, from the data last read or written
+     * @returns {Boolean} if the data is now different from the file, and must be written (or a promise of it)
+     */
+    _reload() {
+        return attempt(() => whenReady(this._storage.read(this.file), (source) => {
+            if (source === null || hash(source) === this._hash) {
+                // Removed, or not modified since our last read or write (an unreadable file is reported once)
+                return false
+            }
+            log(`> File ${this.file} changed, must reload`)
+            this._hash = hash(source)
+            let o = this._parse(source)
+            this._source = source
+            this._unreadable = false
+            this._corrupt = false
+            o = this._upgrade(o, source)
+            if (o === undefined) {
+                return false
+            }
+            let save = this._mergeExternal(o)
+            if (this._migration) {
+                this._saveMigration()
+                return false
+            }
+            return save
+        }), (e) => {
+            // The file must not be overwritten until it is fixed
+            this._unreadable = true
+            this._error(`File ${this.file} couldn't be read as ${this._codec.name}. Error: ${e.message}`, e)
+            return false
+        })
+    }
+    
+    /**
+     * Set the latest version on the defaults, once an asynchronous storage tells there is no file
+     */
+    _stampVersion() {
+        let key = this.options.versionKey
+        if (this._migrations.length && isObject(this._data) && this._data[key] === undefined) {
+            this._data[key] = this._migrations[this._migrations.length - 1].version
+            this._base = toRaw(this._data)
+        }
+    }
+    
+    /**
+     * Run the pending migrations on the data of the file
+     * The upgraded data must then be written with _saveMigration()
+     * If a migration fails, the error is reported and the file is not overwritten until it is fixed
+     * @param {*} o the data of the file
+     * @param {String} source the contents of the file, backed up before writing the upgraded data
+     * @returns {*} the upgraded data, undefined if a migration failed
+     */
+    _upgrade(o, source) {
+        let key = this.options.versionKey
+        if (!this._migrations.length || !isObject(o)) {
+            return o
+        }
+        let from = o[key] === undefined ? 1 : o[key]
+        let pending = this._migrations.filter((migration) => migration.version > from)
+        if (!pending.length) {
+            return o
+        }
+        let data = clone(o)
+        for (let i = 0; i < pending.length; i++) {
+            let migration = pending[i]
+            try {
+                let result = migration.fn(data)
+                data = toRaw(result === undefined ? data : result)
+                if (!isObject(data)) {
+                    throw new Error('a migration must return an object')
+                }
+            } catch (e) {
+                this._unreadable = true
+                this._error(`Couldn't migrate ${this.file} from version ${from} to version ${migration.version}: ${e.message}`, e)
+                return undefined
+            }
+            data[key] = migration.version
+        }
+        log(`> File ${this.file} migrated from version ${from} to version ${data[key]}`)
+        this._migration = { from: from, to: data[key], source: source }
+        return data
+    }
+    
+    /**
+     * Write the file upgraded by the migrations, after backing up the original file as file.v<version>
+     * A backup already there is kept: the next ones are file.v<version>.1, file.v<version>.2...
+     * Emits 'migrated'
+     * @returns {Promise} resolved when the upgraded file is written
+     */
+    _saveMigration() {
+        let migration = this._migration
+        this._migration = null
+        let backup = `${this.file}.v${migration.from}`
+        return Promise.resolve().then(() => this._freeKey(backup)).then((free) => {
+            backup = free
+            this._emitOrDefer('migrated', {
+                type: 'migrated',
+                file: this.file,
+                from: migration.from,
+                to: migration.to,
+                backup: backup
+            })
+            return this._storage.write(backup, migration.source)
+        }).then(() => {
+            this._dirty = true
+            // Errors are reported by the write, without autosave the file is upgraded by the next save()
+            return this.options.autosave ? this.flush().catch(() => {}) : undefined
+        }, (err) => {
+            this._error(`Couldn't back up ${this.file} to ${backup} before writing its migration: ${err.message}`, err)
+        })
+    }
+    
+    /**
+     * Apply the data of the file, merged with the changes not written yet
+     * @param {*} o the data of the file
+     * @returns {Boolean} if the data is now different from the file, and must be written
+     */
+    _mergeExternal(o) {
+        let result
+        try {
+            result = merge(this._base, toRaw(this._data), o, (conflict) => this._resolveConflict(conflict))
+        } catch (e) {
+            this._error(`Couldn't merge the changes of ${this.file}: ${e.message}`, e)
+            return false
+        }
+        this._base = o
+        if (result.conflicts.length) {
+            log(`> Conflicts with the changes of ${this.file}: ${result.conflicts.map((c) => jsonPath.format(c.segments)).join(', ')}`)
+            this.emit('conflict', {
+                type: 'conflict',
+                fullnames: result.conflicts.map((c) => jsonPath.format(c.segments)),
+                conflicts: result.conflicts.map((c) => Object.assign({ fullname: jsonPath.format(c.segments) }, c)),
+                resolution: typeof this.options.conflict === 'function' ? 'custom' : this.options.conflict
+            })
+        }
+        this.set(result.value, true)
+        return !deepEqual(result.value, o)
+    }
+    
+    /**
+     * Choose the value of a path changed both in the file and in the pending changes, with the conflict option
+     * @param {Object} conflict segments, base, ours and theirs (undefined if the key doesn't exist)
+     * @returns {*} the value to keep, undefined to remove the key
+     */
+    _resolveConflict(conflict) {
+        let resolution = this.options.conflict
+        if (typeof resolution === 'function') {
+            return resolution(Object.assign({ fullname: jsonPath.format(conflict.segments) }, conflict))
+        }
+        return resolution === 'ours' ? conflict.ours : conflict.theirs
+    }
+    
+    /**
+     * Stop reloading the file on external changes, until resume() is called
+     * The writes don't read the file first either, except with the lock option
+     */
+    pause() {
+        this.paused = true
+        this._stopWatching()
+    }
+    
+    /**
+     * Reload the file on external changes again
+     * If the file was changed while paused, it is reloaded now
+     */
+    resume() {
+        if (!this.paused || this.closed) {
+            return
+        }
+        this.paused = false
+        if (this.options.autoload) {
+            this._startWatching()
+            this._checkFile()
+        }
+    }
+    
+    /**
+     * Stop watching the file and write the pending changes
+     * Emits 'close' when done
+     * @returns {Promise} resolved when the pending changes are on disk
+     */
+    close() {
+        if (this._closing) {
+            return this._closing
+        }
+        this.closed = true
+        this._stopWatching()
+        let done = () => {
+            this.emit('close')
+        }
+        // The clients can't send changes once the server is closed
+        let closing = this._server ? this._server.close().then(() => this.flush()) : (this._client ? this._client.close() : this.flush())
+        this._closing = closing.then(done, (err) => {
+            done()
+            throw err
+        })
+        return this._closing
+    }
+    
+    /**
+     * Called when a value is read, while there are interpolated strings or computed values
+     * @param {Object|Array} target the raw object
+     * @param {String} name the property
+     * @param {*} value the raw value
+     * @param {LiveJSONObjectProp} handler the handler of the proxy, to find the path
+     * @returns {*} the value to read
+     */
+    _onGet(target, name, value, handler) {
+        if (this._tracking || this._computedNames.has(name)) {
+            let segments = handler.segments(target).concat(handler._key(target, name))
+            if (this._tracking) {
+                this._tracking.push(segments)
+            }
+            let entry = this._computedAt(segments)
+            if (entry) {
+                if (entry.evaluating) {
+                    this._error(`Circular reference: ${jsonPath.format(entry.segments)} reads itself`)
+                    return undefined
+                }
+                return entry.value
+            }
+        }
+        if (this.options.interpolate && interpolation.isTemplate(value)) {
+            return this._resolve(value, handler.segments(target).concat(handler._key(target, name)), [])
+        }
+        return value
+    }
+    
+    /**
+     * Tell the handlers if the values read must be resolved
+     */
+    _updateResolving() {
+        let resolving = !!this.options.interpolate || this._computed.length > 0
+        this._proxies.resolving = resolving
+        if (this._readonly) {
+            this._readonly.resolving = resolving
+        }
+    }
+    
+    /**
+     * Find the computed value of a path
+     * @param {Array} segments
+     */
+    _computedAt(segments) {
+        return this._computed.find((entry) => entry.segments.length === segments.length && jsonPath.isPrefix(entry.segments, segments))
+    }
+    
+    /**
+     * Resolve the references of a string, references to missing values are kept
+     * A string with a circular reference isn't resolved, the error is emitted once for each cycle until the strings change
+     * @param {String} text
+     * @param {Array} segments the path of the string
+     * @param {Array} stack the paths of the strings being resolved
+     */
+    _resolve(text, segments, stack) {
+        if (!stack.length) {
+            try {
+                return this._resolve(text, segments, [jsonPath.format(segments)])
+            } catch (e) {
+                if (!(e instanceof CircularReference)) {
+                    throw e
+                }
+                // Reported once, whatever the string read first
+                let cycle = JSON.stringify(e.paths.slice(e.paths.indexOf(e.paths[e.paths.length - 1]), -1).sort())
+                if (!this._cycles.has(cycle)) {
+                    this._cycles.add(cycle)
+                    this._error(`Circular reference in ${jsonPath.format(segments) || 'the document'}: ${e.message}`)
+                }
+                return text
+            }
+        }
+        let value = interpolation.interpolate(text, (reference) => {
+            if (reference.indexOf('env:') === 0) {
+                return process.env[reference.substr(4)]
+            }
+            let target
+            try {
+                target = jsonPath.parse(reference)
+            } catch (e) {
+                this._error(`Invalid reference \${${reference}} in ${stack[0]}: ${e.message}`, e)
+                return undefined
+            }
+            let name = jsonPath.format(target)
+            if (stack.indexOf(name) !== -1) {
+                throw new CircularReference(stack.concat(name))
+            }
+            if (this._tracking) {
+                this._tracking.push(target)
+            }
+            let entry = this._computedAt(target)
+            if (entry) {
+                return entry.value
+            }
+            let found = jsonPath.get(this._data, target)
+            if (interpolation.isTemplate(found)) {
+                return this._resolve(found, target, stack.concat(name))
+            }
+            // The strings of an object are resolved too
+            return interpolation.findTemplates(found).reduce((resolved, template) => {
+                let segments = target.concat(template.segments)
+                return jsonPath.setIn(resolved, template.segments, this._resolve(template.text, segments, stack.concat(jsonPath.format(segments))))
+            }, found)
+        })
+        // Objects are copies, they aren't part of the data
+        return typeof value === 'object' && value !== null ? clone(value) : value
+    }
+    
+    /**
+     * Compute an interpolated string or a computed value again, the paths read are its dependencies
+     * @param {Object} entry
+     * @returns {*} the value
+     */
+    _evaluate(entry) {
+        let tracking = this._tracking
+        this._tracking = []
+        entry.evaluating = true
+        try {
+            entry.value = entry.fn ? toRaw(entry.fn(this._val)) : this._resolve(entry.text, entry.segments, [])
+        } catch (e) {
+            this._error(`Couldn't compute ${jsonPath.format(entry.segments)}: ${e.message}`, e)
+            entry.value = undefined
+        } finally {
+            // Reading db.host reads db first, only the deepest paths are kept
+            entry.deps = this._tracking.filter((dep, i, deps) => !deps.some((other) => other.length > dep.length && jsonPath.isPrefix(dep, other)))
+            entry.evaluating = false
+            this._tracking = tracking
+        }
+        return entry.value
+    }
+    
+    /**
+     * Find the interpolated strings of the data, the strings already known keep their value and dependencies
+     */
+    _indexTemplates() {
+        // The strings changed, the cycles still there are reported again
+        this._cycles.clear()
+        let known = new Map(this._templates.map((entry) => [jsonPath.format(entry.segments), entry]))
+        this._templates = interpolation.findTemplates(this._data).map((template) => {
+            let entry = known.get(jsonPath.format(template.segments))
+            if (entry && entry.text === template.text) {
+                entry.segments = template.segments
+                return entry
+            }
+            entry = { segments: template.segments, text: template.text, deps: [], value: undefined, evaluating: false }
+            this._evaluate(entry)
+            return entry
+        })
+    }
+    
+    /**
+     * Compute again the interpolated strings and the computed values reading changed values, directly or through each other,
+     * and emit a propchange (with computed: true) for each one whose value changed
+     * @param {Array} records the changes
+     * @param {Boolean} external if the change is an external change or not
+     */
+    _updateDerived(records, external) {
+        if (!this.options.interpolate && !this._computed.length) {
+            return
+        }
+        if (this.options.interpolate && records.some((r) => isSplice(r) || interpolation.hasTemplates(r.value) || interpolation.hasTemplates(r.oldValue))) {
+            this._indexTemplates()
+        }
+        let entries = this._templates.concat(this._computed)
+        let reads = (entry, paths) => entry.deps.some((dep) => paths.some((segments) => jsonPath.isPrefix(dep, segments) || jsonPath.isPrefix(segments, dep)))
+        let affected = entries.filter((entry) => reads(entry, records.map((r) => r.segments)))
+        for (let i = 0; i < affected.length; i++) {
+            entries.filter((entry) => affected.indexOf(entry) === -1 && reads(entry, [affected[i].segments])).forEach((entry) => affected.push(entry))
+        }
+        while (affected.length) {
+            // Computed after the values they read
+            let ready = affected.filter((entry) => !affected.some((other) => other !== entry && reads(entry, [other.segments])))
+            if (!ready.length) {
+                this._error(`Circular reference between ${affected.map((entry) => jsonPath.format(entry.segments)).join(', ')}`)
+                return
+            }
+            ready.forEach((entry) => {
+                let oldValue = entry.value
+                if (deepEqual(oldValue, this._evaluate(entry))) {
+                    return
+                }
+                this.emit('propchange', {
+                    type: 'propchange',
+                    fullname: entry.segments.join('.'),
+                    segments: entry.segments,
+                    name: entry.segments[entry.segments.length - 1],
+                    oldValue: oldValue,
+                    value: entry.value,
+                    removed: false,
+                    computed: true,
+                    external: external
+                })
+            })
+            affected = affected.filter((entry) => ready.indexOf(entry) === -1)
+        }
+    }
+    
+    /**
+     * Called when a change is done on any property of the object
+     */
+    _onSet(event) {
+        if (event.type === 'array') {
+            return this._onArrayChange(event)
+        }
+        let hasChange = event.removed || event.value !== event.oldValue
+        if (!hasChange) {
+            return false
+        }
+        this._emitChangeEvent('propchange', {
+            type: 'propchange',
+            fullname: event.fullpath,
+            segments: event.segments,
+            name: event.name,
+            oldValue: event.oldValue,
+            value: event.value,
+            removed: !!event.removed,
+            external: false
+        })
+        this._commit({
+            type: 'change',
+            fullname: event.fullpath,
+            segments: event.segments,
+            name: event.name,
+            oldValue: event.oldValue,
+            value: event.value,
+            removed: !!event.removed,
+            external: false
+        }, [{
+            segments: event.segments,
+            oldValue: toRaw(event.oldValue),
+            value: toRaw(event.value),
+            added: !!event.added,
+            removed: !!event.removed
+        }], false)
+    }
+    
+    /**
+     * Called when an array method changed an array
+     * A propchange is emitted for each insertion, removal, move or replacement, and the change event has them all
+     * Their value and oldValue are the values at their index after and before the change, the inserted and removed values are in values and oldValues,
+     * the value and oldValue of the change event are the whole array after and before the call
+     * Insertions, removals and replacements are recorded value by value, like JSON Patch add, remove and replace in arrays,
+     * a sort, a reverse, a fill or a copyWithin is recorded as a change of the whole array
+     */
+    _onArrayChange(event) {
+        // Copies of the whole array, like for an assignment, made only for the change listeners
+        let copies = this.listenerCount('change') > 0
+        let oldValue = copies ? this._arrayBefore(event).slice() : undefined
+        let value = copies ? event.value.slice() : undefined
+        let changes = event.changes.map((change) => {
+            let propchange = Object.assign({
+                type: 'propchange',
+                fullname: event.fullpath,
+                segments: event.segments,
+                name: event.name
+            }, change, {
+                added: change.operation === 'insert',
+                removed: change.operation === 'remove',
+                external: false
+            })
+            this._emitChangeEvent('propchange', propchange)
+            return Object.assign({}, propchange, { type: 'change' })
+        })
+        let records = []
+        if (event.oldValue) {
+            records.push({
+                segments: event.segments,
+                oldValue: toRaw(event.oldValue),
+                value: toRaw(event.value),
+                added: false,
+                removed: false
+            })
+        } else {
+            event.changes.forEach((change) => {
+                if (change.operation === 'replace') {
+                    records.push({
+                        segments: event.segments.concat(change.index),
+                        oldValue: toRaw(change.oldValue),
+                        value: toRaw(change.value),
+                        added: false,
+                        removed: false
+                    })
+                    return
+                }
+                let values = change.operation === 'insert' ? change.values : change.oldValues
+                values.forEach((value, i) => {
+                    records.push({
+                        // The removed values are all at the same index, one after the other
+                        segments: event.segments.concat(change.operation === 'insert' ? change.index + i : change.index),
+                        oldValue: change.operation === 'insert' ? undefined : toRaw(value),
+                        value: change.operation === 'insert' ? toRaw(value) : undefined,
+                        added: change.operation === 'insert',
+                        removed: change.operation === 'remove'
+                    })
+                })
+            })
+        }
+        this._commit({
+            type: 'change',
+            fullname: event.fullpath,
+            segments: event.segments,
+            name: event.name,
+            oldValue: oldValue,
+            value: value,
+            method: event.method,
+            changes: changes,
+            external: false
+        }, records, false)
+    }
+    
+    /**
+     * Emit a propchange event, or keep it for the end of the transaction
+     * @param {String} name the event name
+     * @param {Object} event the event
+     */
+    _emitChangeEvent(name, event) {
+        if (this._transaction && !event.external) {
+            this._transaction.events.push({ name: name, event: event })
+        } else {
+            this.emit(name, event)
+        }
+    }
+    
+    /**
+     * Finish a change: emit the change event, keep the change in the history and save it
+     * In a transaction, everything is done at the end of the transaction
+     * @param {Object} event the change event
+     * @param {Array} records the changes, with the path and the old and new values
+     * @param {Boolean} external if the change is an external change or not
+     */
+    _commit(event, records, external) {
+        if (this._transaction && !external) {
+            this._transaction.changes.push(event)
+            Array.prototype.push.apply(this._transaction.records, records)
+            return
+        }
+        this.emit('change', event)
+        this._updateDerived(records, external)
+        if (this.listenerCount('patch')) {
+            let operations = patch.fromRecords(records)
+            if (operations.length) {
+                this.emit('patch', {
+                    type: 'patch',
+                    operations: operations,
+                    external: external
+                })
+            }
+        }
+        this._notifySubscriptions(records, external)
+        if (!this._replaying) {
+            this._pushHistory(records)
+        }
+        if (this._server) {
+            this._server.broadcast(records)
+        }
+        if (!external) {
+            if (this._client) {
+                this._client.send(records)
+            }
+            this._scheduleSave()
+        }
+    }
+    
+    /**
+     * Subscribe to the changes of the values matching a path
+     * The path can contain wildcards: "*" matches one key, "**" any number of keys
+     * Ex:
+        let unwatch = config.watch('db.*.host', (value, oldValue, e) => {
+            console.log(`${e.fullname} changed from ${oldValue} to ${value}`)
+        })
+     * @param {String|Array} pattern the path, as a string or a list of keys
+     * @param {Function} cb called with (value, oldValue, event) for each changed value
+     * @param {Object} [options] immediate: cb is called now with the current values,
+     *                           deep: cb is also called when a value inside a matching value changes
+     * @returns {Function} function removing the subscription
+     */
+    watch(pattern, cb, options) {
+        options = options || {}
+        let subscription = {
+            pattern: jsonPath.parse(pattern),
+            cb: cb,
+            deep: !!options.deep
+        }
+        this._subscriptions.push(subscription)
+        if (options.immediate) {
+            jsonPath.expand(subscription.pattern, this._data).forEach((segments) => {
+                cb(this._redact(toRaw(jsonPath.get(this._data, segments)), segments), undefined, {
+                    type: 'watch',
+                    fullname: jsonPath.format(segments),
+                    segments: segments,
+                    immediate: true,
+                    external: false
+                })
+            })
+        }
+        return () => {
+            let index = this._subscriptions.indexOf(subscription)
+            if (index !== -1) {
+                this._subscriptions.splice(index, 1)
+            }
+        }
+    }
+    
+    /**
+     * Add a hook called before the changes of the values matching a path, it can veto or transform them
+     * The hook gets { fullname, segments, value, oldValue, removed, method }: it returns false to veto the change,
+     * or sets change.value to assign another value. Removals and array method calls (method is set) can only be vetoed
+     * A vetoed change is ignored and emits 'vetoed'
+     * Ex:
+        config.beforeChange('servers.*.port', (change) => {
+            change.value = Number(change.value)
+            return change.value > 0
+        })
+     * @param {String|Array} pattern the path, with wildcards like watch()
+     * @param {Function} hook
+     * @returns {Function} function removing the hook
+     */
+    beforeChange(pattern, hook) {
+        let entry = {
+            pattern: jsonPath.parse(pattern),
+            hook: hook
+        }
+        this._hooks.push(entry)
+        return () => {
+            let index = this._hooks.indexOf(entry)
+            if (index !== -1) {
+                this._hooks.splice(index, 1)
+            }
+        }
+    }
+    
+    /**
+     * Add a value computed from the data, computed again when a value it reads changes
+     * It is read like the other values, but it isn't in the keys of its parent, it isn't saved and it can't be changed
+     * When it changes, a propchange is emitted with computed: true
+     * Ex:
+        config.computed('db.url', ($) => `postgres://${$.db.host}:${$.db.port}/${$.db.name}`)
+        config.$.db.url // postgres://localhost:5432/app
+     * @param {String|Array} name the path of the value
+     * @param {Function} fn called with the live object, returns the value
+     * @returns {Function} function removing the computed value
+     */
+    computed(name, fn) {
+        let segments = jsonPath.parse(name)
+        if (!segments.length || typeof fn !== 'function') {
+            throw new TypeError('A computed value needs a path and a function')
+        }
+        if (this._computedAt(segments)) {
+            throw new Error(`${jsonPath.format(segments)} is already computed`)
+        }
+        let entry = { segments: segments, fn: fn, deps: [], value: undefined, evaluating: false }
+        this._computed.push(entry)
+        this._computedNames.add(String(segments[segments.length - 1]))
+        this._updateResolving()
+        this._evaluate(entry)
+        return () => {
+            let index = this._computed.indexOf(entry)
+            if (index !== -1) {
+                this._computed.splice(index, 1)
+                this._computedNames = new Set(this._computed.map((entry) => String(entry.segments[entry.segments.length - 1])))
+                this._updateResolving()
+            }
+        }
+    }
+    
+    /**
+     * Get a read-only view of the data, to share it without allowing changes
+     * The view follows the changes of the data, and throws a ReadOnlyError (and emits 'vetoed') on any change
+     * @returns {Object} the view
+     */
+    readonly() {
+        if (!this._readonly) {
+            this._readonly = new ReadonlyObjectProp((segments) => {
+                this._veto({ type: 'value', segments: segments }, 'readonly', null)
+            }, (target, name, value, handler) => this._onGet(target, name, value, handler), this._secrets ? (target, segments) => this._redact(target, segments) : null)
+            this._updateResolving()
+        }
+        return this._readonly.wrap(this._data, null, null)
+    }
+    
+    /**
+     * Get the value a path had before some changes
+     * @param {Array} records the changes
+     * @param {Array} segments the path
+     */
+    _valueBefore(records, segments) {
+        // The values of an array moved by insertions or removals are found in the array as it was
+        let arrays = records.filter((record) => isSplice(record) && record.segments.length <= segments.length && jsonPath.isPrefix(record.segments.slice(0, -1), segments))
+        if (arrays.length) {
+            let length = Math.min(...arrays.map((record) => record.segments.length - 1))
+            return jsonPath.get(this._valueBefore(records, segments.slice(0, length)), segments.slice(length))
+        }
+        let value = jsonPath.get(this._data, segments)
+        for (let i = records.length - 1; i >= 0; i--) {
+            let record = records[i]
+            if (jsonPath.isPrefix(record.segments, segments)) {
+                value = record.added ? undefined : jsonPath.get(record.oldValue, segments.slice(record.segments.length))
+            } else if (jsonPath.isPrefix(segments, record.segments) && typeof value === 'object' && value !== null) {
+                value = jsonPath.setIn(value, record.segments.slice(segments.length), record.oldValue, record.added, record.removed)
+            }
+        }
+        return value
+    }
+    
+    /**
+     * Call the subscriptions matching the changed values
+     * @param {Array} records the changes
+     * @param {Boolean} external if the change is an external change or not
+     */
+    _notifySubscriptions(records, external) {
+        this._subscriptions.slice().forEach((subscription) => {
+            let pattern = subscription.pattern
+            let candidates = new Map()
+            let add = (segments) => {
+                candidates.set(JSON.stringify(segments), segments)
+            }
+            records.forEach((record) => {
+                // An insertion or a removal in an array changes the values after it too
+                let segments = isSplice(record) ? record.segments.slice(0, -1) : record.segments
+                // The changed value itself, or the values containing it
+                for (let length = subscription.deep ? 0 : segments.length; length <= segments.length; length++) {
+                    if (jsonPath.match(pattern, segments.slice(0, length))) {
+                        add(segments.slice(0, length))
+                    }
+                }
+                // The values inside the changed value
+                jsonPath.remainders(pattern, segments).forEach((rest) => {
+                    if (rest.length) {
+                        jsonPath.expand(rest, this._valueBefore(records, segments), segments).forEach(add)
+                        jsonPath.expand(rest, jsonPath.get(this._data, segments), segments).forEach(add)
                     }
+                })
+            })
+            candidates.forEach((segments) => {
+                let oldValue = this._valueBefore(records, segments)
+                let value = jsonPath.get(this._data, segments)
+                if (!deepEqual(oldValue, value)) {
+                    // The secrets are hidden like in the events
+                    subscription.cb(this._redact(toRaw(value), segments), this._redact(oldValue, segments), {
+                        type: 'watch',
+                        fullname: jsonPath.format(segments),
+                        segments: segments,
+                        immediate: false,
+                        external: external
+                    })
+                }
+            })
+        })
+    }
+    
+    /**
+     * Apply all the changes made in fn as one change
+     * Only one change event is emitted and the file is written once
+     * If fn throws (or returns a rejected promise), all the changes are rolled back
+     * fn can be asynchronous: until it is done, only its own changes are allowed (the others throw),
+     * and the file is neither written nor reloaded
+     * On Node versions without AsyncLocalStorage, all the changes made until it is done are part of it
+     * Ex:
+        config.transaction(($) => {
+            $.host = 'localhost'
+            $.port = 8080
+        })
+     * @param {Function} fn called with the live object
+     * @returns {*} the value returned by fn
+     */
+    transaction(fn) {
+        if (this._inTransaction()) {
+            // Nested transactions are part of the parent one
+            return fn(this._val)
+        }
+        if (this._transaction) {
+            throw new Error('A transaction is already running')
+        }
+        let done
+        let transaction = this._transaction = {
+            events: [],
+            changes: [],
+            records: [],
+            // Resolved when the transaction is committed or rolled back
+            finished: new Promise((resolve) => {
+                done = resolve
+            }),
+            done: done
+        }
+        let result
+        try {
+            result = transactionContext.run(transaction, () => fn(this._val))
+        } catch (err) {
+            this._rollback(transaction)
+            throw err
+        }
+        if (result && typeof result.then === 'function') {
+            return result.then((value) => {
+                this._endTransaction(transaction)
+                return value
+            }, (err) => {
+                this._rollback(transaction)
+                throw err
+            })
+        }
+        this._endTransaction(transaction)
+        return result
+    }
+    
+    /**
+     * Check if the code running is part of the running transaction
+     */
+    _inTransaction() {
+        if (this._transaction === null) {
+            return false
+        }
+        // Without AsyncLocalStorage, the changes can't be told apart: all of them are part of the running transaction
+        return transactionContext.getStore() === this._transaction || !AsyncLocalStorage
+    }
+    
+    /**
+     * Cancel all the changes of a transaction
+     * @param {Object} transaction
+     */
+    _rollback(transaction) {
+        this._transaction = null
+        transaction.records.slice().reverse().forEach((record) => {
+            this._applyRecord(record.segments, record.oldValue, record.added, record.removed)
+        })
+        transaction.done()
+    }
+    
+    /**
+     * Validate and commit the changes of a transaction
+     * @param {Object} transaction
+     */
+    _endTransaction(transaction) {
+        this._transaction = null
+        transaction.done()
+        if (!transaction.records.length) {
+            return
+        }
+        // Values are only checked at the end, a transaction can go through invalid states
+        let errors = this.validate(this._data)
+        if (errors.length) {
+            this._rollback(transaction)
+            return this._invalid(errors, this._data, [], false)
+        }
+        transaction.events.forEach((e) => {
+            this.emit(e.name, e.event)
+        })
+        this._commit({
+            type: 'change',
+            fullname: null,
+            segments: [],
+            name: null,
+            fullnames: transaction.changes.map((e) => e.fullname),
+            changes: transaction.changes,
+            external: false
+        }, transaction.records, false)
+    }
+    
+    /**
+     * Apply JSON Patch operations (RFC 6902) to the data
+     * All the operations are applied as one transaction: if one fails, nothing is changed
+     * Ex:
+        config.applyPatch([
+            { op: 'replace', path: '/db/host', value: 'localhost' },
+            { op: 'add', path: '/servers/-', value: 'backup' }
+        ])
+     * @param {Array} ops the operations
+     */
+    applyPatch(ops) {
+        patch.check(ops)
+        this.transaction(() => {
+            ops.forEach((op, index) => {
+                this._applyOperation(op, index)
+            })
+        })
+    }
+    
+    /**
+     * Share the data with the LiveJSON of other processes created with the socket option
+     * The clients get the data when they connect, then every change made here or by a client is sent to all of them,
+     * and they emit change and propchange events as external changes
+     * Ex:
+        let config = new LiveJSON('config.json')
+        config.listen('/tmp/config.sock')
+        // In another process
+        let shared = new LiveJSON({ socket: '/tmp/config.sock' })
+        shared.ready.then(() => { shared.$.db.host = 'localhost' }) // Written to config.json by the first process
+     * @param {String} socket the path of the Unix socket (or of the named pipe on Windows)
+     * @returns {Promise} resolved when the clients can connect
+     */
+    listen(socket) {
+        if (this._client) {
+            return Promise.reject(new Error(`Already syncing with ${this._client.path}`))
+        }
+        if (this._server) {
+            return Promise.reject(new Error(`Already listening on ${this._server.path}`))
+        }
+        let server = new SyncServer(this, socket)
+        this._server = server
+        return this.ready.then(() => server.listen()).catch((err) => {
+            this._server = null
+            throw err
+        })
+    }
+    
+    /**
+     * Apply the changes received from the server, as external changes
+     * @param {Array} ops the JSON Patch operations, only add, remove and replace
+     */
+    _applyRemote(ops) {
+        let data = ops.reduce((data, op) => jsonPath.setIn(data, patch.fromPointer(op.path), op.value, op.op === 'remove', op.op === 'add'), this._data)
+        this.set(data, true)
+    }
+    
+    /**
+     * Find a value in the data
+     * @param {Array} segments the path of the value
+     * @returns {Object} { exists, value }
+     */
+    _lookup(segments) {
+        let value = this._data
+        for (let i = 0; i < segments.length; i++) {
+            let name = segments[i]
+            if (typeof value !== 'object' || value === null || !Object.prototype.hasOwnProperty.call(value, name) || (Array.isArray(value) && !/^\d+$/.test(name))) {
+                return { exists: false, value: undefined }
+            }
+            value = value[name]
+        }
+        return { exists: true, value: value }
+    }
+    
+    /**
+     * Apply one JSON Patch operation, through the live object so all the changes are tracked
+     * @param {Object} op the operation
+     * @param {Number} index the index of the operation in the patch
+     */
+    _applyOperation(op, index) {
+        function fail(message) {
+            throw new patch.PatchError(`Operation ${index} (${op.op} ${op.path}) failed: ${message}`, op, index)
+        }
+        let segments
+        try {
+            segments = patch.fromPointer(op.path)
+        } catch (e) {
+            fail(e.message)
+        }
+        let value = op.value
+        if (op.op === 'test') {
+            let found = this._lookup(segments)
+            if (!found.exists || !deepEqual(found.value, op.value)) {
+                fail('the value is different')
+            }
+            return
+        }
+        if (op.op === 'move' || op.op === 'copy') {
+            let from
+            try {
+                from = patch.fromPointer(op.from)
+            } catch (e) {
+                fail(e.message)
+            }
+            let found = this._lookup(from)
+            if (!found.exists) {
+                fail(`${op.from} doesn't exist`)
+            }
+            value = toRaw(found.value)
+            if (op.op === 'move') {
+                if (op.path.indexOf(op.from + '/') === 0) {
+                    fail('a value can\'t be moved into itself')
                 }
-                if (hasChange && Array.isArray(a) && Array.isArray(b)) {
-                    let index = 0
-                    while (index < a.length) {
-                        if (typeof(a[index]) === 'undefined') {
-                            a.splice(index, 1)
-                        } else {
-                            index++
-                        }
-                    }
+                this._applyOperation({ op: 'remove', path: op.from }, index)
+            }
+        }
+        if (!segments.length) {
+            if (op.op === 'remove') {
+                fail('the root can\'t be removed')
+            }
+            return this.set(value)
+        }
+        let parentSegments = segments.slice(0, -1)
+        let name = segments[segments.length - 1]
+        let found = this._lookup(parentSegments)
+        if (!found.exists || typeof found.value !== 'object' || found.value === null) {
+            fail('the parent doesn\'t exist')
+        }
+        let parent = parentSegments.reduce((o, key) => o[key], this._val)
+        if (Array.isArray(found.value)) {
+            let length = found.value.length
+            let i = name === '-' && op.op !== 'remove' && op.op !== 'replace' ? length : Number(name)
+            if (!/^(0|[1-9]\d*|-)$/.test(name) || isNaN(i) || i > length || (op.op !== 'add' && op.op !== 'copy' && op.op !== 'move' && i >= length)) {
+                fail('invalid array index')
+            }
+            if (op.op === 'remove') {
+                parent.splice(i, 1)
+            } else if (op.op === 'replace') {
+                parent[i] = value
+            } else {
+                parent.splice(i, 0, value)
+            }
+        } else {
+            let exists = Object.prototype.hasOwnProperty.call(found.value, name)
+            if ((op.op === 'remove' || op.op === 'replace') && !exists) {
+                fail('the value doesn\'t exist')
+            }
+            if (op.op === 'remove') {
+                delete parent[name]
+            } else {
+                parent[name] = value
+            }
+        }
+    }
+    
+    /**
+     * Set or remove a value in the data
+     * The root object is changed in place, so the live object stays the same
+     * In arrays, insertions and removals move the next values, like JSON Patch add and remove
+     * @param {Array} segments the path of the value
+     * @param {*} value the value
+     * @param {Boolean} remove if the value must be removed
+     * @param {Boolean} insert if the value is inserted in an array
+     */
+    _applyRecord(segments, value, remove, insert) {
+        value = toRaw(value)
+        if (!segments.length) {
+            if (Array.isArray(this._data)) {
+                this._data.length = 0
+                Array.prototype.push.apply(this._data, value)
+            } else {
+                Object.keys(this._data).forEach((name) => {
+                    delete this._data[name]
+                })
+                Object.assign(this._data, value)
+            }
+            return
+        }
+        let parent = this._data
+        segments.slice(0, -1).forEach((name) => {
+            parent = parent[name]
+        })
+        let name = segments[segments.length - 1]
+        if (Array.isArray(parent) && remove) {
+            parent.splice(name, 1)
+        } else if (Array.isArray(parent) && insert && name < parent.length) {
+            parent.splice(name, 0, value)
+        } else if (!remove) {
+            parent[name] = value
+        } else {
+            delete parent[name]
+        }
+    }
+    
+    /**
+     * Keep changes in the history, so they can be undone
+     * @param {Array} records the changes
+     */
+    _pushHistory(records) {
+        if (!this.options.history || !records.length) {
+            return
+        }
+        this._undoStack.push(records)
+        if (this._undoStack.length > this.options.history) {
+            this._undoStack.shift()
+        }
+        this._redoStack = []
+    }
+    
+    /**
+     * Apply changes from the history, emit the events and save them
+     * @param {Array} records the changes
+     */
+    _replay(records) {
+        if (this._transaction) {
+            throw new Error('History can\'t be used while a transaction is running')
+        }
+        let changes = records.map((record) => {
+            this._applyRecord(record.segments, record.value, record.removed, record.added)
+            let change = {
+                type: 'propchange',
+                fullname: record.segments.length ? record.segments.join('.') : null,
+                segments: record.segments,
+                name: record.segments.length ? record.segments[record.segments.length - 1] : null,
+                oldValue: record.oldValue,
+                value: record.value,
+                removed: record.removed,
+                external: false
+            }
+            this.emit('propchange', change)
+            return Object.assign({}, change, { type: 'change' })
+        })
+        this._replaying = true
+        try {
+            this._commit({
+                type: 'change',
+                fullname: null,
+                segments: [],
+                name: null,
+                fullnames: changes.map((e) => e.fullname),
+                changes: changes,
+                external: false
+            }, records, false)
+        } finally {
+            this._replaying = false
+        }
+    }
+    
+    /**
+     * Undo the last change (a single change, a transaction or an external reload)
+     * @returns {Boolean} false if there is nothing to undo
+     */
+    undo() {
+        let records = this._undoStack.pop()
+        if (!records) {
+            return false
+        }
+        this._replay(records.slice().reverse().map((record) => {
+            return {
+                segments: record.segments,
+                oldValue: record.value,
+                value: record.oldValue,
+                added: record.removed,
+                removed: record.added
+            }
+        }))
+        this._redoStack.push(records)
+        return true
+    }
+    
+    /**
+     * Redo the last undone change
+     * @returns {Boolean} false if there is nothing to redo
+     */
+    redo() {
+        let records = this._redoStack.pop()
+        if (!records) {
+            return false
+        }
+        this._replay(records)
+        this._undoStack.push(records)
+        return true
+    }
+    
+    /**
+     * Mark the data as changed, and plan a write if autosave is enabled
+     * Changes are debounced with saveDelay, so a burst of mutations is written only once,
+     * and saveMaxDelay caps how long a write can be postponed
+     */
+    _scheduleSave() {
+        if (!this.file || this.closed) {
+            return
+        }
+        let now = Date.now()
+        this._dirty = true
+        if (this._dirtySince === null) {
+            this._dirtySince = now
+        }
+        if (!this.options.autosave) {
+            return
+        }
+        let delay = this.options.saveDelay || 0
+        if (this.options.saveMaxDelay !== null && this.options.saveMaxDelay !== undefined) {
+            delay = Math.max(0, Math.min(delay, this._dirtySince + this.options.saveMaxDelay - now))
+        }
+        clearTimeout(this._saveTimer)
+        this._saveTimer = setTimeout(() => {
+            this._saveTimer = null
+            // Errors are already reported through the error event
+            this.flush().catch(() => {})
+        }, delay)
+    }
+    
+    /**
+     * Queue a write of the data to the file
+     * Writes never overlap: a write starts only when the previous one is done,
+     * and all the changes made while waiting are written together
+     * The file is reloaded first if it changed, so its external changes are merged instead of overwritten,
+     * except when they are ignored (autoload disabled or paused) and the lock isn't used
+     * @returns {Promise} resolved when the data is on disk
+     */
+    _write() {
+        if (this._queuedWrite) {
+            return this._queuedWrite
+        }
+        let write = () => {
+            this._queuedWrite = null
+            this._dirty = false
+            this._dirtySince = null
+            if (this._unreadable) {
+                let err = new Error(`File ${this.file} couldn't be read, it won't be overwritten until it is fixed or restored`)
+                this._dirty = true
+                this._error(err.message, err)
+                throw err
+            }
+            let contents
+            let snapshot = toRaw(this._data)
+            try {
+                contents = this._serialize(snapshot)
+            } catch (err) {
+                this._dirty = true
+                this._error(`Couldn't write ${this.file} as ${this._codec.name}: ${err.message}`, err)
+                throw err
+            }
+            let failed = (err) => {
+                this._dirty = true
+                this._error(`Couldn't write to file ${this.file}: ${err}`, err)
+                throw err
+            }
+            return Promise.resolve().then(() => whenReady(this._storage.stat(this.file), (stat) => {
+                if (stat && stat.writable === false) {
+                    throw new Error('the file is not writable')
                 }
-                if (hasChange && emitPropChangeEvent) {
-                    let fullpath = i
-                    let oldValue = a[i]
-                    if (parent !== null) {
-                        fullpath = parent + '.' + i
-                    }
-                    let baseEvent = {
-                        type: 'change',
-                        fullname: fullpath,
-                        name: i,
+                if (!stat) {
+                    return undefined
+                }
+                return this._corrupt ? this._keepCorrupt() : this._rotateBackups()
+            })).then(() => {
+                log(`> Writing changes to file ${this.file}`)
+                return Promise.resolve(this._storage.write(this.file, contents)).then(null, failed)
+            }, failed).then(() => {
+                this._source = contents
+                this._hash = hash(contents)
+                this._base = snapshot
+                this._corrupt = false
+                return whenReady(this._storage.stat(this.file), (stat) => {
+                    this.lastFileStat = stat
+                })
+            })
+        }
+        // Read-modify-write: the changes written since the last read or write are merged first,
+        // even when the watcher hasn't reported them yet
+        let refresh = () => this._lock || (this.options.autoload && !this.paused) ? this._refresh() : undefined
+        let refreshAndWrite = () => Promise.resolve().then(refresh).then(write, (err) => {
+            // Still dirty, the next change or flush will try again
+            this._queuedWrite = null
+            this._error(`Couldn't read file ${this.file} before writing it: ${err.message}`, err)
+            throw err
+        })
+        let run = () => {
+            if (this._transaction) {
+                // The data is written once the transaction is done
+                return this._transaction.finished.then(run)
+            }
+            if (!this._lock) {
+                return refreshAndWrite()
+            }
+            return this._acquireLock().then(() => {
+                return this._releaseAfter(refreshAndWrite())
+            }, (err) => {
+                // Still dirty, the next change or flush will try again
+                this._queuedWrite = null
+                throw err
+            })
+        }
+        let queued = this._writeQueue.then(run)
+        this._queuedWrite = queued
+        this._writeQueue = queued.catch(() => {})
+        return queued
+    }
+    
+    /**
+     * Acquire the lock of the file
+     * @returns {Promise} resolved when the lock is held
+     */
+    _acquireLock() {
+        return this._lock.acquire().catch((err) => {
+            this._error(`Couldn't lock file ${this.file}: ${err.message}`, err)
+            throw err
+        })
+    }
+    
+    /**
+     * Release the lock once a promise is settled
+     * @param {Promise} promise
+     * @returns {Promise} the same result as the promise
+     */
+    _releaseAfter(promise) {
+        return Promise.resolve(promise).then((result) => {
+            this._lock.release()
+            return result
+        }, (err) => {
+            this._lock.release()
+            throw err
+        })
+    }
+    
+    /**
+     * Reload the file now if it changed, merging it with the changes not written yet
+     * @returns {Promise|undefined} a promise with an asynchronous storage
+     */
+    _refresh() {
+        return whenReady(this._storage.stat(this.file), (stat) => {
+            if (!stat) {
+                return
+            }
+            this.lastFileStat = stat
+            return this._reload()
+        })
+    }
+    
+    /**
+     * Run a function while holding the lock of the file, needs the lock option
+     * The latest contents of the file are loaded before calling it, and its changes are written before releasing the lock,
+     * so no other process can change the file in between
+     * Needed by the changes computed from the current value, like counters: outside of it, the writes of the other processes
+     * are merged, and a value changed on both sides is resolved by the conflict option (the file wins by default)
+     * Ex:
+        await config.withLock(async (data) => {
+            data.counter++
+        })
+     * @param {Function} fn called with the data, can return a promise
+     * @returns {Promise} resolved with the result of fn, once its changes are on disk
+     */
+    withLock(fn) {
+        if (!this._lock) {
+            return Promise.reject(new Error('withLock() needs the lock option'))
+        }
+        // Critical sections of this object run one at a time
+        let run = () => this._acquireLock().then(() => this._releaseAfter(Promise.resolve()
+            .then(() => this._refresh())
+            .then(() => fn(this._val))
+            .then((result) => this.flush().then(() => result))))
+        let result = this._lockQueue.then(run)
+        this._lockQueue = result.catch(() => {})
+        return result
+    }
+    
+    /**
+     * Get the path of a backup file
+     * @param {Number} n the backup number, 1 is the newest
+     */
+    _backupFile(n) {
+        return `${this.file}.${n}`
+    }
+    
+    /**
+     * Shift the backups (file.1 becomes file.2...) and copy the current file to file.1
+     * Only the number of backups in the backups option are kept
+     * @returns {Promise|undefined} a promise with an asynchronous storage
+     */
+    _rotateBackups() {
+        let storage = this._storage
+        let shift = (n) => {
+            if (n < 1) {
+                return storage.copy ? storage.copy(this.file, this._backupFile(1)) : this._copyKey(this.file, this._backupFile(1))
+            }
+            return whenReady(storage.stat(this._backupFile(n)), (stat) => {
+                if (!stat) {
+                    return
+                }
+                return storage.rename ? storage.rename(this._backupFile(n), this._backupFile(n + 1)) : this._copyKey(this._backupFile(n), this._backupFile(n + 1))
+            })
+        }
+        let rotate = (n) => whenReady(shift(n), () => n >= 1 ? rotate(n - 1) : undefined)
+        return this.options.backups ? rotate(this.options.backups - 1) : undefined
+    }
+    
+    /**
+     * Copy the unreadable file to file.corrupt before it is overwritten, the backups are kept as they are
+     * The copies already there are kept: the next ones are file.corrupt.1, file.corrupt.2...
+     * @returns {Promise|undefined} a promise with an asynchronous storage
+     */
+    _keepCorrupt() {
+        return whenReady(this._freeKey(`${this.file}.corrupt`), (corrupt) => {
+            log(`> File ${this.file} couldn't be read, keeping it as ${corrupt}`)
+            return this._storage.copy ? this._storage.copy(this.file, corrupt) : this._copyKey(this.file, corrupt)
+        })
+    }
+    
+    /**
+     * Find a key not used in the storage, to never overwrite a copy of the file: the key itself, or key.1, key.2...
+     * @param {String} key
+     * @returns {String} the key (or a promise of it with an asynchronous storage)
+     */
+    _freeKey(key) {
+        let name = (n) => n ? `${key}.${n}` : key
+        let free = (n) => whenReady(this._storage.stat(name(n)), (stat) => stat ? free(n + 1) : name(n))
+        return free(0)
+    }
+    
+    /**
+     * Copy a key of the storage with read and write, for the storages without copy and rename
+     * @param {String} from
+     * @param {String} to
+     */
+    _copyKey(from, to) {
+        return whenReady(this._storage.read(from), (source) => source === null ? undefined : this._storage.write(to, source))
+    }
+    
+    /**
+     * Find the newest backup that can be read and is valid
+     * @param {Number} n the first backup to check
+     * @returns {Object} the backup { index, file, data, source }, or null if there is none (or a promise of it)
+     */
+    _findValidBackup(n) {
+        let file = this._backupFile(n)
+        return attempt(() => whenReady(this._storage.read(file), (source) => {
+            if (source === null) {
+                return null
+            }
+            let o = this._parse(source)
+            if (!this.validate(o).length) {
+                return { index: n, file: file, data: o, source: source }
+            }
+            return this._findValidBackup(n + 1)
+        }), (e) => {
+            log(`> Backup ${file} couldn't be read as ${this._codec.name}: ${e.message}`)
+            return this._findValidBackup(n + 1)
+        })
+    }
+    
+    /**
+     * Replace the data with a backup, and write it to the file
+     * @param {Number} n the backup number, 1 (the default) is the newest
+     * @returns {Promise} resolved when the restored data is on disk
+     */
+    restore(n) {
+        if (!this.file) {
+            return Promise.reject(new Error('No file to restore'))
+        }
+        let backup = this._backupFile(n || 1)
+        return Promise.resolve().then(() => this._storage.read(backup)).then((source) => {
+            if (source === null) {
+                throw new Error(`Backup ${backup} doesn't exist`)
+            }
+            return this._restoreSource(backup, source)
+        }, (e) => {
+            throw new Error(`Backup ${backup} couldn't be read. Error: ${e.message}`)
+        })
+    }
+    
+    /**
+     * Replace the data with the contents of a backup, and write it to the file
+     * @param {String} backup the backup file
+     * @param {String} source its contents
+     * @returns {Promise} resolved when the restored data is on disk
+     */
+    _restoreSource(backup, source) {
+        let o
+        try {
+            o = this._parse(source)
+        } catch (e) {
+            return Promise.reject(new Error(`Backup ${backup} couldn't be read as ${this._codec.name}. Error: ${e.message}`))
+        }
+        let unreadable = this._unreadable
+        let corrupt = this._corrupt
+        let previousSource = this._source
+        this._unreadable = false
+        // The unreadable file isn't rotated with the backups
+        this._corrupt = corrupt || unreadable
+        // Keeping the formatting of the backup
+        this._source = source
+        try {
+            if (this.set(o) === false) {
+                throw new schema.ValidationError(`Backup ${backup} is not valid`, this.validate(o))
+            }
+        } catch (e) {
+            this._unreadable = unreadable
+            this._corrupt = corrupt
+            this._source = previousSource
+            return Promise.reject(e)
+        }
+        return this.save()
+    }
+    
+    /**
+     * Write the pending changes now, without waiting for the autosave delay
+     * @returns {Promise} resolved when all the changes are on disk, or acknowledged by the server with the socket option
+     */
+    flush() {
+        if (this._client) {
+            return this._client.flush()
+        }
+        clearTimeout(this._saveTimer)
+        this._saveTimer = null
+        if (this._dirty) {
+            return this._write()
+        }
+        return this._writeQueue
+    }
+    
+    /**
+     * Write the data to the file, even if nothing changed
+     * @returns {Promise} resolved when the data is on disk
+     */
+    save() {
+        if (!this.file) {
+            return Promise.reject(new Error('No file to save to'))
+        }
+        clearTimeout(this._saveTimer)
+        this._saveTimer = null
+        return this._write()
+    }
+    
+    get() {
+        return this._val
+    }
+    /**
+     * Change all the properties of the LiveJSON object
+     * @param {Object} obj the object containing the changes
+     * @param {Boolean} external if the change is an external change or not
+     */
+    set(obj, external) {
+        if (external === undefined) {
+            external = false
+        }
+        if (!external) {
+            let event = { type: 'value', segments: [], oldValue: this._data, value: toRaw(obj) }
+            if (!this._guard(event)) {
+                return false
+            }
+            obj = event.value
+        }
+        let errors = this.validate(obj)
+        if (errors.length) {
+            // Keeping the current state
+            return this._invalid(errors, obj, [], external)
+        }
+        obj = toRaw(obj)
+        var $this = this
+        let records = []
+        let changes = []
+        function IsContainer(value) {
+            return typeof value === 'object' && value !== null
+        }
+        // Copy b into a, records are kept for objects only: an array is recorded as a whole
+        function SetProp(a, b, segments, record) {
+            log.$3(`>> Comparing (${segments.join('.')})`)
+            let isArray = Array.isArray(a)
+            function SetPropAtIndex(i) {
+                let fullSegments = segments.concat(i)
+                let oldValue = a[i]
+                let value = b[i]
+                let exists = isArray ? i < a.length : Object.prototype.hasOwnProperty.call(a, i)
+                let present = isArray ? i < b.length : Object.prototype.hasOwnProperty.call(b, i)
+                if (exists && present && IsContainer(oldValue) && IsContainer(value) && Array.isArray(oldValue) === Array.isArray(value)) {
+                    return SetProp(oldValue, value, fullSegments, record && !isArray)
+                }
+                if (exists && present && oldValue === value) {
+                    log.$3(`>>>> Equals "${i}" ! ${oldValue} = ${value}`)
+                    return false
+                }
+                log.$2(`>>>> Changed "${i}" ! ${oldValue} > ${value}`)
+                if (present) {
+                    a[i] = value
+                } else if (!isArray) {
+                    delete a[i]
+                }
+                if (record && !isArray) {
+                    records.push({
+                        segments: fullSegments,
                         oldValue: oldValue,
-                        value: b[i],
-                        external: external
-                    }
-                    if (Array.isArray(a)) {
-                        baseEvent.index = i
-                        baseEvent.added = baseEvent.removed = false
-                        if (typeof b[i] === 'undefined') {
-                            baseEvent.added = true
-                        } else if (typeof a[i] === 'undefined') {
-                            baseEvent.removed = true
-                        }
-                    }
-                    $this.emit('propchange', baseEvent)
+                        value: toRaw(value),
+                        added: !exists,
+                        removed: !present
+                    })
+                }
+                let event = {
+                    type: 'propchange',
+                    fullname: fullSegments.join('.'),
+                    segments: fullSegments,
+                    name: i,
+                    oldValue: oldValue,
+                    value: value,
+                    removed: !present,
+                    external: external
                 }
-                return hasChange
+                if (isArray) {
+                    event.index = i
+                    event.added = !exists
+                }
+                $this._emitChangeEvent('propchange', event)
+                changes.push(Object.assign({}, event, { type: 'change' }))
+                return true
             }
-            let noChanges = true
-            if (Array.isArray(a) && Array.isArray(b)) {
-                a.forEach((o, index) => {
-                    noChanges = !SetPropAtIndex(a, b, index, parent) && noChanges
-                })
-                b.forEach((o, index) => {
-                    if (index >= a.length) {
-                        noChanges = !SetPropAtIndex(a, b, index, parent) && noChanges
-                    }
-                })
+            let hasChange = false
+            if (isArray) {
+                let oldArray = record ? toRaw(a) : null
+                let length = Math.max(a.length, b.length)
+                for (let index = 0; index < length; index++) {
+                    hasChange = SetPropAtIndex(index) || hasChange
+                }
+                a.length = b.length
+                if (hasChange && record) {
+                    records.push({
+                        segments: segments,
+                        oldValue: oldArray,
+                        value: toRaw(a),
+                        added: false,
+                        removed: false
+                    })
+                }
             } else {
                 let allKeys = Object.keys(a).concat(Object.keys(b)).filter((value,index,self) => { return self.indexOf(value) === index })
                 allKeys.forEach((name) => {
-                    noChanges = !SetPropAtIndex(a, b, name, parent) && noChanges
+                    hasChange = SetPropAtIndex(name) || hasChange
                 })
             }
-            return !noChanges
+            return hasChange
         }
         let prevData = Object.assign({}, $this._data)
-        let propsChanged = SetProp($this._data, obj, null)
+        let propsChanged = SetProp($this._data, obj, [], true)
         log('! No changes ?', propsChanged)
         if (propsChanged) {
-            this.emit('change', {
+            this._commit({
                 type: 'change',
                 fullname: null,
+                segments: [],
                 name: null,
                 oldValue: prevData,
                 value: obj,
+                fullnames: records.map((record) => record.segments.join('.')),
+                changes: changes,
                 external: external
-            })
+            }, records, external)
         }
     }
+    /**
+     * Get the data as JSON, with the secret values redacted
+     * @param {Boolean} [reveal] keep the secret values
+     */
+    toString(reveal) {
+        return JSON.stringify(reveal ? this._data : this._redact(this._data, []), null, this.options.spacer)
+    }
+    
     get $() {
         return this._val
     }
@@ -561,4 +2888,15 @@ class LiveJSON extends EventEmitter {
 }
 
 module.exports = LiveJSON
-module.exports.VERBOSE = 0
\ No newline at end of file
+module.exports.VERBOSE = 0
+log.verbosity = () => module.exports.VERBOSE
+module.exports.ValidationError = schema.ValidationError
+module.exports.PatchError = patch.PatchError
+module.exports.ReadOnlyError = guard.ReadOnlyError
+module.exports.SecretError = SecretError
+module.exports.registerCodec = codecs.register
+module.exports.FileStorage = storages.FileStorage
+module.exports.KeyValueStorage = storages.KeyValueStorage
+module.exports.MemoryStorage = storages.MemoryStorage
+module.exports.Layered = require('./lib/layered')
+module.exports.Directory = require('./lib/directory')
\ No newline at end of file
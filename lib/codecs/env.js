@@ -0,0 +1,102 @@
+const { isObject } = require('../util')
+
+/**
+ * Codec for .env files: one KEY=value per line
+ * Values are strings, and the data must be a flat object
+ * Supports comments, "export " prefixes, and single quoted, double quoted (with escapes) and plain values
+ */
+
+const KEY = /^[A-Za-z_][A-Za-z0-9_.-]*$/
+
+/**
+ * Parse a .env text
+ * @param {String} text
+ */
+function parse(text) {
+    let data = {}
+    let lines = String(text).replace(/^\ufeff/, '').split(/\r?\n/)
+    for (let i = 0; i < lines.length; i++) {
+        let line = lines[i].trim()
+        if (!line || line[0] === '#') {
+            continue
+        }
+        let match = /^(?:export\s+)?([^=\s]+)\s*=\s*(.*)$/.exec(line)
+        if (!match || !KEY.test(match[1])) {
+            throw new SyntaxError(`Invalid line ${i + 1}: ${line}`)
+        }
+        let value = match[2]
+        let quote = value[0]
+        if (quote === '"' || quote === '\'') {
+            // Quoted values can span several lines
+            let rest = value.substr(1)
+            let end
+            while ((end = findQuote(rest, quote)) === -1) {
+                if (++i >= lines.length) {
+                    throw new SyntaxError(`Unterminated value for ${match[1]}`)
+                }
+                rest += '\n' + lines[i]
+            }
+            let after = rest.substr(end + 1).trim()
+            if (after && after[0] !== '#') {
+                throw new SyntaxError(`Unexpected text after the value of ${match[1]}: ${after}`)
+            }
+            value = rest.substr(0, end)
+            if (quote === '"') {
+                value = value.replace(/\\(.)/g, (all, c) => ({ 'n': '\n', 'r': '\r', 't': '\t' })[c] || c)
+            }
+        } else {
+            // Comments need a space before them in plain values
+            value = value.replace(/\s+#.*$/, '').trim()
+        }
+        data[match[1]] = value
+    }
+    return data
+}
+
+/**
+ * Find the closing quote of a value
+ * @param {String} text the text after the opening quote
+ * @param {String} quote
+ */
+function findQuote(text, quote) {
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\' && quote === '"') {
+            i++
+        } else if (text[i] === quote) {
+            return i
+        }
+    }
+    return -1
+}
+
+/**
+ * Serialize a flat object as a .env text
+ * Numbers and booleans are written as strings, values are quoted only when needed
+ * @param {Object} data
+ */
+function serialize(data) {
+    if (!isObject(data)) {
+        throw new Error('Only objects can be written as .env files')
+    }
+    return Object.keys(data).filter((key) => data[key] !== undefined && data[key] !== null).map((key) => {
+        let value = data[key]
+        if (!KEY.test(key)) {
+            throw new Error(`Invalid .env key "${key}"`)
+        }
+        if (typeof value === 'object') {
+            throw new Error(`.env files can't store objects or arrays (${key})`)
+        }
+        value = String(value)
+        if (value === '' || /^[\w.,:/@+-]+$/.test(value)) {
+            return `${key}=${value}`
+        }
+        return `${key}="${value.replace(/["\\$`]/g, '\\$&').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t')}"`
+    }).join('\n') + '\n'
+}
+
+module.exports = {
+    name: 'env',
+    extensions: ['.env'],
+    parse,
+    serialize
+}
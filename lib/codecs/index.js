@@ -0,0 +1,74 @@
+const path = require('path')
+
+/**
+ * Registry of the codecs reading and writing the files
+ * A codec is an object with:
+ * - name: its name, used by the codec option
+ * - extensions: the file extensions it is used for, like ['.yaml', '.yml']
+ * - parse(text): returns the data
+ * - serialize(data, options): returns the text, options are { spacer, source }, source being the previous contents of the file (or null)
+ */
+
+const codecs = new Map()
+
+/**
+ * Register a codec, replacing the one with the same name
+ * @param {String} name
+ * @param {Object} codec
+ */
+function register(name, codec) {
+    if (!codec || typeof codec.parse !== 'function' || typeof codec.serialize !== 'function') {
+        throw new TypeError(`Codec "${name}" must have parse and serialize functions`)
+    }
+    codecs.set(name, Object.assign({ extensions: [] }, codec, { name: name }))
+}
+
+/**
+ * Get a codec by name
+ * @param {String|Object} name the name, or a codec object
+ */
+function get(name) {
+    if (typeof name === 'object' && name !== null) {
+        if (typeof name.parse !== 'function' || typeof name.serialize !== 'function') {
+            throw new TypeError('A codec must have parse and serialize functions')
+        }
+        return Object.assign({ name: 'custom' }, name)
+    }
+    if (!codecs.has(name)) {
+        throw new Error(`Unknown codec "${name}"`)
+    }
+    return codecs.get(name)
+}
+
+/**
+ * Find the codec for a file, from its extension (the last registered codec wins), JSON by default
+ * Files named .env or .env.something use the env codec
+ * @param {String} file
+ */
+function forFile(file) {
+    let ext = file ? path.extname(file).toLowerCase() : ''
+    let base = file ? path.basename(file).toLowerCase() : ''
+    let found = null
+    codecs.forEach((codec) => {
+        if (ext && codec.extensions.indexOf(ext) !== -1) {
+            found = codec
+        }
+    })
+    if (!found && codecs.has('env') && (base === '.env' || base.indexOf('.env.') === 0)) {
+        found = codecs.get('env')
+    }
+    return found || codecs.get('json')
+}
+
+register('json', require('./json'))
+register('jsonc', require('./jsonc').jsonc)
+register('json5', require('./jsonc').json5)
+register('yaml', require('./yaml'))
+register('toml', require('./toml'))
+register('env', require('./env'))
+
+module.exports = {
+    register,
+    get,
+    forFile
+}
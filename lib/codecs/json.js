@@ -0,0 +1,14 @@
+/**
+ * JSON codec, the default one
+ */
+
+module.exports = {
+    name: 'json',
+    extensions: ['.json'],
+    parse(text) {
+        return JSON.parse(text)
+    },
+    serialize(data, options) {
+        return JSON.stringify(data, null, options.spacer)
+    }
+}
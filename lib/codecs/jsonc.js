@@ -0,0 +1,32 @@
+const jsonc = require('../jsonc')
+
+/**
+ * JSONC and JSON5 codecs
+ * The previous contents of the file (options.source) are updated in place, so comments and formatting are kept
+ */
+
+/**
+ * Create the codec for one of the variants
+ * @param {String} name 'jsonc' or 'json5'
+ */
+function create(name) {
+    let json5 = name === 'json5'
+    return {
+        name: name,
+        extensions: ['.' + name],
+        parse(text) {
+            return jsonc.parse(text, { json5: json5 })
+        },
+        serialize(data, options) {
+            if (options.source !== null && options.source !== undefined) {
+                return jsonc.update(options.source, data, { json5: json5, spacer: options.spacer })
+            }
+            return JSON.stringify(data, null, options.spacer)
+        }
+    }
+}
+
+module.exports = {
+    jsonc: create('jsonc'),
+    json5: create('json5')
+}
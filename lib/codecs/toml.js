@@ -0,0 +1,468 @@
+const { isObject } = require('../util')
+
+/**
+ * TOML codec (TOML 1.0)
+ * Dates and times are read as strings, and TOML has no null: null values can't be written
+ */
+
+const BARE_KEY = /^[A-Za-z0-9_-]+$/
+
+/**
+ * Parser for a TOML text
+ */
+class Parser {
+    constructor(text) {
+        this.text = String(text).replace(/^\ufeff/, '')
+        this.pos = 0
+        this.root = {}
+        // Tables defined with [table] or [[table]], and inline values which can't be extended
+        this.defined = new Set()
+        this.frozen = new Set()
+    }
+
+    error(message) {
+        let line = this.text.substr(0, this.pos).split('\n').length
+        throw new SyntaxError(`${message} at line ${line}`)
+    }
+
+    // Skip spaces and tabs, and the comment at the end of the line
+    skipLine() {
+        while (this.pos < this.text.length && (this.text[this.pos] === ' ' || this.text[this.pos] === '\t')) {
+            this.pos++
+        }
+        if (this.text[this.pos] === '#') {
+            while (this.pos < this.text.length && this.text[this.pos] !== '\n') {
+                this.pos++
+            }
+        }
+    }
+
+    // Skip spaces, new lines and comments (in arrays)
+    skipAll() {
+        for (;;) {
+            this.skipLine()
+            if (this.text[this.pos] === '\n' || this.text[this.pos] === '\r') {
+                this.pos++
+            } else {
+                return
+            }
+        }
+    }
+
+    // End of a line: only a comment can follow
+    endLine() {
+        this.skipLine()
+        if (this.pos >= this.text.length) {
+            return
+        }
+        if (this.text[this.pos] === '\r' && this.text[this.pos + 1] === '\n') {
+            this.pos += 2
+        } else if (this.text[this.pos] === '\n') {
+            this.pos++
+        } else {
+            this.error(`Unexpected "${this.text[this.pos]}"`)
+        }
+    }
+
+    parse() {
+        let table = this.root
+        for (;;) {
+            this.skipAll()
+            if (this.pos >= this.text.length) {
+                return this.root
+            }
+            if (this.text[this.pos] === '[') {
+                table = this.parseTableHeader()
+            } else {
+                this.parseKeyValue(table, false)
+            }
+            this.endLine()
+        }
+    }
+
+    parseKey() {
+        let keys = []
+        for (;;) {
+            this.skipLine()
+            let c = this.text[this.pos]
+            if (c === '"') {
+                keys.push(this.parseBasicString())
+            } else if (c === '\'') {
+                keys.push(this.parseLiteralString())
+            } else {
+                let match = /^[A-Za-z0-9_-]+/.exec(this.text.substr(this.pos))
+                if (!match) {
+                    this.error('Invalid key')
+                }
+                keys.push(match[0])
+                this.pos += match[0].length
+            }
+            this.skipLine()
+            if (this.text[this.pos] !== '.') {
+                return keys
+            }
+            this.pos++
+        }
+    }
+
+    parseTableHeader() {
+        let array = this.text[this.pos + 1] === '['
+        this.pos += array ? 2 : 1
+        let keys = this.parseKey()
+        if (this.text.substr(this.pos, array ? 2 : 1) !== (array ? ']]' : ']')) {
+            this.error(array ? 'Expected "]]"' : 'Expected "]"')
+        }
+        this.pos += array ? 2 : 1
+        let table = this.root
+        keys.forEach((key, i) => {
+            let path = JSON.stringify(keys.slice(0, i + 1))
+            let last = i === keys.length - 1
+            if (this.frozen.has(path)) {
+                this.error(`Can't extend the inline value "${keys.slice(0, i + 1).join('.')}"`)
+            }
+            if (last && array) {
+                if (!Object.prototype.hasOwnProperty.call(table, key)) {
+                    table[key] = []
+                    this.defined.add(path)
+                } else if (!Array.isArray(table[key]) || !this.defined.has(path)) {
+                    this.error(`"${keys.join('.')}" is not an array of tables`)
+                }
+                let item = {}
+                table[key].push(item)
+                table = item
+                return
+            }
+            if (!Object.prototype.hasOwnProperty.call(table, key)) {
+                table[key] = {}
+            } else if (last && this.defined.has(path) && !Array.isArray(table[key])) {
+                this.error(`Table "${keys.join('.')}" is defined twice`)
+            }
+            table = table[key]
+            if (Array.isArray(table)) {
+                table = table[table.length - 1]
+            }
+            if (!isObject(table)) {
+                this.error(`"${keys.slice(0, i + 1).join('.')}" is not a table`)
+            }
+            if (last) {
+                this.defined.add(path)
+            }
+        })
+        this.current = keys
+        return table
+    }
+
+    parseKeyValue(table, inline) {
+        let keys = this.parseKey()
+        if (this.text[this.pos] !== '=') {
+            this.error('Expected "="')
+        }
+        this.pos++
+        this.skipLine()
+        let value = this.parseValue()
+        let target = table
+        keys.slice(0, -1).forEach((key) => {
+            if (!Object.prototype.hasOwnProperty.call(target, key)) {
+                target[key] = {}
+            }
+            target = target[key]
+            if (!isObject(target)) {
+                this.error(`"${key}" is not a table`)
+            }
+        })
+        let key = keys[keys.length - 1]
+        if (Object.prototype.hasOwnProperty.call(target, key)) {
+            this.error(`Key "${keys.join('.')}" is defined twice`)
+        }
+        target[key] = value
+        if (typeof value === 'object' && !inline) {
+            this.frozen.add(JSON.stringify((this.current || []).concat(keys)))
+        }
+    }
+
+    parseValue() {
+        let text = this.text
+        let c = text[this.pos]
+        let rest = text.substr(this.pos)
+        let match
+        if (c === '"') {
+            return rest.indexOf('"""') === 0 ? this.parseMultilineBasicString() : this.parseBasicString()
+        } else if (c === '\'') {
+            return rest.indexOf('\'\'\'') === 0 ? this.parseMultilineLiteralString() : this.parseLiteralString()
+        } else if (c === '[') {
+            return this.parseArray()
+        } else if (c === '{') {
+            return this.parseInlineTable()
+        } else if ((match = /^(true|false)(?![\w-])/.exec(rest))) {
+            this.pos += match[0].length
+            return match[1] === 'true'
+        } else if ((match = /^\d{4}-\d{2}-\d{2}([Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?)?|^\d{2}:\d{2}:\d{2}(\.\d+)?/.exec(rest))) {
+            // Dates and times are kept as strings
+            this.pos += match[0].length
+            return match[0]
+        } else if ((match = /^[+-]?(inf|nan)(?![\w-])/.exec(rest))) {
+            this.pos += match[0].length
+            return match[1] === 'nan' ? NaN : (match[0][0] === '-' ? -Infinity : Infinity)
+        } else if ((match = /^0x[0-9a-fA-F](_?[0-9a-fA-F])*|^0o[0-7](_?[0-7])*|^0b[01](_?[01])*/.exec(rest))) {
+            this.pos += match[0].length
+            let digits = match[0].substr(2).replace(/_/g, '')
+            return parseInt(digits, { 'x': 16, 'o': 8, 'b': 2 }[match[0][1]])
+        } else if ((match = /^[+-]?(0|[1-9](_?\d)*)(\.\d(_?\d)*)?([eE][+-]?\d(_?\d)*)?(?![\w.-])/.exec(rest))) {
+            this.pos += match[0].length
+            return Number(match[0].replace(/_/g, ''))
+        }
+        this.error(this.pos >= text.length ? 'Unexpected end of text' : `Invalid value "${rest.split(/\s/)[0]}"`)
+    }
+
+    parseEscape() {
+        let e = this.text[this.pos++]
+        let simple = { 'b': '\b', 't': '\t', 'n': '\n', 'f': '\f', 'r': '\r', 'e': '\x1b', '"': '"', '\\': '\\' }
+        if (Object.prototype.hasOwnProperty.call(simple, e)) {
+            return simple[e]
+        }
+        let size = { 'u': 4, 'U': 8, 'x': 2 }[e]
+        let hex = size ? this.text.substr(this.pos, size) : ''
+        if (!size || !new RegExp(`^[0-9a-fA-F]{${size}}$`).test(hex)) {
+            this.error(`Invalid escape "\\${e}"`)
+        }
+        this.pos += size
+        return String.fromCodePoint(parseInt(hex, 16))
+    }
+
+    parseBasicString() {
+        let value = ''
+        this.pos++
+        for (;;) {
+            let c = this.text[this.pos++]
+            if (c === undefined || c === '\n') {
+                this.error('Unterminated string')
+            } else if (c === '"') {
+                return value
+            } else if (c === '\\') {
+                value += this.parseEscape()
+            } else {
+                value += c
+            }
+        }
+    }
+
+    parseLiteralString() {
+        let end = this.text.indexOf('\'', this.pos + 1)
+        let newLine = this.text.indexOf('\n', this.pos + 1)
+        if (end === -1 || (newLine !== -1 && newLine < end)) {
+            this.error('Unterminated string')
+        }
+        let value = this.text.substring(this.pos + 1, end)
+        this.pos = end + 1
+        return value
+    }
+
+    parseMultilineBasicString() {
+        let value = ''
+        this.pos += 3
+        // A new line right after the delimiter is trimmed
+        if (this.text[this.pos] === '\r') {
+            this.pos++
+        }
+        if (this.text[this.pos] === '\n') {
+            this.pos++
+        }
+        for (;;) {
+            if (this.pos >= this.text.length) {
+                this.error('Unterminated string')
+            }
+            if (this.text.substr(this.pos, 3) === '"""') {
+                // Up to 2 quotes can be right before the delimiter
+                let extra = 0
+                while (extra < 2 && this.text[this.pos + 3 + extra] === '"') {
+                    extra++
+                }
+                value += '"'.repeat(extra)
+                this.pos += 3 + extra
+                return value
+            }
+            let c = this.text[this.pos++]
+            if (c === '\\') {
+                let match = /^[ \t]*\r?\n[\s]*/.exec(this.text.substr(this.pos))
+                if (match) {
+                    // Line ending backslash: the new line and the following whitespaces are trimmed
+                    this.pos += match[0].length
+                } else {
+                    value += this.parseEscape()
+                }
+            } else {
+                value += c
+            }
+        }
+    }
+
+    parseMultilineLiteralString() {
+        this.pos += 3
+        if (this.text[this.pos] === '\r') {
+            this.pos++
+        }
+        if (this.text[this.pos] === '\n') {
+            this.pos++
+        }
+        let end = this.text.indexOf('\'\'\'', this.pos)
+        if (end === -1) {
+            this.error('Unterminated string')
+        }
+        // Up to 2 quotes can be right before the delimiter
+        for (let extra = 0; extra < 2 && this.text[end + 3] === '\''; extra++) {
+            end++
+        }
+        let value = this.text.substring(this.pos, end)
+        this.pos = end + 3
+        return value
+    }
+
+    parseArray() {
+        let value = []
+        this.pos++
+        for (;;) {
+            this.skipAll()
+            if (this.text[this.pos] === ']') {
+                this.pos++
+                return value
+            }
+            value.push(this.parseValue())
+            this.skipAll()
+            if (this.text[this.pos] === ',') {
+                this.pos++
+            } else if (this.text[this.pos] !== ']') {
+                this.error('Expected "," or "]"')
+            }
+        }
+    }
+
+    parseInlineTable() {
+        let value = {}
+        this.pos++
+        this.skipLine()
+        if (this.text[this.pos] === '}') {
+            this.pos++
+            return value
+        }
+        for (;;) {
+            this.parseKeyValue(value, true)
+            this.skipLine()
+            if (this.text[this.pos] === '}') {
+                this.pos++
+                return value
+            }
+            if (this.text[this.pos] !== ',') {
+                this.error('Expected "," or "}"')
+            }
+            this.pos++
+        }
+    }
+}
+
+/**
+ * Parse a TOML text
+ * @param {String} text
+ */
+function parse(text) {
+    return new Parser(text).parse()
+}
+
+/**
+ * Format a key, quoted only when needed
+ * @param {String} key
+ */
+function formatKey(key) {
+    return BARE_KEY.test(key) ? key : JSON.stringify(key)
+}
+
+/**
+ * Format an inline value
+ * @param {*} value
+ * @param {Array} path the path of the value, for errors
+ */
+function formatValue(value, path) {
+    if (value === null || value === undefined) {
+        throw new Error(`TOML can't store null values (${path.join('.')})`)
+    }
+    if (typeof value === 'string') {
+        return JSON.stringify(value)
+    }
+    if (typeof value === 'number') {
+        if (isNaN(value)) {
+            return 'nan'
+        }
+        if (!isFinite(value)) {
+            return value > 0 ? 'inf' : '-inf'
+        }
+        return String(value)
+    }
+    if (typeof value === 'boolean') {
+        return String(value)
+    }
+    if (Array.isArray(value)) {
+        return '[' + value.map((item, i) => formatValue(item, path.concat(i))).join(', ') + ']'
+    }
+    let keys = Object.keys(value).filter((key) => value[key] !== undefined)
+    if (!keys.length) {
+        return '{}'
+    }
+    return '{ ' + keys.map((key) => formatKey(key) + ' = ' + formatValue(value[key], path.concat(key))).join(', ') + ' }'
+}
+
+/**
+ * Check if a value is written as a table: an object, or an array of objects
+ * @param {*} value
+ */
+function isTable(value) {
+    return isObject(value) || (Array.isArray(value) && value.length > 0 && value.every(isObject))
+}
+
+/**
+ * Serialize data as TOML
+ * @param {Object} data
+ */
+function serialize(data) {
+    if (!isObject(data)) {
+        throw new Error('Only objects can be written as TOML')
+    }
+    let sections = []
+
+    function table(value, path, arrayItem) {
+        let keys = Object.keys(value).filter((key) => value[key] !== undefined)
+        let simple = keys.filter((key) => !isTable(value[key]))
+        let tables = keys.filter((key) => isTable(value[key]))
+        let header = path.map(formatKey).join('.')
+        // A table with only sub-tables doesn't need its header
+        if (arrayItem) {
+            sections.push(`[[${header}]]`)
+        } else if (path.length && (simple.length || !tables.length)) {
+            sections.push(`[${header}]`)
+        }
+        simple.forEach((key) => {
+            sections.push(formatKey(key) + ' = ' + formatValue(value[key], path.concat(key)))
+        })
+        tables.forEach((key) => {
+            sections.push('')
+            if (Array.isArray(value[key])) {
+                value[key].forEach((item, i) => {
+                    if (i) {
+                        sections.push('')
+                    }
+                    table(item, path.concat(key), true)
+                })
+            } else {
+                table(value[key], path.concat(key), false)
+            }
+        })
+    }
+
+    table(data, [], false)
+    return sections.join('\n').replace(/\n{3,}/g, '\n\n').replace(/^\n+/, '') + '\n'
+}
+
+module.exports = {
+    name: 'toml',
+    extensions: ['.toml'],
+    parse,
+    serialize
+}
@@ -0,0 +1,572 @@
+const { isObject } = require('../util')
+
+/**
+ * YAML codec, for a practical subset of YAML 1.2:
+ * - block mappings and sequences, flow mappings and sequences ({ a: 1 }, [1, 2])
+ * - plain, single quoted and double quoted scalars, literal (|) and folded (>) block scalars
+ * - comments and document markers (---, ...)
+ * Anchors, aliases, tags and multiple documents are not supported
+ */
+
+/**
+ * Resolve a plain scalar, with the YAML 1.2 core schema
+ * @param {String} text
+ */
+function resolvePlain(text) {
+    if (/^(null|Null|NULL|~|)$/.test(text)) {
+        return null
+    }
+    if (/^(true|True|TRUE)$/.test(text)) {
+        return true
+    }
+    if (/^(false|False|FALSE)$/.test(text)) {
+        return false
+    }
+    if (/^[-+]?[0-9]+$/.test(text)) {
+        return parseInt(text, 10)
+    }
+    if (/^0o[0-7]+$/.test(text)) {
+        return parseInt(text.substr(2), 8)
+    }
+    if (/^0x[0-9a-fA-F]+$/.test(text)) {
+        return parseInt(text.substr(2), 16)
+    }
+    if (/^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(text)) {
+        return parseFloat(text)
+    }
+    if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) {
+        return text[0] === '-' ? -Infinity : Infinity
+    }
+    if (/^\.(nan|NaN|NAN)$/.test(text)) {
+        return NaN
+    }
+    return text
+}
+
+/**
+ * Remove a comment at the end of a line, outside of quotes
+ * @param {String} text
+ */
+function stripComment(text) {
+    let quote = null
+    for (let i = 0; i < text.length; i++) {
+        let c = text[i]
+        if (quote === '"' && c === '\\') {
+            i++
+        } else if (quote && c === quote) {
+            if (quote === '\'' && text[i + 1] === '\'') {
+                i++
+            } else {
+                quote = null
+            }
+        } else if (!quote && (c === '"' || c === '\'') && (i === 0 || /[\s\[{,:]/.test(text[i - 1]))) {
+            quote = c
+        } else if (!quote && c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.substr(0, i).replace(/\s+$/, '')
+        }
+    }
+    return text.replace(/\s+$/, '')
+}
+
+/**
+ * Parser for the inline parts: quoted scalars and flow collections
+ */
+class InlineParser {
+    constructor(text, line) {
+        this.text = text
+        this.pos = 0
+        this.line = line
+    }
+
+    error(message) {
+        throw new SyntaxError(`${message} at line ${this.line}`)
+    }
+
+    skip() {
+        while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+            this.pos++
+        }
+    }
+
+    /**
+     * Parse a value
+     * @param {String} stops the characters ending a plain scalar
+     */
+    parseValue(stops) {
+        this.skip()
+        let c = this.text[this.pos]
+        if (c === '[') {
+            return this.parseSequence()
+        } else if (c === '{') {
+            return this.parseMapping()
+        } else if (c === '"') {
+            return this.parseDouble()
+        } else if (c === '\'') {
+            return this.parseSingle()
+        } else if (c === '&' || c === '*' || c === '!') {
+            this.error(`Anchors, aliases and tags are not supported ("${c}")`)
+        }
+        let start = this.pos
+        while (this.pos < this.text.length && stops.indexOf(this.text[this.pos]) === -1) {
+            // ": " ends a key
+            if (this.text[this.pos] === ':' && stops.indexOf(':') !== -1) {
+                break
+            }
+            this.pos++
+        }
+        return resolvePlain(this.text.substring(start, this.pos).trim())
+    }
+
+    parseDouble() {
+        let value = ''
+        this.pos++
+        for (;;) {
+            if (this.pos >= this.text.length) {
+                this.error('Unterminated string')
+            }
+            let c = this.text[this.pos++]
+            if (c === '"') {
+                return value
+            }
+            if (c !== '\\') {
+                value += c
+                continue
+            }
+            let e = this.text[this.pos++]
+            let simple = { '0': '\0', 'a': '\x07', 'b': '\b', 't': '\t', '\t': '\t', 'n': '\n', 'v': '\v', 'f': '\f', 'r': '\r', 'e': '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', 'N': '\x85', '_': '\xa0' }
+            let size = { 'x': 2, 'u': 4, 'U': 8 }[e]
+            if (Object.prototype.hasOwnProperty.call(simple, e)) {
+                value += simple[e]
+            } else if (size) {
+                let hex = this.text.substr(this.pos, size)
+                if (!new RegExp(`^[0-9a-fA-F]{${size}}$`).test(hex)) {
+                    this.error('Invalid escape')
+                }
+                value += String.fromCodePoint(parseInt(hex, 16))
+                this.pos += size
+            } else {
+                this.error(`Invalid escape "\\${e}"`)
+            }
+        }
+    }
+
+    parseSingle() {
+        let value = ''
+        this.pos++
+        for (;;) {
+            if (this.pos >= this.text.length) {
+                this.error('Unterminated string')
+            }
+            let c = this.text[this.pos++]
+            if (c === '\'') {
+                if (this.text[this.pos] !== '\'') {
+                    return value
+                }
+                this.pos++
+            }
+            value += c
+        }
+    }
+
+    parseSequence() {
+        let value = []
+        this.pos++
+        for (;;) {
+            this.skip()
+            if (this.text[this.pos] === ']') {
+                this.pos++
+                return value
+            }
+            value.push(this.parseValue(',]'))
+            this.skip()
+            if (this.text[this.pos] === ',') {
+                this.pos++
+            } else if (this.text[this.pos] !== ']') {
+                this.error('Expected "," or "]"')
+            }
+        }
+    }
+
+    parseMapping() {
+        let value = {}
+        this.pos++
+        for (;;) {
+            this.skip()
+            if (this.text[this.pos] === '}') {
+                this.pos++
+                return value
+            }
+            let key = this.parseValue(':,}')
+            this.skip()
+            let item = null
+            if (this.text[this.pos] === ':') {
+                this.pos++
+                item = this.parseValue(',}')
+            }
+            value[String(key)] = item
+            this.skip()
+            if (this.text[this.pos] === ',') {
+                this.pos++
+            } else if (this.text[this.pos] !== '}') {
+                this.error('Expected "," or "}"')
+            }
+        }
+    }
+}
+
+/**
+ * Parse an inline value (a scalar or a flow collection) on its own
+ * @param {String} text
+ * @param {Number} line the line number, for errors
+ */
+function parseInline(text, line) {
+    let parser = new InlineParser(text, line)
+    let value = parser.parseValue('')
+    parser.skip()
+    if (parser.pos < text.length) {
+        parser.error(`Unexpected "${text[parser.pos]}"`)
+    }
+    return value
+}
+
+/**
+ * Find the ":" separating a key from its value, outside of quotes and brackets
+ * @param {String} text
+ * @returns {Number} the position, or -1 if the text is not a mapping entry
+ */
+function findColon(text) {
+    let quote = null
+    let depth = 0
+    for (let i = 0; i < text.length; i++) {
+        let c = text[i]
+        if (quote === '"' && c === '\\') {
+            i++
+        } else if (quote && c === quote) {
+            quote = null
+        } else if (!quote && (c === '"' || c === '\'') && i === 0) {
+            quote = c
+        } else if (!quote && (c === '[' || c === '{') && i === 0) {
+            return -1
+        } else if (!quote && (c === '[' || c === '{')) {
+            depth++
+        } else if (!quote && (c === ']' || c === '}')) {
+            depth--
+        } else if (!quote && !depth && c === ':' && (i === text.length - 1 || text[i + 1] === ' ' || text[i + 1] === '\t')) {
+            return i
+        }
+    }
+    return -1
+}
+
+/**
+ * Parse a YAML text
+ * @param {String} text
+ */
+function parse(text) {
+    let lines = String(text).replace(/^\ufeff/, '').split(/\r?\n/).map((raw, i) => {
+        let indent = /^ */.exec(raw)[0].length
+        if (raw[indent] === '\t') {
+            throw new SyntaxError(`Tabs can't be used for indentation at line ${i + 1}`)
+        }
+        return {
+            raw: raw,
+            number: i + 1,
+            indent: indent,
+            text: stripComment(raw.substr(indent))
+        }
+    })
+    let markers = lines.filter((line) => /^---(\s|$)/.test(line.raw))
+    // Values before the first marker are a document too
+    let start = markers.length ? markers[0].number - 1 : lines.length
+    let documents = markers.length + (lines.slice(0, start).some((line) => line.text && line.text[0] !== '%') ? 1 : 0)
+    if (documents > 1) {
+        throw new SyntaxError('Multiple documents are not supported')
+    }
+    lines = lines.filter((line) => !/^(---|\.\.\.)(\s|$)/.test(line.raw) || line.indent)
+    let pos = 0
+
+    function nextLine() {
+        while (pos < lines.length && !lines[pos].text) {
+            pos++
+        }
+        return lines[pos]
+    }
+
+    function isSequenceItem(text) {
+        return text === '-' || text.indexOf('- ') === 0
+    }
+
+    // Inline value, which can span several lines for flow collections
+    function inlineValue(text, line) {
+        if (text[0] === '[' || text[0] === '{') {
+            let depth = 0
+            let balanced = () => {
+                depth = 0
+                let quote = null
+                for (let i = 0; i < text.length; i++) {
+                    let c = text[i]
+                    if (quote === '"' && c === '\\') {
+                        i++
+                    } else if (quote && c === quote) {
+                        quote = null
+                    } else if (!quote && (c === '"' || c === '\'')) {
+                        quote = c
+                    } else if (!quote && (c === '[' || c === '{')) {
+                        depth++
+                    } else if (!quote && (c === ']' || c === '}')) {
+                        depth--
+                    }
+                }
+                return depth <= 0
+            }
+            while (!balanced() && pos < lines.length) {
+                text += ' ' + lines[pos].text
+                pos++
+            }
+        }
+        return parseInline(text, line.number)
+    }
+
+    // Block scalar (| or >), the lines are more indented than the parent
+    function blockScalar(header, parentIndent, line) {
+        let match = /^([|>])([-+]?)([1-9]?)([-+]?)$/.exec(header)
+        if (!match) {
+            throw new SyntaxError(`Invalid block scalar header "${header}" at line ${line.number}`)
+        }
+        let folded = match[1] === '>'
+        let chomping = match[2] || match[4]
+        let indent = match[3] ? parentIndent + Number(match[3]) : -1
+        let contents = []
+        while (pos < lines.length) {
+            let raw = lines[pos].raw
+            if (raw.trim()) {
+                let lineIndent = /^ */.exec(raw)[0].length
+                if (indent === -1) {
+                    indent = lineIndent
+                }
+                if (lineIndent < indent || lineIndent <= parentIndent) {
+                    break
+                }
+                contents.push(raw.substr(indent))
+            } else {
+                contents.push('')
+            }
+            pos++
+        }
+        // Trailing empty lines are kept for the chomping
+        let trailing = 0
+        while (contents.length && contents[contents.length - 1] === '') {
+            contents.pop()
+            trailing++
+        }
+        let value
+        if (folded) {
+            value = ''
+            contents.forEach((content, i) => {
+                let previous = contents[i - 1]
+                if (i === 0) {
+                    value = content
+                } else if (content === '') {
+                    value += '\n'
+                } else if (previous === '') {
+                    // The line break was added by the empty line
+                    value += content
+                } else if (/^\s/.test(content) || /^\s/.test(previous)) {
+                    value += '\n' + content
+                } else {
+                    value += ' ' + content
+                }
+            })
+        } else {
+            value = contents.join('\n')
+        }
+        if (!contents.length) {
+            return chomping === '+' ? '\n'.repeat(trailing) : ''
+        }
+        if (chomping === '-') {
+            return value
+        } else if (chomping === '+') {
+            return value + '\n'.repeat(trailing + 1)
+        }
+        return value + '\n'
+    }
+
+    // The value after "key:" or "- "
+    function entryValue(rest, line, indent) {
+        if (/^[|>]/.test(rest)) {
+            return blockScalar(rest, indent, line)
+        }
+        if (rest !== '') {
+            return inlineValue(rest, line)
+        }
+        let next = nextLine()
+        if (next && (next.indent > indent || (next.indent === indent && isSequenceItem(next.text) && !line.sequence))) {
+            return block(next.indent)
+        }
+        return null
+    }
+
+    function mapping(indent) {
+        let value = {}
+        let line
+        while ((line = nextLine()) && line.indent === indent && !isSequenceItem(line.text)) {
+            let colon = findColon(line.text)
+            if (colon === -1) {
+                throw new SyntaxError(`Expected "key: value" at line ${line.number}`)
+            }
+            let key = line.text.substr(0, colon).trim()
+            key = key[0] === '"' || key[0] === '\'' ? parseInline(key, line.number) : key
+            pos++
+            value[String(key)] = entryValue(line.text.substr(colon + 1).trim(), line, indent)
+        }
+        return value
+    }
+
+    function sequence(indent) {
+        let value = []
+        let line
+        while ((line = nextLine()) && line.indent === indent && isSequenceItem(line.text)) {
+            let rest = line.text.substr(1)
+            let offset = 1 + /^ */.exec(rest)[0].length
+            rest = rest.trim()
+            if (rest && !/^[|>]/.test(rest) && (isSequenceItem(rest) || findColon(rest) !== -1)) {
+                // The item is a block on the same line: "- key: value" or "- - value"
+                line.indent = indent + offset
+                line.text = rest
+                value.push(block(line.indent))
+            } else {
+                pos++
+                value.push(entryValue(rest, { number: line.number, sequence: true }, indent))
+            }
+        }
+        return value
+    }
+
+    function block(indent) {
+        let line = nextLine()
+        if (isSequenceItem(line.text)) {
+            return sequence(indent)
+        }
+        if (findColon(line.text) !== -1) {
+            return mapping(indent)
+        }
+        // A scalar, possibly on several lines
+        pos++
+        let text = line.text
+        if (text[0] === '[' || text[0] === '{') {
+            return inlineValue(text, line)
+        }
+        let next
+        while ((next = nextLine()) && next.indent >= indent && next.indent > 0 && text[0] !== '"' && text[0] !== '\'') {
+            text += ' ' + next.text
+            pos++
+        }
+        return parseInline(text, line.number)
+    }
+
+    let first = nextLine()
+    if (!first) {
+        return null
+    }
+    let value = block(first.indent)
+    let rest = nextLine()
+    if (rest) {
+        throw new SyntaxError(`Unexpected indentation at line ${rest.number}`)
+    }
+    return value
+}
+
+/**
+ * Format a scalar, quoted only when needed
+ * @param {*} value
+ */
+function formatScalar(value) {
+    if (value === null || value === undefined) {
+        return 'null'
+    }
+    if (typeof value === 'number') {
+        if (isNaN(value)) {
+            return '.nan'
+        }
+        if (!isFinite(value)) {
+            return value > 0 ? '.inf' : '-.inf'
+        }
+        return String(value)
+    }
+    if (typeof value === 'boolean') {
+        return String(value)
+    }
+    value = String(value)
+    let plain = value !== '' &&
+        typeof resolvePlain(value) === 'string' &&
+        !/^[\s\-?:,\[\]{}#&*!|>'"%@`]/.test(value) &&
+        !/\s$/.test(value) &&
+        !/: |:$| #|[\n\r\t]/.test(value) &&
+        !/^(---|\.\.\.)/.test(value)
+    return plain ? value : JSON.stringify(value)
+}
+
+/**
+ * Serialize data as YAML
+ * @param {*} data
+ * @param {Object} [options] spacer: the number of spaces of indentation (2 by default)
+ */
+function serialize(data, options) {
+    let spacer = options && typeof options.spacer === 'number' && options.spacer > 0 ? options.spacer : 2
+    let unit = ' '.repeat(spacer)
+
+    function isBlock(value) {
+        return (Array.isArray(value) && value.length > 0) || (isObject(value) && Object.keys(value).length > 0)
+    }
+
+    function inline(value) {
+        if (Array.isArray(value)) {
+            return '[]'
+        } else if (isObject(value)) {
+            return '{}'
+        }
+        return formatScalar(value)
+    }
+
+    // Lines of a block value, without indentation
+    function lines(value) {
+        let result = []
+        if (Array.isArray(value)) {
+            value.forEach((item) => {
+                if (isBlock(item)) {
+                    let sub = lines(item)
+                    result.push('- ' + sub[0])
+                    sub.slice(1).forEach((line) => result.push('  ' + line))
+                } else {
+                    result.push('- ' + inline(item))
+                }
+            })
+        } else {
+            Object.keys(value).forEach((key) => {
+                let item = value[key]
+                if (item === undefined) {
+                    return
+                }
+                if (isBlock(item)) {
+                    result.push(formatScalar(key) + ':')
+                    lines(item).forEach((line) => result.push(unit + line))
+                } else {
+                    result.push(formatScalar(key) + ': ' + inline(item))
+                }
+            })
+        }
+        return result
+    }
+
+    if (!isBlock(data)) {
+        return inline(data) + '\n'
+    }
+    return lines(data).join('\n') + '\n'
+}
+
+module.exports = {
+    name: 'yaml',
+    extensions: ['.yaml', '.yml'],
+    parse,
+    serialize
+}
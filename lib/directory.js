@@ -0,0 +1,311 @@
+const fs = require('fs')
+const path = require('path')
+const LiveJSON = require('../index')
+const jsonPath = require('./path')
+const { watchDirectory } = require('./watch')
+const { isObject, clone, deepMerge, log } = require('./util')
+
+/**
+ * LiveJSON for a directory of files, like a conf.d folder
+ * Each file is mounted under its name without the extension (features/db.json => $.db),
+ * or with the merge option, the files are deep-merged in lexical order (10-base.json, then 20-local.json...)
+ */
+
+const DIRECTORY_OPTIONS = ['dir', 'merge', 'extensions']
+
+/**
+ * List the files of a directory with one of the extensions, in lexical order
+ * @param {String} dir
+ * @param {Array} extensions
+ */
+function listFiles(dir, extensions) {
+    let names
+    try {
+        names = fs.readdirSync(dir)
+    } catch (e) {
+        return []
+    }
+    return names.filter((name) => name[0] !== '.' && extensions.indexOf(path.extname(name).toLowerCase()) !== -1).sort()
+}
+
+/**
+ * Create the live object of a file
+ * @param {String} dir the directory
+ * @param {String} name the file name
+ * @param {Object} options the options of the file
+ * @param {Boolean} seen if the file is already on disk
+ * @returns {Object} the file, with its name, key and live object
+ */
+function createFile(dir, name, options, seen) {
+    return {
+        name: name,
+        key: path.basename(name, path.extname(name)),
+        live: new LiveJSON({}, Object.assign({}, options, { file: path.join(dir, name) })),
+        seen: seen
+    }
+}
+
+/**
+ * LiveJSON merging the files of a directory, changes are written to the file owning the changed key
+ * Ex:
+    let config = new LiveJSON.Directory('conf.d') // conf.d/db.json is config.$.db
+    config.$.db.host = 'localhost' // Written to conf.d/db.json
+    config.$.cache = { ttl: 60 } // Creates conf.d/cache.json
+    let merged = new LiveJSON.Directory('conf.d', { merge: true }) // conf.d/20-local.json overrides conf.d/10-base.json
+ */
+class DirectoryLiveJSON extends LiveJSON {
+    /**
+     * @param {String} dir the directory
+     * @param {Object} [options] merge: deep-merge the files instead of mounting them (default: false),
+     *                           extensions: the extensions of the files to read (default: ['.json']),
+     *                           the other options are used by the files (codec, spacer, lock...) and by the view (schema, history...)
+     */
+    constructor(dir, options) {
+        if (isObject(dir)) {
+            options = dir
+            dir = options.dir
+        }
+        options = Object.assign({
+            merge: false,
+            extensions: ['.json']
+        }, options, { dir: path.resolve(dir) })
+        let fileOptions = Object.assign({}, options, { schema: null, history: 0, protect: [] })
+        DIRECTORY_OPTIONS.forEach((name) => {
+            delete fileOptions[name]
+        })
+        let files = listFiles(options.dir, options.extensions).map((name) => createFile(options.dir, name, fileOptions, true))
+        super(DirectoryLiveJSON._merge(files, options.merge), Object.assign({}, options, { file: null, lock: false }))
+        this.dir = options.dir
+        this.directoryOptions = options
+        this._fileOptions = fileOptions
+        this._files = []
+        files.forEach((file) => this._mount(file))
+        this._unwatchDirectory = null
+        if (options.autoload !== false) {
+            try {
+                this._unwatchDirectory = watchDirectory(this.dir, () => this._scan(), (err) => {
+                    this._error(`Error while watching directory ${this.dir}: ${err.message}`, err)
+                })
+            } catch (err) {
+                this._error(`Couldn't watch directory ${this.dir}: ${err.message}`, err)
+            }
+        }
+    }
+
+    /**
+     * Merge the data of the files
+     * @param {Array} files
+     * @param {Boolean} merge deep-merge the files instead of mounting them
+     */
+    static _merge(files, merge) {
+        if (merge) {
+            return files.reduce((merged, file) => deepMerge(merged, file.live._data), {})
+        }
+        let data = {}
+        files.forEach((file) => {
+            data[file.key] = clone(file.live._data)
+        })
+        return data
+    }
+
+    /**
+     * Start following the changes of a file
+     * @param {Object} file name, key and live object
+     */
+    _mount(file) {
+        file.live.on('error', (err, originalError) => {
+            this._error(err.message, originalError || err)
+        })
+        file.live.on('change', (e) => {
+            // Our own changes are already in the view
+            if (e.external) {
+                this._refreshView()
+            }
+        })
+        this._files.push(file)
+        this._files.sort((a, b) => a.name < b.name ? -1 : (a.name > b.name ? 1 : 0))
+    }
+
+    /**
+     * Stop following a file, dropping its pending changes
+     * @param {Object} file
+     * @returns {Promise} resolved when the file is closed
+     */
+    _unmount(file) {
+        this._files = this._files.filter((f) => f !== file)
+        clearTimeout(file.live._saveTimer)
+        file.live._dirty = false
+        return file.live.close().catch(() => {})
+    }
+
+    /**
+     * Look for added and removed files
+     */
+    _scan() {
+        if (this.closed) {
+            return
+        }
+        let names = listFiles(this.dir, this.directoryOptions.extensions)
+        let changed = false
+        this._files.forEach((file) => {
+            file.seen = file.seen || names.indexOf(file.name) !== -1
+        })
+        // The files we are creating are not removed before they are written
+        this._files.filter((file) => file.seen && names.indexOf(file.name) === -1 && !fs.existsSync(file.live.file)).forEach((file) => {
+            log(`> File ${file.name} removed from ${this.dir}`)
+            this._unmount(file)
+            changed = true
+        })
+        names.filter((name) => !this._files.some((file) => file.name === name)).forEach((name) => {
+            log(`> File ${name} added to ${this.dir}`)
+            this._mount(createFile(this.dir, name, this._fileOptions, true))
+            changed = true
+        })
+        if (changed) {
+            this._refreshView()
+        }
+    }
+
+    /**
+     * Merge the files again, and apply the result to the view as an external change
+     */
+    _refreshView() {
+        this.set(DirectoryLiveJSON._merge(this._files, this.directoryOptions.merge), true)
+    }
+
+    /**
+     * Send the changes made on the view to the files owning the changed keys
+     */
+    _commit(event, records, external) {
+        if (external || this._transaction) {
+            return super._commit(event, records, external)
+        }
+        let changes = new Map()
+        let data = (file) => changes.has(file) ? changes.get(file) : file.live._data
+        records.forEach((record) => {
+            // Arrays are written as a whole, the file may not have them
+            let segments = jsonPath.untilArray(this._data, record.segments)
+            let value = jsonPath.get(this._data, segments)
+            if (this.directoryOptions.merge) {
+                this._owners(segments, value === undefined).forEach((file) => {
+                    changes.set(file, jsonPath.setIn(data(file), segments, value, value === undefined))
+                })
+                return
+            }
+            let key = segments[0]
+            let file = this._files.find((file) => file.key === key)
+            if (segments.length === 1 && value === undefined) {
+                if (file) {
+                    this._removeFile(file)
+                }
+            } else if (!isObject(this._data[key])) {
+                this._error(`Couldn't write ${key}: only objects can be mounted from a file`)
+            } else if (file) {
+                changes.set(file, jsonPath.setIn(data(file), segments.slice(1), value, value === undefined))
+            } else {
+                file = createFile(this.dir, key + this.directoryOptions.extensions[0], this._fileOptions, false)
+                this._mount(file)
+                changes.set(file, this._data[key])
+            }
+        })
+        changes.forEach((value, file) => {
+            if (this._files.indexOf(file) !== -1) {
+                file.live.set(value)
+            }
+        })
+        super._commit(event, records, external)
+        this._refreshView()
+    }
+
+    /**
+     * Find the files a change must be written to, in merge mode
+     * A removed value is removed from all the files having it, otherwise the value is written to the last file having it,
+     * or having the longest part of its path, or to the last file
+     * @param {Array} segments the path of the value
+     * @param {Boolean} removed if the value is removed
+     * @returns {Array} the files
+     */
+    _owners(segments, removed) {
+        if (removed) {
+            return this._files.filter((file) => jsonPath.get(file.live._data, segments) !== undefined)
+        }
+        for (let length = segments.length; length > 0; length--) {
+            let owners = this._files.filter((file) => jsonPath.get(file.live._data, segments.slice(0, length)) !== undefined)
+            if (owners.length) {
+                return owners.slice(-1)
+            }
+        }
+        if (!this._files.length) {
+            this._error(`Couldn't write ${jsonPath.format(segments)}: there is no file in ${this.dir}`)
+            return []
+        }
+        return this._files.slice(-1)
+    }
+
+    /**
+     * Remove a mounted file, when its key is removed
+     * @param {Object} file
+     */
+    _removeFile(file) {
+        this._unmount(file).then(() => {
+            fs.unlink(file.live.file, (err) => {
+                if (err && err.code !== 'ENOENT') {
+                    this._error(`Couldn't remove file ${file.live.file}: ${err.message}`, err)
+                }
+            })
+        })
+    }
+
+    /**
+     * Find the file supplying a value
+     * @param {String|Array} name the path of the value
+     * @returns {String} the path of the file, null if the value doesn't exist
+     */
+    whereFrom(name) {
+        let segments = jsonPath.parse(name)
+        for (let i = this._files.length - 1; i >= 0; i--) {
+            let file = this._files[i]
+            let found = this.directoryOptions.merge ? jsonPath.get(file.live._data, segments) : (segments[0] === file.key ? jsonPath.get(file.live._data, segments.slice(1)) : undefined)
+            if (found !== undefined) {
+                return file.live.file
+            }
+        }
+        return null
+    }
+
+    /**
+     * Write the pending changes of all the files now
+     * @returns {Promise} resolved when all the changes are on disk
+     */
+    flush() {
+        return Promise.all(this._files.map((file) => file.live.flush())).then(() => {})
+    }
+
+    /**
+     * Write all the files, even if nothing changed
+     * @returns {Promise} resolved when the data is on disk
+     */
+    save() {
+        return Promise.all(this._files.map((file) => file.live.save())).then(() => {})
+    }
+
+    /**
+     * Stop watching the directory and write the pending changes
+     * @returns {Promise} resolved when the pending changes are on disk
+     */
+    close() {
+        if (this._closing) {
+            return this._closing
+        }
+        if (this._unwatchDirectory) {
+            this._unwatchDirectory()
+            this._unwatchDirectory = null
+        }
+        let files = this._files.map((file) => file.live.close())
+        let closing = super.close()
+        this._closing = Promise.all(files.concat(closing)).then(() => {})
+        return this._closing
+    }
+}
+
+module.exports = DirectoryLiveJSON
@@ -0,0 +1,48 @@
+const jsonPath = require('./path')
+const { deepEqual } = require('./util')
+
+/**
+ * Write guards: read-only views and protected paths
+ */
+
+/**
+ * Error thrown when a read-only view or a protected path is changed
+ * The path the caller tried to change is in the fullname property
+ */
+class ReadOnlyError extends Error {
+    constructor(message, fullname) {
+        super(message)
+        this.name = 'ReadOnlyError'
+        this.fullname = fullname
+    }
+}
+
+/**
+ * Check if a change modifies a path protected by a pattern
+ * The change is refused if it is on a protected path, inside a protected value,
+ * or if it modifies a protected value it contains
+ * @param {Array} pattern the pattern segments
+ * @param {Array} segments the path of the change
+ * @param {Function} before returns the value before the change
+ * @param {*} after the value after the change (undefined when removed)
+ */
+function isProtected(pattern, segments, before, after) {
+    for (let length = 0; length <= segments.length; length++) {
+        if (jsonPath.match(pattern, segments.slice(0, length))) {
+            return true
+        }
+    }
+    return jsonPath.remainders(pattern, segments).some((rest) => {
+        if (!rest.length) {
+            return false
+        }
+        let oldValue = before()
+        let paths = jsonPath.expand(rest, oldValue).concat(jsonPath.expand(rest, after))
+        return paths.some((path) => !deepEqual(jsonPath.get(oldValue, path), jsonPath.get(after, path)))
+    })
+}
+
+module.exports = {
+    ReadOnlyError,
+    isProtected
+}
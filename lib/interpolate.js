@@ -0,0 +1,79 @@
+/**
+ * String interpolation: "${path.to.value}" and "${env:NAME}" references in the strings of a document
+ * "$${" is a literal "${"
+ */
+
+const REFERENCE = /\$\$\{|\$\{([^}]*)\}/g
+const WHOLE = /^\$\{([^}]*)\}$/
+
+/**
+ * Check if a value is a string with references
+ * @param {*} value
+ */
+function isTemplate(value) {
+    return typeof value === 'string' && value.indexOf('${') !== -1
+}
+
+/**
+ * Find the strings with references in a value
+ * @param {*} value
+ * @param {Array} [segments] the path of the value
+ * @returns {Array} the strings, with their segments and text
+ */
+function findTemplates(value, segments) {
+    let found = []
+    function walk(value, segments) {
+        if (isTemplate(value)) {
+            found.push({ segments: segments, text: value })
+        } else if (typeof value === 'object' && value !== null) {
+            let keys = Array.isArray(value) ? value.map((v, i) => i) : Object.keys(value)
+            keys.forEach((name) => walk(value[name], segments.concat(name)))
+        }
+    }
+    walk(value, segments || [])
+    return found
+}
+
+/**
+ * Check if a value contains strings with references
+ * @param {*} value
+ */
+function hasTemplates(value) {
+    if (typeof value === 'object' && value !== null) {
+        return Object.keys(value).some((name) => hasTemplates(value[name]))
+    }
+    return isTemplate(value)
+}
+
+/**
+ * Replace the references of a string
+ * A string made of one reference gets the referenced value as is: "${db.port}" is a number if db.port is one
+ * Ex: interpolate('${paths.root}/logs', (reference) => jsonPath.get(data, jsonPath.parse(reference)))
+ * @param {String} text
+ * @param {Function} resolve called with each reference ("paths.root" or "env:HOME"), returns its value, undefined to keep the reference
+ * @returns {*} the resolved value
+ */
+function interpolate(text, resolve) {
+    let whole = WHOLE.exec(text)
+    if (whole) {
+        let value = resolve(whole[1].trim())
+        return value === undefined ? text : value
+    }
+    return text.replace(REFERENCE, (match, reference) => {
+        if (reference === undefined) {
+            return '${'
+        }
+        let value = resolve(reference.trim())
+        if (value === undefined) {
+            return match
+        }
+        return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value)
+    })
+}
+
+module.exports = {
+    isTemplate,
+    findTemplates,
+    hasTemplates,
+    interpolate
+}
@@ -0,0 +1,402 @@
+const { isObject, deepEqual } = require('./util')
+
+/**
+ * JSON with comments (JSONC) and JSON5 support
+ * The parser keeps the position of every value, so a file can be updated in place:
+ * only the changed values are rewritten, comments and formatting of the rest of the file are kept
+ *
+ * Both formats accept comments, trailing commas and unquoted keys
+ * JSON5 also accepts single quoted strings, hexadecimal numbers, Infinity, NaN, leading/trailing decimal points and explicit +
+ */
+
+const IDENTIFIER = /^[A-Za-z_$\u0080-\uffff][\w$\u0080-\uffff]*/
+const WHITESPACE = /[ \t\r\n\u00a0\ufeff\u2028\u2029]/
+
+/**
+ * Parser creating a tree of nodes from a text
+ * Each node has a type (object, array or value), its start and end in the text and its value
+ * Objects and arrays have entries: { key, start, end, comma, value } (comma is the position of the comma after the entry, or -1)
+ */
+class Parser {
+    constructor(text, options) {
+        this.text = text
+        this.pos = 0
+        this.json5 = !!(options && options.json5)
+    }
+
+    error(message) {
+        let before = this.text.substr(0, this.pos).split('\n')
+        throw new SyntaxError(`${message} at line ${before.length} column ${before[before.length - 1].length + 1}`)
+    }
+
+    /**
+     * Skip whitespaces and comments
+     */
+    skip() {
+        let text = this.text
+        while (this.pos < text.length) {
+            let c = text[this.pos]
+            if (WHITESPACE.test(c)) {
+                this.pos++
+            } else if (c === '/' && text[this.pos + 1] === '/') {
+                let end = text.indexOf('\n', this.pos)
+                this.pos = end === -1 ? text.length : end + 1
+            } else if (c === '/' && text[this.pos + 1] === '*') {
+                let end = text.indexOf('*/', this.pos + 2)
+                if (end === -1) {
+                    this.error('Unterminated comment')
+                }
+                this.pos = end + 2
+            } else {
+                break
+            }
+        }
+    }
+
+    parse() {
+        this.skip()
+        let node = this.parseValue()
+        this.skip()
+        if (this.pos < this.text.length) {
+            this.error(`Unexpected "${this.text[this.pos]}"`)
+        }
+        return node
+    }
+
+    parseValue() {
+        this.skip()
+        let c = this.text[this.pos]
+        if (c === '{') {
+            return this.parseContainer('object', '}')
+        } else if (c === '[') {
+            return this.parseContainer('array', ']')
+        } else if (c === '"' || (c === '\'' && this.json5)) {
+            let start = this.pos
+            let value = this.parseString()
+            return { type: 'value', start: start, end: this.pos, value: value, quote: c }
+        }
+        let start = this.pos
+        let rest = this.text.substr(this.pos)
+        let match
+        if ((match = /^(true|false|null)(?![\w$])/.exec(rest))) {
+            this.pos += match[0].length
+            return { type: 'value', start: start, end: this.pos, value: JSON.parse(match[1]) }
+        }
+        if (this.json5 && (match = /^[+-]?(Infinity|NaN)(?![\w$])/.exec(rest))) {
+            this.pos += match[0].length
+            let value = match[1] === 'NaN' ? NaN : Infinity
+            return { type: 'value', start: start, end: this.pos, value: match[0][0] === '-' ? -value : value }
+        }
+        if (this.json5 && (match = /^([+-]?)0[xX]([0-9a-fA-F]+)(?![\w$])/.exec(rest))) {
+            this.pos += match[0].length
+            let value = parseInt(match[2], 16)
+            return { type: 'value', start: start, end: this.pos, value: match[1] === '-' ? -value : value }
+        }
+        let number = this.json5 ? /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?(?![\w$])/ : /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?(?![\w$])/
+        if ((match = number.exec(rest))) {
+            this.pos += match[0].length
+            return { type: 'value', start: start, end: this.pos, value: Number(match[0]) }
+        }
+        if (this.pos >= this.text.length) {
+            this.error('Unexpected end of text')
+        }
+        this.error(`Unexpected "${c}"`)
+    }
+
+    parseContainer(type, close) {
+        let node = { type: type, start: this.pos, end: -1, value: type === 'object' ? {} : [], entries: [] }
+        this.pos++
+        for (;;) {
+            this.skip()
+            if (this.text[this.pos] === close) {
+                this.pos++
+                node.end = this.pos
+                return node
+            }
+            let entry = { start: this.pos, end: -1, comma: -1 }
+            if (type === 'object') {
+                let c = this.text[this.pos]
+                let match
+                if (c === '"' || c === '\'') {
+                    if (c === '\'' && !this.json5) {
+                        this.error('Unexpected "\'"')
+                    }
+                    entry.quote = c
+                    entry.key = this.parseString()
+                } else if ((match = IDENTIFIER.exec(this.text.substr(this.pos)))) {
+                    entry.quote = ''
+                    entry.key = match[0]
+                    this.pos += match[0].length
+                } else {
+                    this.error(this.pos >= this.text.length ? 'Unexpected end of text' : `Unexpected "${c}"`)
+                }
+                this.skip()
+                if (this.text[this.pos] !== ':') {
+                    this.error('Expected ":"')
+                }
+                this.pos++
+            }
+            entry.value = this.parseValue()
+            entry.end = entry.value.end
+            if (type === 'object') {
+                node.value[entry.key] = entry.value.value
+            } else {
+                node.value.push(entry.value.value)
+            }
+            node.entries.push(entry)
+            this.skip()
+            if (this.text[this.pos] === ',') {
+                entry.comma = this.pos
+                this.pos++
+            } else if (this.text[this.pos] !== close) {
+                this.error(this.pos >= this.text.length ? 'Unexpected end of text' : `Expected "," or "${close}"`)
+            }
+        }
+    }
+
+    parseString() {
+        let text = this.text
+        let quote = text[this.pos]
+        let value = ''
+        this.pos++
+        for (;;) {
+            if (this.pos >= text.length) {
+                this.error('Unterminated string')
+            }
+            let c = text[this.pos++]
+            if (c === quote) {
+                return value
+            }
+            if (c === '\n' && !this.json5) {
+                this.error('Unterminated string')
+            }
+            if (c !== '\\') {
+                value += c
+                continue
+            }
+            let e = text[this.pos++]
+            let simple = { 'b': '\b', 'f': '\f', 'n': '\n', 'r': '\r', 't': '\t', '"': '"', '\\': '\\', '/': '/' }
+            if (Object.prototype.hasOwnProperty.call(simple, e)) {
+                value += simple[e]
+            } else if (e === 'u') {
+                let hex = text.substr(this.pos, 4)
+                if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+                    this.error('Invalid unicode escape')
+                }
+                value += String.fromCharCode(parseInt(hex, 16))
+                this.pos += 4
+            } else if (this.json5 && e === 'x') {
+                let hex = text.substr(this.pos, 2)
+                if (!/^[0-9a-fA-F]{2}$/.test(hex)) {
+                    this.error('Invalid hexadecimal escape')
+                }
+                value += String.fromCharCode(parseInt(hex, 16))
+                this.pos += 2
+            } else if (this.json5 && (e === '\n' || e === '\r' || e === '\u2028' || e === '\u2029')) {
+                // Line continuation
+                if (e === '\r' && text[this.pos] === '\n') {
+                    this.pos++
+                }
+            } else if (this.json5) {
+                value += { 'v': '\v', '0': '\0' }[e] || e
+            } else {
+                this.error(`Invalid escape "\\${e}"`)
+            }
+        }
+    }
+}
+
+/**
+ * Parse a JSONC or JSON5 text into a tree of nodes
+ * @param {String} text
+ * @param {Object} [options] json5: accept JSON5 syntax
+ */
+function parseTree(text, options) {
+    return new Parser(String(text), options).parse()
+}
+
+/**
+ * Parse a JSONC or JSON5 text
+ * @param {String} text
+ * @param {Object} [options] json5: accept JSON5 syntax
+ */
+function parse(text, options) {
+    return parseTree(text, options).value
+}
+
+/**
+ * Update a JSONC or JSON5 text with a new value
+ * Only the values that changed are rewritten, comments and formatting are kept everywhere else
+ * @param {String} text the current text
+ * @param {*} value the new value
+ * @param {Object} [options] json5: the text is JSON5, spacer: the indentation of new values (like JSON.stringify)
+ * @returns {String} the new text
+ */
+function update(text, value, options) {
+    options = options || {}
+    text = String(text)
+    let spacer = options.spacer === undefined ? 2 : options.spacer
+    let root = parseTree(text, options)
+    let edits = []
+
+    function edit(start, end, replacement) {
+        edits.push({ start: start, end: end, text: replacement, order: edits.length })
+    }
+
+    // Indentation of the line containing a position
+    function indentAt(pos) {
+        let lineStart = text.lastIndexOf('\n', pos - 1) + 1
+        return /^[ \t]*/.exec(text.substr(lineStart))[0]
+    }
+
+    function stringify(value, indent, quote) {
+        if (typeof value === 'string' && quote === '\'') {
+            return '\'' + JSON.stringify(value).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, '\\\'') + '\''
+        }
+        let json = JSON.stringify(value, null, spacer)
+        return json === undefined ? 'null' : json.split('\n').join('\n' + indent)
+    }
+
+    function stringifyKey(key, quote) {
+        if (quote === '' && IDENTIFIER.exec(key) && IDENTIFIER.exec(key)[0] === key) {
+            return key
+        }
+        return stringify(key, '', quote)
+    }
+
+    function replace(node, value) {
+        edit(node.start, node.end, stringify(value, indentAt(node.start), node.quote))
+    }
+
+    // Remove an entry, with its line if it is alone on its line
+    function remove(entry) {
+        let start = entry.start
+        let end = entry.comma !== -1 ? entry.comma + 1 : entry.end
+        let lineStart = text.lastIndexOf('\n', start - 1) + 1
+        let after = /^[ \t]*(\/\/[^\n]*)?\r?\n/.exec(text.substr(end))
+        if (after && /^[ \t]*$/.test(text.substring(lineStart, start))) {
+            start = lineStart
+            end += after[0].length
+        } else if (entry.comma === -1) {
+            start -= /[ \t]*$/.exec(text.substring(0, start))[0].length
+        } else {
+            end += /^[ \t]*/.exec(text.substr(end))[0].length
+        }
+        edit(start, end, '')
+    }
+
+    // Insert entries after an entry, or before an entry if after is null
+    function insert(node, after, entries, before) {
+        let first = node.entries[0]
+        let multiline = text.substring(node.start, first.start).indexOf('\n') !== -1
+        let indent = multiline ? indentAt(first.start) : ''
+        let separator = multiline ? ',\n' + indent : ', '
+        // The lines of the new values start at the indentation of the line they are added to, even in a single-line object
+        let lines = indentAt((after || before).start)
+        let texts = entries.map((entry) => {
+            let value = stringify(entry.value, lines, first.value.quote)
+            return node.type === 'object' ? stringifyKey(entry.key, first.quote) + ': ' + value : value
+        })
+        if (!after) {
+            edit(before.start, before.start, texts.join(separator) + separator)
+            return
+        }
+        let last = after === node.entries[node.entries.length - 1]
+        let trailing = node.entries[node.entries.length - 1].comma !== -1
+        let pos = after.end
+        if (after.comma === -1) {
+            edit(after.end, after.end, ',')
+        } else {
+            pos = after.comma + 1
+        }
+        let suffix = !last || trailing ? ',' : ''
+        if (multiline) {
+            // After the comments on the same line
+            let rest = /^[ \t]*(\/\/[^\n]*|\/\*[^\n]*?\*\/)?[ \t]*(?=\r?\n)/.exec(text.substr(pos))
+            if (rest) {
+                pos += rest[0].length
+            }
+            edit(pos, pos, '\n' + indent + texts.join(separator) + suffix)
+        } else {
+            edit(pos, pos, ' ' + texts.join(separator) + suffix)
+        }
+    }
+
+    function updateObject(node, value) {
+        let kept = node.entries.filter((entry) => Object.prototype.hasOwnProperty.call(value, entry.key))
+        let added = Object.keys(value).filter((key) => !node.entries.some((entry) => entry.key === key)).map((key) => {
+            return { key: key, value: value[key] }
+        })
+        if (!kept.length) {
+            return replace(node, value)
+        }
+        kept.forEach((entry) => updateNode(entry.value, value[entry.key]))
+        updateEntries(node, kept, added)
+    }
+
+    function updateArray(node, value) {
+        let old = node.value
+        let start = 0
+        while (start < old.length && start < value.length && deepEqual(old[start], value[start])) {
+            start++
+        }
+        let end = 0
+        while (end < old.length - start && end < value.length - start && deepEqual(old[old.length - 1 - end], value[value.length - 1 - end])) {
+            end++
+        }
+        let common = Math.min(old.length - start - end, value.length - start - end)
+        let kept = node.entries.filter((entry, i) => i < start + common || i >= old.length - end)
+        if (!kept.length) {
+            return replace(node, value)
+        }
+        for (let i = start; i < start + common; i++) {
+            updateNode(node.entries[i].value, value[i])
+        }
+        let added = value.slice(start + common, value.length - end).map((item) => {
+            return { value: item }
+        })
+        let after = start + common > 0 ? node.entries[start + common - 1] : null
+        updateEntries(node, kept, added, after)
+    }
+
+    // Remove the entries that are not kept, and add the new ones
+    function updateEntries(node, kept, added, after) {
+        let entries = node.entries
+        let removed = entries.filter((entry) => kept.indexOf(entry) === -1)
+        removed.forEach(remove)
+        let lastKept = kept[kept.length - 1]
+        if (added.length) {
+            insert(node, after === undefined ? lastKept : after, added, kept[0])
+        } else if (removed.indexOf(entries[entries.length - 1]) !== -1 && entries[entries.length - 1].comma === -1 && lastKept.comma !== -1) {
+            // The last entry was removed, its comma must go too
+            edit(lastKept.comma, lastKept.comma + 1, '')
+        }
+    }
+
+    function updateNode(node, value) {
+        if (deepEqual(node.value, value)) {
+            return
+        }
+        if (node.type === 'object' && isObject(value)) {
+            updateObject(node, value)
+        } else if (node.type === 'array' && Array.isArray(value)) {
+            updateArray(node, value)
+        } else {
+            replace(node, value)
+        }
+    }
+
+    updateNode(root, value)
+    // From the end of the text, so the positions stay right
+    edits.sort((a, b) => b.start - a.start || b.end - a.end || b.order - a.order)
+    edits.forEach((e) => {
+        text = text.substr(0, e.start) + e.text + text.substr(e.end)
+    })
+    return text
+}
+
+module.exports = {
+    parseTree,
+    parse,
+    update
+}
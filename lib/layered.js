@@ -0,0 +1,235 @@
+const path = require('path')
+const LiveJSON = require('../index')
+const jsonPath = require('./path')
+const { isObject, deepMerge } = require('./util')
+
+/**
+ * Layered configuration: several sources deep-merged into one LiveJSON, from the lowest to the highest priority:
+ * - defaults: the defaults option
+ * - base: the file option, like config.json
+ * - environment: the file for the environment option, like config.production.json
+ * - local: the local override file, like config.local.json
+ * - variables: the environment variables starting with envPrefix, like APP__DB__HOST for db.host
+ * Objects are merged key by key, other values (arrays included) come from the highest layer having them
+ */
+
+const LAYER_OPTIONS = ['defaults', 'environment', 'local', 'envPrefix', 'env', 'writable']
+
+/**
+ * Insert a suffix before the extension of a file
+ * Ex: withSuffix('config.json', 'local') => 'config.local.json'
+ * @param {String} file
+ * @param {String} suffix
+ */
+function withSuffix(file, suffix) {
+    let ext = path.extname(file)
+    return file.substr(0, file.length - ext.length) + '.' + suffix + ext
+}
+
+/**
+ * Read the environment variables of a prefix as a document
+ * Keys are matched without case with the keys of the lower layers, and are lowercase otherwise
+ * Values are parsed as JSON when possible: APP__PORT=8080 is a number
+ * @param {Object} env the environment variables
+ * @param {String} prefix
+ * @param {Object} lower the merged lower layers
+ */
+function readVariables(env, prefix, lower) {
+    let data = {}
+    let start = prefix + '__'
+    Object.keys(env).filter((name) => name.indexOf(start) === 0 && name.length > start.length).sort().forEach((name) => {
+        let segments = []
+        let reference = lower
+        name.substr(start.length).split('__').forEach((part) => {
+            let key = isObject(reference) ? Object.keys(reference).find((key) => key.toLowerCase() === part.toLowerCase()) : undefined
+            key = key === undefined ? part.toLowerCase() : key
+            segments.push(key)
+            reference = isObject(reference) ? reference[key] : undefined
+        })
+        let value = env[name]
+        try {
+            value = JSON.parse(value)
+        } catch (e) {
+            // Kept as a string
+        }
+        data = jsonPath.setIn(data, segments, value)
+    })
+    return data
+}
+
+/**
+ * Create the layers from the options
+ * @param {Object} options
+ * @returns {Array} the layers, with their name, file and live object (null for defaults and variables)
+ */
+function createLayers(options) {
+    let fileOptions = Object.assign({}, options, { schema: null, history: 0, protect: [] })
+    LAYER_OPTIONS.forEach((name) => {
+        delete fileOptions[name]
+    })
+    let layers = [{ name: 'defaults', file: null, live: null, data: options.defaults || {} }]
+    if (options.file) {
+        let file = path.resolve(options.file)
+        let files = [['base', file]]
+        if (options.environment) {
+            files.push(['environment', withSuffix(file, options.environment)])
+        }
+        if (options.local) {
+            files.push(['local', withSuffix(file, 'local')])
+        }
+        files.forEach(([name, file]) => {
+            let live = new LiveJSON({}, Object.assign({}, fileOptions, {
+                file: file,
+                autosave: fileOptions.autosave !== false && name === options.writable
+            }))
+            layers.push({ name: name, file: file, live: live, data: null })
+        })
+    }
+    if (options.envPrefix) {
+        let lower = layers.reduce((merged, layer) => deepMerge(merged, layerData(layer)), {})
+        layers.push({ name: 'variables', file: null, live: null, data: readVariables(options.env, options.envPrefix, lower) })
+    }
+    return layers
+}
+
+/**
+ * Get the data of a layer
+ * @param {Object} layer
+ */
+function layerData(layer) {
+    return layer.live ? layer.live._data : layer.data
+}
+
+/**
+ * LiveJSON merging several layers, changes are written to the writable layer
+ * Ex:
+    let config = new LiveJSON.Layered({
+        defaults: { db: { host: 'localhost', port: 5432 } },
+        file: 'config.json', // Also reads config.production.json and config.local.json
+        environment: 'production', // (default: NODE_ENV)
+        envPrefix: 'APP', // APP__DB__PORT=5433 overrides db.port
+        writable: 'local' // Changes are written to config.local.json (default)
+    })
+    config.$.db.host = 'db.local'
+    config.whereFrom('db.port') // 'variables'
+ */
+class LayeredLiveJSON extends LiveJSON {
+    /**
+     * @param {Object} options the layers options, the other options are used by the files (codec, spacer, lock...)
+     *                         and by the merged view (schema, history...)
+     */
+    constructor(options) {
+        options = Object.assign({
+            defaults: {},
+            file: null,
+            environment: process.env.NODE_ENV || null,
+            local: true,
+            envPrefix: null,
+            env: process.env,
+            writable: 'local'
+        }, options)
+        if (['base', 'environment', 'local'].indexOf(options.writable) === -1) {
+            throw new Error(`Invalid writable layer "${options.writable}": it must be base, environment or local`)
+        }
+        if (options.writable === 'environment' && !options.environment) {
+            throw new Error('The environment layer can\'t be writable without an environment')
+        }
+        if (options.writable === 'local' && !options.local) {
+            throw new Error('The local layer can\'t be writable when disabled')
+        }
+        let layers = createLayers(options)
+        let viewOptions = Object.assign({}, options, { file: null, lock: false })
+        super(layers.reduce((merged, layer) => deepMerge(merged, layerData(layer)), {}), viewOptions)
+        this.layers = layers
+        this.layeredOptions = options
+        this._writable = layers.find((layer) => layer.name === options.writable) || null
+        layers.forEach((layer) => {
+            if (!layer.live) {
+                return
+            }
+            layer.live.on('error', (err, originalError) => {
+                this._error(err.message, originalError || err)
+            })
+            layer.live.on('change', (e) => {
+                // Our own changes are already in the view
+                if (e.external) {
+                    this._refreshView()
+                }
+            })
+        })
+    }
+
+    /**
+     * Merge the layers again, and apply the result to the view as an external change
+     */
+    _refreshView() {
+        this.set(this.layers.reduce((merged, layer) => deepMerge(merged, layerData(layer)), {}), true)
+    }
+
+    /**
+     * Send the changes made on the view to the writable layer, then apply the values of the other layers again,
+     * for example when a removed key has a default value
+     */
+    _commit(event, records, external) {
+        if (external || this._transaction || !this._writable) {
+            return super._commit(event, records, external)
+        }
+        let data = this._writable.live._data
+        records.forEach((record) => {
+            // Arrays are written as a whole, the layer may not have them
+            let segments = jsonPath.untilArray(this._data, record.segments)
+            let value = jsonPath.get(this._data, segments)
+            data = jsonPath.setIn(data, segments, value, value === undefined)
+        })
+        this._writable.live.set(data)
+        super._commit(event, records, external)
+        this._refreshView()
+    }
+
+    /**
+     * Find the layer supplying a value
+     * @param {String|Array} name the path of the value
+     * @returns {String} the name of the layer (defaults, base, environment, local or variables), null if the value doesn't exist
+     */
+    whereFrom(name) {
+        let segments = jsonPath.parse(name)
+        for (let i = this.layers.length - 1; i >= 0; i--) {
+            if (jsonPath.get(layerData(this.layers[i]), segments) !== undefined) {
+                return this.layers[i].name
+            }
+        }
+        return null
+    }
+
+    /**
+     * Write the pending changes of the writable layer now
+     * @returns {Promise} resolved when all the changes are on disk
+     */
+    flush() {
+        return this._writable ? this._writable.live.flush() : super.flush()
+    }
+
+    /**
+     * Write the writable layer, even if nothing changed
+     * @returns {Promise} resolved when the data is on disk
+     */
+    save() {
+        return this._writable ? this._writable.live.save() : super.save()
+    }
+
+    /**
+     * Stop watching the files and write the pending changes
+     * @returns {Promise} resolved when the pending changes are on disk
+     */
+    close() {
+        if (this._closing) {
+            return this._closing
+        }
+        let layers = this.layers.filter((layer) => layer.live).map((layer) => layer.live.close())
+        let closing = super.close()
+        this._closing = Promise.all(layers.concat(closing)).then(() => {})
+        return this._closing
+    }
+}
+
+module.exports = LayeredLiveJSON
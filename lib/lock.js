@@ -0,0 +1,200 @@
+const fs = require('fs')
+const os = require('os')
+const { promisify } = require('util')
+
+const open = promisify(fs.open)
+const write = promisify(fs.write)
+const close = promisify(fs.close)
+
+/**
+ * Advisory lock between processes, with a lockfile created exclusively
+ * The lockfile contains the pid and the host of its owner, and its mtime is refreshed while the lock is held.
+ * A lock is stale when its owner is a dead process of this host, or when it wasn't refreshed for options.stale ms
+ * The lock is reentrant: acquiring it again in the same Lock only counts the holders
+ */
+class Lock {
+    /**
+     * @param {String} file the lockfile
+     * @param {Object} [options] stale: ms after which a lock not refreshed is stale (default: 10000),
+     *                           retryDelay: ms between two attempts (default: 50),
+     *                           timeout: ms before giving up, 0 to wait forever (default: 10000)
+     */
+    constructor(file, options) {
+        this.file = file
+        this.options = Object.assign({
+            stale: 10000,
+            retryDelay: 50,
+            timeout: 10000
+        }, options)
+        this.holders = 0
+        this._contents = null
+        this._acquiring = null
+        this._refreshTimer = null
+    }
+
+    /**
+     * Acquire the lock, waiting for its current owner to release it
+     * @returns {Promise} resolved when the lock is held
+     */
+    acquire() {
+        if (this.holders) {
+            this.holders++
+            return Promise.resolve()
+        }
+        if (!this._acquiring) {
+            let start = Date.now()
+            this._acquiring = new Promise((resolve, reject) => {
+                let attempt = () => {
+                    this._tryCreate().then((created) => {
+                        if (created) {
+                            return resolve()
+                        }
+                        if (this.options.timeout && Date.now() - start >= this.options.timeout) {
+                            let err = new Error(`Couldn't lock ${this.file}: held by ${this._describeOwner()}`)
+                            err.code = 'ELOCKED'
+                            return reject(err)
+                        }
+                        setTimeout(attempt, this.options.retryDelay)
+                    }, reject)
+                }
+                attempt()
+            }).then(() => {
+                this._acquiring = null
+                this._startRefresh()
+            }, (err) => {
+                this._acquiring = null
+                throw err
+            })
+        }
+        return this._acquiring.then(() => {
+            this.holders++
+        })
+    }
+
+    /**
+     * Release the lock, the lockfile is removed when the last holder releases it
+     */
+    release() {
+        if (!this.holders || --this.holders) {
+            return
+        }
+        clearInterval(this._refreshTimer)
+        this._refreshTimer = null
+        try {
+            if (this._ownsFile()) {
+                fs.unlinkSync(this.file)
+            }
+        } catch (e) {
+            // Already removed, as a stale lock
+        }
+    }
+
+    /**
+     * Try to create the lockfile, removing it first if it is stale
+     * @returns {Promise<Boolean>} if the lockfile was created
+     */
+    _tryCreate() {
+        let contents = JSON.stringify({ pid: process.pid, host: os.hostname(), time: Date.now(), id: ++Lock.counter })
+        return open(this.file, 'wx').then((fd) => {
+            return write(fd, contents).then(() => close(fd), (err) => {
+                return close(fd).then(() => { throw err })
+            }).then(() => {
+                this._contents = contents
+                return true
+            })
+        }, (err) => {
+            if (err.code !== 'EEXIST') {
+                throw err
+            }
+            let owner = this._readOwner()
+            if (owner && this._isStale(owner)) {
+                // Checking that it is still the same lock, another process may have replaced it
+                let current = this._readOwner()
+                if (current && current.raw === owner.raw && current.mtimeMs === owner.mtimeMs) {
+                    try {
+                        fs.unlinkSync(this.file)
+                    } catch (e) {
+                        // Removed by another process
+                    }
+                    return this._tryCreate()
+                }
+            }
+            return false
+        })
+    }
+
+    /**
+     * Read the owner of the lockfile
+     * @returns {Object} pid, host, mtimeMs and raw contents, null if there is no lockfile
+     */
+    _readOwner() {
+        try {
+            let raw = fs.readFileSync(this.file, 'utf8')
+            let stat = fs.statSync(this.file)
+            let owner = {}
+            try {
+                owner = JSON.parse(raw)
+            } catch (e) {
+                // Being written, or not a lockfile of ours: only its age can make it stale
+            }
+            return { pid: owner.pid, host: owner.host, mtimeMs: stat.mtimeMs, raw: raw }
+        } catch (e) {
+            return null
+        }
+    }
+
+    /**
+     * Check if a lock is stale
+     * @param {Object} owner
+     */
+    _isStale(owner) {
+        if (Date.now() - owner.mtimeMs > this.options.stale) {
+            return true
+        }
+        if (owner.host === os.hostname() && typeof owner.pid === 'number' && owner.pid !== process.pid) {
+            try {
+                process.kill(owner.pid, 0)
+            } catch (e) {
+                return e.code === 'ESRCH'
+            }
+        }
+        return false
+    }
+
+    /**
+     * Check if the lockfile is the one we created
+     */
+    _ownsFile() {
+        let owner = this._readOwner()
+        return owner !== null && owner.raw === this._contents
+    }
+
+    /**
+     * Describe the owner of the lockfile, for errors
+     */
+    _describeOwner() {
+        let owner = this._readOwner()
+        return owner && owner.pid ? `process ${owner.pid} on ${owner.host}` : 'another process'
+    }
+
+    /**
+     * Touch the lockfile regularly while the lock is held, so it isn't considered stale
+     */
+    _startRefresh() {
+        clearInterval(this._refreshTimer)
+        this._refreshTimer = setInterval(() => {
+            let now = new Date()
+            try {
+                fs.utimesSync(this.file, now, now)
+            } catch (e) {
+                // The lockfile was removed, nothing to refresh
+            }
+        }, Math.max(this.options.stale / 2, 10))
+        // The refresh alone must not keep the process running
+        this._refreshTimer.unref()
+    }
+}
+
+Lock.counter = 0
+
+module.exports = Lock
@@ -0,0 +1,77 @@
+const { isObject, deepEqual } = require('./util')
+
+/**
+ * Three-way merge of JSON documents
+ * Objects are merged key by key, other values (arrays included) are replaced as a whole
+ */
+
+// A missing key, so an undefined value isn't confused with a removed key
+const MISSING = Symbol('missing')
+
+/**
+ * Merge two versions of a document having a common base
+ * A conflict is a path changed differently in both versions: resolve is called with
+ * { segments, base, ours, theirs } (undefined for a missing key), and returns the value to keep, undefined to remove it
+ * @param {*} base the common version
+ * @param {*} ours the local version
+ * @param {*} theirs the other version
+ * @param {Function} resolve the conflict resolver
+ * @returns {Object} { value, conflicts }, conflicts being the list of the conflicts with the chosen value
+ */
+function merge(base, ours, theirs, resolve) {
+    let conflicts = []
+
+    function visible(value) {
+        return value === MISSING ? undefined : value
+    }
+
+    function walk(base, ours, theirs, segments) {
+        if (deepEqual(ours, theirs) || deepEqual(base, theirs)) {
+            return ours
+        }
+        if (deepEqual(base, ours)) {
+            return theirs
+        }
+        // Objects added on both sides are merged too
+        if ((base === MISSING || isObject(base)) && isObject(ours) && isObject(theirs)) {
+            let value = {}
+            let keys = Object.keys(ours).concat(Object.keys(theirs).filter((name) => !Object.prototype.hasOwnProperty.call(ours, name)))
+            keys.forEach((name) => {
+                let merged = walk(get(base, name), get(ours, name), get(theirs, name), segments.concat(name))
+                if (merged !== MISSING) {
+                    value[name] = merged
+                }
+            })
+            return value
+        }
+        let conflict = {
+            segments: segments,
+            base: visible(base),
+            ours: visible(ours),
+            theirs: visible(theirs)
+        }
+        let value = resolve(conflict)
+        conflict.value = value
+        conflicts.push(conflict)
+        return value === undefined ? MISSING : value
+    }
+
+    let value = walk(base, ours, theirs, [])
+    return {
+        value: visible(value),
+        conflicts: conflicts
+    }
+}
+
+/**
+ * Get a key of an object, MISSING if it doesn't exist
+ * @param {Object|Symbol} obj the object, or MISSING
+ * @param {String} name
+ */
+function get(obj, name) {
+    return obj !== MISSING && Object.prototype.hasOwnProperty.call(obj, name) ? obj[name] : MISSING
+}
+
+module.exports = {
+    merge
+}
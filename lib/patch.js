@@ -0,0 +1,148 @@
+const { isObject, deepEqual } = require('./util')
+
+/**
+ * Error thrown when a JSON Patch can't be applied
+ * The operation and its index in the patch are in the operation and index properties
+ */
+class PatchError extends Error {
+    constructor(message, operation, index) {
+        super(message)
+        this.name = 'PatchError'
+        this.operation = operation
+        this.index = index
+    }
+}
+
+/**
+ * Convert a path to a JSON Pointer (RFC 6901)
+ * Ex: ['a', 'b/c', 0] => '/a/b~1c/0'
+ * @param {Array} segments
+ */
+function toPointer(segments) {
+    return segments.map((name) => '/' + String(name).replace(/~/g, '~0').replace(/\//g, '~1')).join('')
+}
+
+/**
+ * Convert a JSON Pointer to a path
+ * Ex: '/a/b~1c/0' => ['a', 'b/c', '0']
+ * @param {String} pointer
+ */
+function fromPointer(pointer) {
+    if (pointer === '') {
+        return []
+    }
+    if (typeof pointer !== 'string' || pointer[0] !== '/') {
+        throw new Error(`Invalid JSON Pointer "${pointer}"`)
+    }
+    return pointer.substr(1).split('/').map((name) => name.replace(/~1/g, '/').replace(/~0/g, '~'))
+}
+
+/**
+ * Compute the operations transforming a value into another one
+ * Arrays keep their common start and end, the rest is replaced, added or removed index by index
+ * @param {*} oldValue
+ * @param {*} value
+ * @param {Array} [segments] the path of the value
+ * @returns {Array} the JSON Patch operations
+ */
+function diff(oldValue, value, segments) {
+    segments = segments || []
+    if (deepEqual(oldValue, value)) {
+        return []
+    }
+    let ops = []
+    if (Array.isArray(oldValue) && Array.isArray(value)) {
+        let start = 0
+        while (start < oldValue.length && start < value.length && deepEqual(oldValue[start], value[start])) {
+            start++
+        }
+        let end = 0
+        while (end < oldValue.length - start && end < value.length - start && deepEqual(oldValue[oldValue.length - 1 - end], value[value.length - 1 - end])) {
+            end++
+        }
+        let oldCount = oldValue.length - start - end
+        let count = value.length - start - end
+        let common = Math.min(oldCount, count)
+        for (let i = start; i < start + common; i++) {
+            ops = ops.concat(diff(oldValue[i], value[i], segments.concat(i)))
+        }
+        for (let i = start + common; i < start + count; i++) {
+            ops.push({ op: 'add', path: toPointer(segments.concat(i)), value: value[i] })
+        }
+        for (let i = common; i < oldCount; i++) {
+            ops.push({ op: 'remove', path: toPointer(segments.concat(start + common)) })
+        }
+    } else if (isObject(oldValue) && isObject(value)) {
+        Object.keys(oldValue).forEach((name) => {
+            if (!Object.prototype.hasOwnProperty.call(value, name)) {
+                ops.push({ op: 'remove', path: toPointer(segments.concat(name)) })
+            } else {
+                ops = ops.concat(diff(oldValue[name], value[name], segments.concat(name)))
+            }
+        })
+        Object.keys(value).forEach((name) => {
+            if (!Object.prototype.hasOwnProperty.call(oldValue, name)) {
+                ops.push({ op: 'add', path: toPointer(segments.concat(name)), value: value[name] })
+            }
+        })
+    } else {
+        ops.push({ op: 'replace', path: toPointer(segments), value: value })
+    }
+    return ops
+}
+
+/**
+ * Convert LiveJSON change records to JSON Patch operations
+ * @param {Array} records the changes, with segments, oldValue, value, added and removed
+ * @returns {Array} the JSON Patch operations
+ */
+function fromRecords(records) {
+    let ops = []
+    records.forEach((record) => {
+        let path = toPointer(record.segments)
+        if (record.removed) {
+            ops.push({ op: 'remove', path: path })
+        } else if (record.added) {
+            ops.push({ op: 'add', path: path, value: record.value })
+        } else {
+            ops = ops.concat(diff(record.oldValue, record.value, record.segments))
+        }
+    })
+    return ops
+}
+
+/**
+ * Check that a patch is well formed
+ * @param {Array} ops the JSON Patch operations
+ */
+function check(ops) {
+    if (!Array.isArray(ops)) {
+        throw new PatchError('A JSON Patch must be an array of operations')
+    }
+    ops.forEach((op, index) => {
+        if (!isObject(op)) {
+            throw new PatchError(`Operation ${index} is not an object`, op, index)
+        }
+        if (['add', 'remove', 'replace', 'move', 'copy', 'test'].indexOf(op.op) === -1) {
+            throw new PatchError(`Operation ${index} has an unknown op "${op.op}"`, op, index)
+        }
+        if (typeof op.path !== 'string') {
+            throw new PatchError(`Operation ${index} has no path`, op, index)
+        }
+        if (['add', 'replace', 'test'].indexOf(op.op) !== -1 && !Object.prototype.hasOwnProperty.call(op, 'value')) {
+            throw new PatchError(`Operation ${index} (${op.op}) has no value`, op, index)
+        }
+        if (['move', 'copy'].indexOf(op.op) !== -1 && typeof op.from !== 'string') {
+            throw new PatchError(`Operation ${index} (${op.op}) has no from`, op, index)
+        }
+    })
+}
+
+module.exports = {
+    PatchError,
+    toPointer,
+    fromPointer,
+    diff,
+    fromRecords,
+    check
+}
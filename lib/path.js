@@ -0,0 +1,255 @@
+/**
+ * Paths in a JSON document, as lists of keys (segments)
+ * A path can be written as a string: "db.servers[0].host", "db.servers.0.host" or 'db["key.with.dots"]'
+ * Patterns can contain wildcards: "*" matches one key, "**" matches any number of keys
+ */
+
+/**
+ * Parse a path or a pattern
+ * @param {String|Array} path the path, arrays are returned as is
+ * @returns {Array} the segments
+ */
+function parse(path) {
+    if (Array.isArray(path)) {
+        return path
+    }
+    if (path === null || path === undefined || path === '') {
+        return []
+    }
+    path = String(path)
+    let segments = []
+    let current = ''
+    let i = 0
+    let pending = false
+    while (i < path.length) {
+        let c = path[i]
+        if (c === '.') {
+            if (pending || current) {
+                segments.push(current)
+            }
+            current = ''
+            pending = false
+            i++
+        } else if (c === '[') {
+            if (pending || current) {
+                segments.push(current)
+            }
+            current = ''
+            pending = false
+            let end
+            let quote = path[i + 1]
+            if (quote === '"' || quote === '\'') {
+                end = path.indexOf(quote + ']', i + 2)
+                if (end === -1) {
+                    throw new Error(`Invalid path "${path}": missing ${quote}]`)
+                }
+                segments.push(path.substring(i + 2, end))
+                i = end + 2
+            } else {
+                end = path.indexOf(']', i)
+                if (end === -1) {
+                    throw new Error(`Invalid path "${path}": missing ]`)
+                }
+                let name = path.substring(i + 1, end)
+                segments.push(/^\d+$/.test(name) ? Number(name) : name)
+                i = end + 1
+            }
+        } else {
+            current += c
+            pending = true
+            i++
+        }
+    }
+    if (pending) {
+        segments.push(current)
+    }
+    return segments
+}
+
+/**
+ * Format segments as a string path
+ * @param {Array} segments
+ */
+function format(segments) {
+    return segments.join('.')
+}
+
+/**
+ * Get the patterns left after matching the start of a pattern with a path
+ * Ex: remainders(['a', '*', 'c'], ['a', 'b']) => [['c']]
+ * @param {Array} pattern the pattern segments
+ * @param {Array} segments the path
+ * @returns {Array} the list of the remaining patterns, empty if the path can't be the start of a match
+ */
+function remainders(pattern, segments) {
+    if (!segments.length) {
+        return [pattern]
+    }
+    if (!pattern.length) {
+        return []
+    }
+    let first = pattern[0]
+    if (first === '**') {
+        // "**" matches nothing, or one more key
+        return remainders(pattern.slice(1), segments).concat(remainders(pattern, segments.slice(1)))
+    }
+    if (first === '*' || String(first) === String(segments[0])) {
+        return remainders(pattern.slice(1), segments.slice(1))
+    }
+    return []
+}
+
+/**
+ * Check if a pattern matches nothing more (it's empty or only "**")
+ * @param {Array} pattern
+ */
+function isEnd(pattern) {
+    return pattern.every((name) => name === '**')
+}
+
+/**
+ * Check if a path matches a pattern
+ * @param {Array} pattern the pattern segments
+ * @param {Array} segments the path
+ */
+function match(pattern, segments) {
+    return remainders(pattern, segments).some(isEnd)
+}
+
+/**
+ * Check if a path starts with another one, or is the same
+ * @param {Array} prefix
+ * @param {Array} segments
+ */
+function isPrefix(prefix, segments) {
+    return prefix.length <= segments.length && prefix.every((name, i) => String(name) === String(segments[i]))
+}
+
+/**
+ * Get a value in a document
+ * @param {*} root the document
+ * @param {Array} segments the path
+ * @returns {*} the value, undefined if it doesn't exist
+ */
+function get(root, segments) {
+    let value = root
+    for (let i = 0; i < segments.length; i++) {
+        if (typeof value !== 'object' || value === null || !Object.prototype.hasOwnProperty.call(value, segments[i])) {
+            return undefined
+        }
+        value = value[segments[i]]
+    }
+    return value
+}
+
+/**
+ * Set or remove a value in a copy of a document
+ * Only the objects on the path are copied, the rest is shared with the original document
+ * In arrays, removed and inserted values move the next values
+ * @param {*} root the document
+ * @param {Array} segments the path
+ * @param {*} value the new value
+ * @param {Boolean} remove if the value must be removed
+ * @param {Boolean} insert if the value must be inserted in an array
+ * @returns {*} the new document
+ */
+function setIn(root, segments, value, remove, insert) {
+    if (!segments.length) {
+        return value
+    }
+    let copy = Array.isArray(root) ? root.slice() : Object.assign({}, root)
+    let name = segments[0]
+    if (segments.length === 1) {
+        if (Array.isArray(copy) && remove) {
+            copy.splice(Number(name), 1)
+        } else if (Array.isArray(copy) && insert) {
+            copy.splice(Number(name), 0, value)
+        } else if (remove) {
+            delete copy[name]
+        } else {
+            copy[name] = value
+        }
+    } else {
+        let child = copy[name]
+        if (typeof child !== 'object' || child === null) {
+            child = {}
+        }
+        copy[name] = setIn(child, segments.slice(1), value, remove, insert)
+    }
+    return copy
+}
+
+/**
+ * Cut a path at the first array it goes through, so arrays can be copied as a whole
+ * Ex: untilArray({ a: { list: [{ b: 1 }] } }, ['a', 'list', 0, 'b']) => ['a', 'list']
+ * @param {*} root the document
+ * @param {Array} segments the path
+ * @returns {Array} the path of the array, or the path itself if it doesn't go through an array
+ */
+function untilArray(root, segments) {
+    let value = root
+    for (let i = 0; i < segments.length; i++) {
+        if (Array.isArray(value)) {
+            return segments.slice(0, i)
+        }
+        if (typeof value !== 'object' || value === null) {
+            break
+        }
+        value = value[segments[i]]
+    }
+    return segments
+}
+
+/**
+ * Find all the paths matching a pattern in a value
+ * @param {Array} pattern the pattern segments
+ * @param {*} value the value
+ * @param {Array} [segments] the path of the value
+ * @returns {Array} the matching paths
+ */
+function expand(pattern, value, segments) {
+    segments = segments || []
+    let found = []
+    let seen = new Set()
+    function add(path) {
+        let key = JSON.stringify(path)
+        if (!seen.has(key)) {
+            seen.add(key)
+            found.push(path)
+        }
+    }
+    function walk(pattern, value, segments) {
+        if (!pattern.length) {
+            return add(segments)
+        }
+        let first = pattern[0]
+        if (first === '**') {
+            walk(pattern.slice(1), value, segments)
+        }
+        if (typeof value !== 'object' || value === null) {
+            return
+        }
+        let keys = Array.isArray(value) ? value.map((v, i) => i) : Object.keys(value)
+        keys.forEach((name) => {
+            if (first === '**') {
+                walk(pattern, value[name], segments.concat(name))
+            } else if (first === '*' || String(first) === String(name)) {
+                walk(pattern.slice(1), value[name], segments.concat(name))
+            }
+        })
+    }
+    walk(pattern, value, segments)
+    return found
+}
+
+module.exports = {
+    parse,
+    format,
+    remainders,
+    match,
+    isPrefix,
+    get,
+    setIn,
+    untilArray,
+    expand
+}
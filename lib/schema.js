@@ -0,0 +1,253 @@
+const { isObject, deepEqual } = require('./util')
+
+/**
+ * Error thrown when a value doesn't match the schema
+ * The list of errors is in the errors property, each error has a path and a message
+ */
+class ValidationError extends Error {
+    constructor(message, errors) {
+        super(message)
+        this.name = 'ValidationError'
+        this.errors = errors
+    }
+}
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {*} value
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null'
+    } else if (Array.isArray(value)) {
+        return 'array'
+    }
+    return typeof value
+}
+
+/**
+ * Check if a value matches a JSON Schema type
+ * @param {*} value
+ * @param {String} type
+ */
+function matchType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value)
+        case 'number':
+            return typeof value === 'number' && isFinite(value)
+        case 'object':
+            return isObject(value)
+        default:
+            return typeOf(value) === type
+    }
+}
+
+/**
+ * Resolve a local reference like "#/definitions/server"
+ * @param {Object} root the root schema
+ * @param {String} ref
+ */
+function resolveRef(root, ref) {
+    if (ref === '#') {
+        return root
+    }
+    if (ref.indexOf('#/') !== 0) {
+        throw new Error(`Unsupported schema reference "${ref}", only local references are supported`)
+    }
+    return ref.substr(2).split('/').reduce((schema, name) => {
+        name = decodeURIComponent(name).replace(/~1/g, '/').replace(/~0/g, '~')
+        if (!schema || typeof schema[name] === 'undefined') {
+            throw new Error(`Schema reference "${ref}" not found`)
+        }
+        return schema[name]
+    }, root)
+}
+
+/**
+ * Validate a value against a schema
+ * Supported keywords:
+ * - $ref (local only), type, enum, const
+ * - allOf, anyOf, oneOf, not
+ * - minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf
+ * - minLength, maxLength, pattern
+ * - items, additionalItems, minItems, maxItems, uniqueItems
+ * - properties, patternProperties, additionalProperties, required, minProperties, maxProperties
+ * @param {Object} schema the JSON Schema
+ * @param {*} value the value to validate
+ * @param {Array} [segments] the path of the value in the document
+ * @param {Object} [root] the root schema, for references
+ * @returns {Array} the errors, empty if the value is valid
+ */
+function validate(schema, value, segments, root) {
+    segments = segments || []
+    root = root || schema
+    let errors = []
+    if (schema === true || schema === undefined) {
+        return errors
+    }
+    function error(keyword, message) {
+        errors.push({
+            path: segments.join('.'),
+            segments: segments,
+            keyword: keyword,
+            message: message
+        })
+    }
+    if (schema === false) {
+        error('false', 'no value is allowed')
+        return errors
+    }
+    if (schema.$ref) {
+        return validate(resolveRef(root, schema.$ref), value, segments, root)
+    }
+    let type = typeOf(value)
+
+    // Generic keywords
+    if (typeof schema.type !== 'undefined') {
+        let types = [].concat(schema.type)
+        if (!types.some((t) => matchType(value, t))) {
+            error('type', `must be ${types.join(' or ')}, got ${type}`)
+            // The other keywords would only add noise
+            return errors
+        }
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some((v) => deepEqual(v, value))) {
+        error('enum', `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`)
+    }
+    if (typeof schema.const !== 'undefined' && !deepEqual(schema.const, value)) {
+        error('const', `must be ${JSON.stringify(schema.const)}`)
+    }
+
+    // Combinations
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach((sub) => {
+            errors = errors.concat(validate(sub, value, segments, root))
+        })
+    }
+    if (Array.isArray(schema.anyOf) && !schema.anyOf.some((sub) => !validate(sub, value, segments, root).length)) {
+        error('anyOf', 'must match at least one schema in anyOf')
+    }
+    if (Array.isArray(schema.oneOf)) {
+        let count = schema.oneOf.filter((sub) => !validate(sub, value, segments, root).length).length
+        if (count !== 1) {
+            error('oneOf', `must match exactly one schema in oneOf, matched ${count}`)
+        }
+    }
+    if (typeof schema.not !== 'undefined' && !validate(schema.not, value, segments, root).length) {
+        error('not', 'must not match the schema in not')
+    }
+
+    if (type === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) {
+            error('minimum', `must be >= ${schema.minimum}`)
+        }
+        if (typeof schema.maximum === 'number' && value > schema.maximum) {
+            error('maximum', `must be <= ${schema.maximum}`)
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+            error('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`)
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+            error('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`)
+        }
+        if (typeof schema.multipleOf === 'number' && !Number.isInteger(value / schema.multipleOf)) {
+            error('multipleOf', `must be a multiple of ${schema.multipleOf}`)
+        }
+    } else if (type === 'string') {
+        // Length in code points, like the spec says
+        let length = Array.from(value).length
+        if (typeof schema.minLength === 'number' && length < schema.minLength) {
+            error('minLength', `must have at least ${schema.minLength} characters`)
+        }
+        if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+            error('maxLength', `must have at most ${schema.maxLength} characters`)
+        }
+        if (typeof schema.pattern === 'string' && !new RegExp(schema.pattern, 'u').test(value)) {
+            error('pattern', `must match pattern ${schema.pattern}`)
+        }
+    } else if (type === 'array') {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+            error('minItems', `must have at least ${schema.minItems} items`)
+        }
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+            error('maxItems', `must have at most ${schema.maxItems} items`)
+        }
+        if (schema.uniqueItems && value.some((v, i) => value.findIndex((w) => deepEqual(v, w)) !== i)) {
+            error('uniqueItems', 'must not contain duplicate items')
+        }
+        value.forEach((item, index) => {
+            let sub
+            if (Array.isArray(schema.items)) {
+                sub = index < schema.items.length ? schema.items[index] : schema.additionalItems
+            } else {
+                sub = schema.items
+            }
+            errors = errors.concat(validate(sub, item, segments.concat(index), root))
+        })
+    } else if (type === 'object') {
+        let names = Object.keys(value)
+        if (Array.isArray(schema.required)) {
+            schema.required.forEach((name) => {
+                if (!Object.prototype.hasOwnProperty.call(value, name)) {
+                    errors.push({
+                        path: segments.concat(name).join('.'),
+                        segments: segments.concat(name),
+                        keyword: 'required',
+                        message: 'is required'
+                    })
+                }
+            })
+        }
+        if (typeof schema.minProperties === 'number' && names.length < schema.minProperties) {
+            error('minProperties', `must have at least ${schema.minProperties} properties`)
+        }
+        if (typeof schema.maxProperties === 'number' && names.length > schema.maxProperties) {
+            error('maxProperties', `must have at most ${schema.maxProperties} properties`)
+        }
+        let properties = schema.properties || {}
+        let patterns = Object.keys(schema.patternProperties || {}).map((pattern) => {
+            return { regexp: new RegExp(pattern, 'u'), schema: schema.patternProperties[pattern] }
+        })
+        names.forEach((name) => {
+            let matched = false
+            if (Object.prototype.hasOwnProperty.call(properties, name)) {
+                matched = true
+                errors = errors.concat(validate(properties[name], value[name], segments.concat(name), root))
+            }
+            patterns.forEach((pattern) => {
+                if (pattern.regexp.test(name)) {
+                    matched = true
+                    errors = errors.concat(validate(pattern.schema, value[name], segments.concat(name), root))
+                }
+            })
+            if (!matched && typeof schema.additionalProperties !== 'undefined') {
+                if (schema.additionalProperties === false) {
+                    errors.push({
+                        path: segments.concat(name).join('.'),
+                        segments: segments.concat(name),
+                        keyword: 'additionalProperties',
+                        message: 'is not allowed'
+                    })
+                } else {
+                    errors = errors.concat(validate(schema.additionalProperties, value[name], segments.concat(name), root))
+                }
+            }
+        })
+    }
+    return errors
+}
+
+/**
+ * Format a list of errors in a readable message
+ * @param {Array} errors
+ */
+function formatErrors(errors) {
+    return errors.map((e) => `${e.path || '(root)'} ${e.message}`).join(', ')
+}
+
+module.exports = {
+    ValidationError,
+    validate,
+    formatErrors
+}
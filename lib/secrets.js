@@ -0,0 +1,158 @@
+const crypto = require('crypto')
+const jsonPath = require('./path')
+
+/**
+ * Secret values: encrypted in the file, redacted in the output and in the events
+ * A value is encrypted as a string: "enc:v1:" and the base64 of the IV, the authentication tag and the AES-256-GCM encrypted JSON of the value
+ * Plain values found in the file are kept, and encrypted at the next write
+ */
+
+const PREFIX = 'enc:v1:'
+const REDACTED = '[REDACTED]'
+
+/**
+ * Error thrown when a secret can't be decrypted, because of a wrong key or an altered value
+ */
+class SecretError extends Error {
+    constructor(message, fullname) {
+        super(message)
+        this.name = 'SecretError'
+        this.fullname = fullname
+    }
+}
+
+/**
+ * Get the AES-256 key from a secret key
+ * A 32 bytes Buffer or 64 hex characters are used as is, other keys are passphrases derived with scrypt
+ * @param {String|Buffer} key
+ * @returns {Buffer}
+ */
+function deriveKey(key) {
+    if (Buffer.isBuffer(key) && key.length === 32) {
+        return key
+    }
+    if (typeof key === 'string' && /^[0-9a-f]{64}$/i.test(key)) {
+        return Buffer.from(key, 'hex')
+    }
+    return crypto.scryptSync(key, 'livejson', 32)
+}
+
+/**
+ * The secret paths of a document, and their key
+ */
+class Secrets {
+    /**
+     * @param {Array} patterns the paths of the secret values, with wildcards
+     * @param {String|Buffer} key the secret key, needed to read and write a file
+     */
+    constructor(patterns, key) {
+        this.patterns = patterns.map((pattern) => jsonPath.parse(pattern))
+        this._key = key ? deriveKey(key) : null
+        // Key: JSON of the path, value: the JSON of the value last read or written and its encrypted form,
+        // unchanged values are written as they were read
+        this._known = new Map()
+    }
+
+    /**
+     * Check if a value is secret, or inside a secret value
+     * @param {Array} segments the path of the value
+     */
+    isSecret(segments) {
+        return this.patterns.some((pattern) => {
+            for (let length = 0; length <= segments.length; length++) {
+                if (jsonPath.match(pattern, segments.slice(0, length))) {
+                    return true
+                }
+            }
+            return false
+        })
+    }
+
+    /**
+     * Find the secret values in a value, a secret inside another one is part of it
+     * @param {*} value
+     * @param {Array} [segments] the path of the value
+     * @returns {Array} the paths, from the value
+     */
+    paths(value, segments) {
+        let paths = []
+        this.patterns.forEach((pattern) => {
+            jsonPath.remainders(pattern, segments || []).forEach((rest) => {
+                jsonPath.expand(rest, value).forEach((path) => {
+                    if (jsonPath.get(value, path) !== undefined) {
+                        paths.push(path)
+                    }
+                })
+            })
+        })
+        return paths.filter((path) => !paths.some((other) => other.length < path.length && other.every((name, i) => String(name) === String(path[i]))))
+    }
+
+    /**
+     * Encrypt the secret values, for the file
+     * @param {*} data
+     * @returns {*} a copy of the data with the encrypted values
+     */
+    encrypt(data) {
+        return this.paths(data).reduce((encrypted, segments) => {
+            let id = JSON.stringify(segments)
+            let text = JSON.stringify(jsonPath.get(data, segments))
+            let known = this._known.get(id)
+            if (!known || known.text !== text) {
+                let iv = crypto.randomBytes(12)
+                let cipher = crypto.createCipheriv('aes-256-gcm', this._key, iv)
+                let encryptedText = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()])
+                known = { text: text, value: PREFIX + Buffer.concat([iv, cipher.getAuthTag(), encryptedText]).toString('base64') }
+                this._known.set(id, known)
+            }
+            return jsonPath.setIn(encrypted, segments, known.value)
+        }, data)
+    }
+
+    /**
+     * Decrypt the secret values read from the file
+     * @param {*} data
+     * @returns {*} a copy of the data with the decrypted values
+     */
+    decrypt(data) {
+        return this.paths(data).reduce((decrypted, segments) => {
+            let value = jsonPath.get(data, segments)
+            if (typeof value !== 'string' || value.indexOf(PREFIX) !== 0) {
+                return decrypted
+            }
+            let fullname = jsonPath.format(segments)
+            try {
+                let raw = Buffer.from(value.substr(PREFIX.length), 'base64')
+                let decipher = crypto.createDecipheriv('aes-256-gcm', this._key, raw.slice(0, 12))
+                decipher.setAuthTag(raw.slice(12, 28))
+                let text = Buffer.concat([decipher.update(raw.slice(28)), decipher.final()]).toString('utf8')
+                this._known.set(JSON.stringify(segments), { text: text, value: value })
+                return jsonPath.setIn(decrypted, segments, JSON.parse(text))
+            } catch (e) {
+                throw new SecretError(`Couldn't decrypt ${fullname}: wrong key or altered value`, fullname)
+            }
+        }, data)
+    }
+
+    /**
+     * Hide the secret values
+     * @param {*} value
+     * @param {Array} segments the path of the value
+     * @returns {*} a copy of the value with the secret values replaced by "[REDACTED]"
+     */
+    redact(value, segments) {
+        if (value === undefined) {
+            return value
+        }
+        if (this.isSecret(segments)) {
+            return REDACTED
+        }
+        return this.paths(value, segments).reduce((redacted, path) => jsonPath.setIn(redacted, path, REDACTED), value)
+    }
+}
+
+module.exports = {
+    Secrets,
+    SecretError,
+    REDACTED
+}
@@ -0,0 +1,367 @@
+const fs = require('fs')
+const net = require('net')
+const patch = require('./patch')
+const { log } = require('./util')
+
+/**
+ * Live sync between processes over a local socket (a Unix domain socket, or a named pipe on Windows)
+ * The server owns the file, the clients get a copy of its data and send their changes to it.
+ * Messages are JSON objects, one per line:
+ * - server to client: { type: 'sync', data, id } on connect and after a refused change, id being the last change of the client
+ *   it has applied, { type: 'patch', operations } for the changes of the server and of the other clients,
+ *   { type: 'ack', id } and { type: 'reject', id, message } for the changes of the client
+ * - client to server: { type: 'patch', id, operations }, applied by the server in the order they are received
+ * Changes are sent as JSON Patch operations
+ */
+
+/**
+ * Write a message to a socket
+ * @param {net.Socket} socket
+ * @param {Object} message
+ */
+function send(socket, message) {
+    if (!socket.destroyed) {
+        socket.write(JSON.stringify(message) + '\n')
+    }
+}
+
+/**
+ * Read the messages of a socket
+ * @param {net.Socket} socket
+ * @param {Function} onMessage called with each message
+ * @param {Function} onError called when a message can't be parsed
+ */
+function receive(socket, onMessage, onError) {
+    let buffer = ''
+    socket.setEncoding('utf8')
+    socket.on('data', (chunk) => {
+        buffer += chunk
+        let lines = buffer.split('\n')
+        buffer = lines.pop()
+        lines.filter((line) => line.trim()).forEach((line) => {
+            let message
+            try {
+                message = JSON.parse(line)
+            } catch (e) {
+                return onError(e)
+            }
+            onMessage(message)
+        })
+    })
+}
+
+/**
+ * Server sharing a LiveJSON with the clients connected to a socket
+ */
+class SyncServer {
+    /**
+     * @param {LiveJSON} live the LiveJSON owning the file
+     * @param {String} path the socket
+     */
+    constructor(live, path) {
+        this.live = live
+        this.path = path
+        this.clients = []
+        // The client whose change is being applied, it doesn't get its own change back
+        this._origin = null
+        this._server = net.createServer((socket) => this._accept(socket))
+    }
+
+    /**
+     * Start listening, removing the socket left by a server which is gone
+     * @returns {Promise} resolved when the clients can connect
+     */
+    listen() {
+        return new Promise((resolve, reject) => {
+            let onError = (err) => {
+                if (err.code !== 'EADDRINUSE') {
+                    return reject(err)
+                }
+                // A running server accepts connections, a stale socket refuses them
+                let probe = net.createConnection(this.path)
+                probe.on('connect', () => {
+                    probe.destroy()
+                    reject(new Error(`Socket ${this.path} is already used by another server`))
+                })
+                probe.on('error', () => {
+                    try {
+                        fs.unlinkSync(this.path)
+                    } catch (e) {
+                        // Already removed
+                    }
+                    this._server.listen(this.path)
+                })
+            }
+            this._server.on('error', onError)
+            this._server.listen(this.path, () => {
+                this._server.removeListener('error', onError)
+                this._server.on('error', (err) => {
+                    this.live._error(`Error on socket ${this.path}: ${err.message}`, err)
+                })
+                resolve()
+            })
+        })
+    }
+
+    /**
+     * Start syncing a client, with the current data
+     * @param {net.Socket} socket
+     */
+    _accept(socket) {
+        let client = { socket: socket, lastId: 0 }
+        this.clients.push(client)
+        socket.on('close', () => {
+            this.clients = this.clients.filter((c) => c !== client)
+        })
+        socket.on('error', () => {
+            // The client is gone, 'close' follows
+        })
+        receive(socket, (message) => this._receive(client, message), (err) => {
+            this.live._error(`Invalid message on socket ${this.path}: ${err.message}`, err)
+        })
+        send(socket, { type: 'sync', data: this.live._data, id: client.lastId })
+    }
+
+    /**
+     * Apply the changes of a client
+     * A refused change is rejected, and the client gets the data again
+     * @param {Object} client the socket of the client, and the id of its last change
+     * @param {Object} message
+     */
+    _receive(client, message) {
+        if (message.type !== 'patch') {
+            return
+        }
+        let refused = null
+        let onRefused = (e) => {
+            refused = refused || new Error(e.type === 'invalid' ? 'the change is invalid' : `the change of ${e.fullname} was vetoed`)
+        }
+        this.live.on('invalid', onRefused)
+        this.live.on('vetoed', onRefused)
+        client.lastId = message.id
+        this._origin = client
+        try {
+            this.live.applyPatch(message.operations)
+        } catch (e) {
+            refused = e
+        } finally {
+            this._origin = null
+            this.live.removeListener('invalid', onRefused)
+            this.live.removeListener('vetoed', onRefused)
+        }
+        if (refused) {
+            send(client.socket, { type: 'reject', id: message.id, message: refused.message })
+            send(client.socket, { type: 'sync', data: this.live._data, id: client.lastId })
+        } else {
+            send(client.socket, { type: 'ack', id: message.id })
+        }
+    }
+
+    /**
+     * Send changes to the clients, except the one which made them
+     * @param {Array} records the changes
+     */
+    broadcast(records) {
+        let clients = this.clients.filter((client) => client !== this._origin)
+        if (!clients.length) {
+            return
+        }
+        let operations = patch.fromRecords(records)
+        if (operations.length) {
+            clients.forEach((client) => send(client.socket, { type: 'patch', operations: operations }))
+        }
+    }
+
+    /**
+     * Disconnect the clients and stop listening
+     * @returns {Promise} resolved when the server is closed
+     */
+    close() {
+        return new Promise((resolve) => {
+            this.clients.forEach((client) => client.socket.destroy())
+            this._server.close(() => resolve())
+        })
+    }
+}
+
+/**
+ * Client syncing a LiveJSON with a server, reconnecting when the connection is lost
+ */
+class SyncClient {
+    /**
+     * @param {LiveJSON} live the LiveJSON getting the data of the server
+     * @param {String} path the socket
+     * @param {Object} [options] reconnectDelay: ms between two connection attempts (default: 1000)
+     */
+    constructor(live, path, options) {
+        this.live = live
+        this.path = path
+        this.options = Object.assign({
+            reconnectDelay: 1000
+        }, options)
+        this.connected = false
+        this.closed = false
+        // The changes sent and not acknowledged yet, sent again after a resync
+        this.pending = []
+        this._socket = null
+        this._counter = 0
+        // Set while changes already sent are applied again, so they aren't sent twice
+        this._replaying = false
+        this._reconnectTimer = null
+        this._waiting = []
+        this.ready = new Promise((resolve) => {
+            this._onReady = resolve
+        })
+        this._connect()
+    }
+
+    /**
+     * Connect to the server, the data is synced when the server sends it
+     */
+    _connect() {
+        this._reconnectTimer = null
+        let socket = net.createConnection(this.path)
+        this._socket = socket
+        receive(socket, (message) => this._receive(message), (err) => {
+            this.live._error(`Invalid message on socket ${this.path}: ${err.message}`, err)
+        })
+        socket.on('error', (err) => {
+            // Connection refused while the server is down, 'close' follows
+            log(`Couldn't connect to ${this.path}: ${err.message}`)
+        })
+        socket.on('close', () => {
+            let wasConnected = this.connected
+            this.connected = false
+            this._socket = null
+            if (wasConnected) {
+                this.live.emit('disconnect', { type: 'disconnect', socket: this.path })
+            }
+            this._release(new Error(`Disconnected from ${this.path}`))
+            if (!this.closed) {
+                this._reconnectTimer = setTimeout(() => this._connect(), this.options.reconnectDelay)
+                this._reconnectTimer.unref()
+            }
+        })
+    }
+
+    /**
+     * Handle a message of the server
+     * @param {Object} message
+     */
+    _receive(message) {
+        if (message.type === 'sync') {
+            this._sync(message.data, message.id)
+        } else if (message.type === 'patch') {
+            this.live._applyRemote(message.operations)
+        } else if (message.type === 'ack' || message.type === 'reject') {
+            this.pending = this.pending.filter((change) => change.id !== message.id)
+            if (message.type === 'reject') {
+                this.live._error(`The server refused a change: ${message.message}`)
+            }
+            if (!this.pending.length) {
+                this._release(null)
+            }
+        }
+    }
+
+    /**
+     * Replace the data with the data of the server, then apply the changes it hasn't received yet again
+     * On a new connection they are sent again, otherwise they are still on their way to the server
+     * @param {*} data
+     * @param {Number} id the last change of this connection applied by the server
+     */
+    _sync(data, id) {
+        let resend = !this.connected
+        let pending = this.pending.filter((change) => change.id > id)
+        this.pending = resend ? [] : pending
+        this.live.set(data, true)
+        this.connected = true
+        this._replaying = !resend
+        pending.forEach((change) => {
+            try {
+                this.live.applyPatch(change.operations)
+            } catch (e) {
+                this.live._error(`Couldn't apply a change again after syncing with ${this.path}: ${e.message}`, e)
+            }
+        })
+        this._replaying = false
+        if (this._onReady) {
+            this._onReady()
+            this._onReady = null
+        }
+        if (resend) {
+            this.live.emit('connect', { type: 'connect', socket: this.path })
+        }
+        if (!this.pending.length) {
+            this._release(null)
+        }
+    }
+
+    /**
+     * Send local changes to the server, they are kept until the server acknowledges them
+     * @param {Array} records the changes
+     */
+    send(records) {
+        if (this._replaying) {
+            return
+        }
+        let operations = patch.fromRecords(records)
+        if (!operations.length) {
+            return
+        }
+        let change = { type: 'patch', id: ++this._counter, operations: operations }
+        this.pending.push(change)
+        if (this.connected) {
+            send(this._socket, change)
+        }
+    }
+
+    /**
+     * Wait for the server to acknowledge the changes
+     * @returns {Promise} resolved when all the changes are acknowledged, rejected if the connection is lost before
+     */
+    flush() {
+        if (!this.pending.length) {
+            return Promise.resolve()
+        }
+        if (!this.connected) {
+            return Promise.reject(new Error(`Not connected to ${this.path}`))
+        }
+        return new Promise((resolve, reject) => {
+            this._waiting.push({ resolve, reject })
+        })
+    }
+
+    /**
+     * Settle the flush promises
+     * @param {Error} err null when all the changes are acknowledged
+     */
+    _release(err) {
+        let waiting = this._waiting
+        this._waiting = []
+        waiting.forEach((w) => err ? w.reject(err) : w.resolve())
+    }
+
+    /**
+     * Stop syncing, after the pending changes are acknowledged
+     * @returns {Promise} resolved when disconnected
+     */
+    close() {
+        this.closed = true
+        clearTimeout(this._reconnectTimer)
+        let done = () => {
+            if (this._socket) {
+                this._socket.destroy()
+            }
+        }
+        return this.flush().then(done, (err) => {
+            done()
+            throw err
+        })
+    }
+}
+
+module.exports = {
+    SyncServer,
+    SyncClient
+}
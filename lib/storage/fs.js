@@ -0,0 +1,235 @@
+const fs = require('fs')
+const path = require('path')
+const { promisify } = require('util')
+const { watchDirectory, watchFile } = require('../watch')
+
+const WATCHERS = ['native', 'poll', 'auto']
+
+/**
+ * Write a file atomically
+ * The contents are written and synced to a temp file next to the destination, which is then renamed over it,
+ * so a crash never leaves a truncated file behind. The directory is synced too, so the rename itself is on disk
+ * @param {String} file the destination file
+ * @param {String} contents the contents to write
+ * @param {String} encoding
+ * @returns {Promise}
+ */
+function writeFileAtomic(file, contents, encoding) {
+    let tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${++writeFileAtomic.counter}.tmp`)
+    let mode = 0o666
+    try {
+        mode = fs.statSync(file).mode
+    } catch (e) {
+        // New file, default mode
+    }
+    let fd = null
+    return writeFileAtomic.open(tmp, 'w', mode)
+        .then((_fd) => {
+            fd = _fd
+            return writeFileAtomic.write(fd, contents, null, encoding)
+        })
+        .then(() => writeFileAtomic.fsync(fd))
+        .then(() => {
+            let _fd = fd
+            fd = null
+            return writeFileAtomic.close(_fd)
+        })
+        .then(() => writeFileAtomic.rename(tmp, file))
+        .then(() => syncDirectory(path.dirname(file)))
+        .catch((err) => {
+            if (fd !== null) {
+                fs.closeSync(fd)
+            }
+            try {
+                fs.unlinkSync(tmp)
+            } catch (e) {
+                // Temp file was never created or already renamed
+            }
+            throw err
+        })
+}
+writeFileAtomic.counter = 0
+writeFileAtomic.open = promisify(fs.open)
+writeFileAtomic.write = promisify(fs.write)
+writeFileAtomic.fsync = promisify(fs.fsync)
+writeFileAtomic.close = promisify(fs.close)
+writeFileAtomic.rename = promisify(fs.rename)
+
+/**
+ * Sync a directory, so the files renamed in it are on disk
+ * Some platforms can't open or sync directories (Windows), the rename is as durable as they allow then
+ * @param {String} dir
+ * @returns {Promise}
+ */
+function syncDirectory(dir) {
+    let fd = null
+    return writeFileAtomic.open(dir, 'r')
+        .then((_fd) => {
+            fd = _fd
+            return writeFileAtomic.fsync(fd)
+        })
+        .then(() => writeFileAtomic.close(fd), (err) => {
+            if (fd !== null) {
+                fs.closeSync(fd)
+            }
+            if (['EISDIR', 'EPERM', 'EINVAL'].indexOf(err.code) === -1) {
+                throw err
+            }
+        })
+}
+
+/**
+ * Storage in the local filesystem, the default one
+ * Keys are file paths, writes are atomic and the files are watched with a shared watcher per directory,
+ * and also polled in auto mode, as native events can be missing
+ */
+class FileStorage {
+    /**
+     * @param {Object} [options] encoding: the encoding of the files (default: utf8),
+     *                           watcher: 'native' (fs.watch), 'poll' (fs.watchFile) or 'auto' for both (default: 'auto'),
+     *                           interval: ms between two checks when polling (default: 1000)
+     */
+    constructor(options) {
+        this.options = Object.assign({
+            encoding: null,
+            watcher: 'auto',
+            interval: 1000
+        }, options)
+        if (WATCHERS.indexOf(this.options.watcher) === -1) {
+            throw new TypeError(`Invalid watcher "${this.options.watcher}": it must be ${WATCHERS.join(', ')}`)
+        }
+    }
+
+    /**
+     * Read a file
+     * @param {String} file
+     * @returns {String} the contents, null if the file doesn't exist
+     */
+    read(file) {
+        try {
+            return String(fs.readFileSync(file, { encoding: this.options.encoding }))
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return null
+            }
+            throw err
+        }
+    }
+
+    /**
+     * Write a file atomically
+     * @param {String} file
+     * @param {String} contents
+     * @returns {Promise}
+     */
+    write(file, contents) {
+        return writeFileAtomic(file, contents, this.options.encoding || 'utf8')
+    }
+
+    /**
+     * Get the state of a file
+     * @param {String} file
+     * @returns {Object} size, mtimeMs, directory, readable and writable, null if the file doesn't exist
+     */
+    stat(file) {
+        let stat
+        try {
+            stat = fs.statSync(file)
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return null
+            }
+            throw err
+        }
+        let access = (mode) => {
+            try {
+                fs.accessSync(file, mode)
+                return true
+            } catch (e) {
+                return false
+            }
+        }
+        return {
+            size: stat.size,
+            mtimeMs: stat.mtimeMs,
+            directory: stat.isDirectory(),
+            readable: access(fs.constants.R_OK),
+            writable: access(fs.constants.W_OK)
+        }
+    }
+
+    /**
+     * Watch a file, even if it doesn't exist yet
+     * The directory is watched rather than the file, so the editors replacing the file on save don't break the watch
+     * @param {String} file
+     * @param {Function} onChange called with the event type
+     * @param {Function} onError called with the watcher error
+     * @returns {Function} function stopping the watch, null if the directory of the file doesn't exist with the native watcher
+     */
+    watch(file, onChange, onError) {
+        let strategy = this.options.watcher
+        let dir = path.dirname(file)
+        if (strategy === 'poll') {
+            return watchFile(file, this.options.interval, onChange)
+        }
+        if (strategy !== 'auto' && !fs.existsSync(dir)) {
+            return null
+        }
+        // In auto mode the file is polled too: fs.watch can work and still get no events, on NFS for example.
+        // A change seen twice is read once, as the contents are compared with their hash
+        let unpoll = strategy === 'auto' ? watchFile(file, this.options.interval, onChange) : null
+        let unwatch = null
+        let fallback = (err) => {
+            if (!unpoll) {
+                return onError(err)
+            }
+            // Polling only from now on
+            unwatch()
+            unwatch = null
+            onChange('change')
+        }
+        if (fs.existsSync(dir)) {
+            try {
+                unwatch = watchDirectory(dir, (eventType, filename) => {
+                    // The filename isn't provided on every platform, the change may be ours then
+                    if (!filename || path.join(dir, String(filename)) === file) {
+                        onChange(eventType)
+                    }
+                }, fallback)
+            } catch (err) {
+                if (!unpoll) {
+                    throw err
+                }
+            }
+        }
+        return () => {
+            if (unwatch) {
+                unwatch()
+            }
+            if (unpoll) {
+                unpoll()
+            }
+        }
+    }
+
+    /**
+     * Rename a file
+     * @param {String} from
+     * @param {String} to
+     */
+    rename(from, to) {
+        fs.renameSync(from, to)
+    }
+
+    /**
+     * Copy a file
+     * @param {String} from
+     * @param {String} to
+     */
+    copy(from, to) {
+        fs.copyFileSync(from, to)
+    }
+}
+
+module.exports = FileStorage
+module.exports.writeFileAtomic = writeFileAtomic
@@ -0,0 +1,40 @@
+/**
+ * Storages reading and writing the data of LiveJSON
+ * A storage is an object with:
+ * - read(key): returns the contents (a string), null if the key doesn't exist
+ * - write(key, contents): writes the contents
+ * - stat(key): returns null if the key doesn't exist, or an object with any of
+ *   size, mtimeMs, version (changes with the contents), directory, readable and writable
+ * - watch(key, onChange, onError) (optional): calls onChange when the key changes, returns a function stopping the watch
+ * - rename(from, to) and copy(from, to) (optional): used for the backups, read and write are used otherwise
+ * Each method can return a promise
+ */
+
+const FileStorage = require('./fs')
+const KeyValueStorage = require('./kv')
+const MemoryStorage = require('./memory')
+
+/**
+ * Get the storage of an option
+ * @param {String|Object} storage 'fs', 'memory' or a storage object
+ * @param {Object} options the LiveJSON options, for the encoding and the watcher of the file storage
+ */
+function get(storage, options) {
+    if (!storage || storage === 'fs') {
+        return new FileStorage({ encoding: options.encoding, watcher: options.watcher, interval: options.pollInterval })
+    }
+    if (storage === 'memory') {
+        return new MemoryStorage()
+    }
+    if (typeof storage !== 'object' || ['read', 'write', 'stat'].some((name) => typeof storage[name] !== 'function')) {
+        throw new TypeError('A storage must have read, write and stat functions')
+    }
+    return storage
+}
+
+module.exports = {
+    FileStorage,
+    KeyValueStorage,
+    MemoryStorage,
+    get
+}
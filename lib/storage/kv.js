@@ -0,0 +1,149 @@
+const { hash } = require('../util')
+
+/**
+ * Storage in a key-value store, like localStorage or a Map
+ * The store must have getItem, setItem and removeItem (the Web Storage API), or get, set and delete (a Map)
+ * Changes made through the storage are seen right away, changes made directly in the store are seen
+ * when polling is enabled with the interval option
+ */
+class KeyValueStorage {
+    /**
+     * @param {Object} store the store
+     * @param {Object} [options] interval: ms between two checks of the watched keys, 0 to disable polling (default: 0)
+     */
+    constructor(store, options) {
+        if (!store || (typeof store.getItem !== 'function' && typeof store.get !== 'function')) {
+            throw new TypeError('The store must have getItem/setItem/removeItem or get/set/delete')
+        }
+        this.store = store
+        this.options = Object.assign({
+            interval: 0
+        }, options)
+        this._watchers = new Map()
+    }
+
+    /**
+     * Read a key
+     * @param {String} key
+     * @returns {String} the contents, null if the key doesn't exist
+     */
+    read(key) {
+        let value = typeof this.store.getItem === 'function' ? this.store.getItem(key) : this.store.get(key)
+        return value === null || value === undefined ? null : String(value)
+    }
+
+    /**
+     * Write a key
+     * @param {String} key
+     * @param {String} contents
+     */
+    write(key, contents) {
+        if (typeof this.store.setItem === 'function') {
+            this.store.setItem(key, contents)
+        } else {
+            this.store.set(key, contents)
+        }
+        this._notify(key)
+    }
+
+    /**
+     * Remove a key
+     * @param {String} key
+     */
+    remove(key) {
+        if (typeof this.store.removeItem === 'function') {
+            this.store.removeItem(key)
+        } else {
+            this.store.delete(key)
+        }
+        this._notify(key)
+    }
+
+    /**
+     * Get the state of a key
+     * @param {String} key
+     * @returns {Object} size and version (a hash of the contents), null if the key doesn't exist
+     */
+    stat(key) {
+        let contents = this.read(key)
+        if (contents === null) {
+            return null
+        }
+        return {
+            size: contents.length,
+            version: hash(contents)
+        }
+    }
+
+    /**
+     * Watch a key
+     * @param {String} key
+     * @param {Function} onChange called with the event type
+     * @returns {Function} function stopping the watch
+     */
+    watch(key, onChange) {
+        let watchers = this._watchers.get(key)
+        if (!watchers) {
+            watchers = new Set()
+            this._watchers.set(key, watchers)
+        }
+        let watcher = { onChange: onChange, timer: null }
+        if (this.options.interval) {
+            let last = this.read(key)
+            watcher.timer = setInterval(() => {
+                let contents = this.read(key)
+                if (contents !== last) {
+                    last = contents
+                    onChange('change')
+                }
+            }, this.options.interval)
+            // Polling alone must not keep the process running
+            if (watcher.timer.unref) {
+                watcher.timer.unref()
+            }
+        }
+        watchers.add(watcher)
+        return () => {
+            clearInterval(watcher.timer)
+            watchers.delete(watcher)
+            if (!watchers.size) {
+                this._watchers.delete(key)
+            }
+        }
+    }
+
+    /**
+     * Rename a key
+     * @param {String} from
+     * @param {String} to
+     */
+    rename(from, to) {
+        this.write(to, this.read(from))
+        this.remove(from)
+    }
+
+    /**
+     * Copy a key
+     * @param {String} from
+     * @param {String} to
+     */
+    copy(from, to) {
+        this.write(to, this.read(from))
+    }
+
+    /**
+     * Tell the watchers of a key that it changed, asynchronously like a filesystem watcher
+     * @param {String} key
+     */
+    _notify(key) {
+        let watchers = this._watchers.get(key)
+        if (!watchers) {
+            return
+        }
+        setTimeout(() => {
+            Array.from(watchers).forEach((watcher) => watcher.onChange('change'))
+        }, 0)
+    }
+}
+
+module.exports = KeyValueStorage
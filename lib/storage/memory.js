@@ -0,0 +1,31 @@
+const KeyValueStorage = require('./kv')
+
+/**
+ * Storage in memory, for tests
+ * Several LiveJSON objects sharing the same storage see the changes of each other, like with files
+ * Ex:
+    let storage = new LiveJSON.MemoryStorage({ 'config.json': '{"debug":true}' })
+    let config = new LiveJSON({ file: 'config.json', storage: storage })
+ */
+class MemoryStorage extends KeyValueStorage {
+    /**
+     * @param {Object} [contents] the initial contents of the keys
+     */
+    constructor(contents) {
+        super(new Map(Object.keys(contents || {}).map((key) => [key, String(contents[key])])))
+    }
+
+    /**
+     * Get the contents of all the keys
+     * @returns {Object}
+     */
+    toJSON() {
+        let contents = {}
+        this.store.forEach((value, key) => {
+            contents[key] = value
+        })
+        return contents
+    }
+}
+
+module.exports = MemoryStorage
@@ -0,0 +1,152 @@
+const crypto = require('crypto')
+
+/**
+ * Small helpers shared by the LiveJSON modules
+ */
+
+/**
+ * Check if a value is a plain JSON object (not null, not an array)
+ * @param {*} value
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Compare two JSON values deeply
+ * @param {*} a
+ * @param {*} b
+ */
+function deepEqual(a, b) {
+    if (a === b) {
+        return true
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+        return false
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false
+    }
+    if (Array.isArray(a)) {
+        return a.length === b.length && a.every((value, index) => deepEqual(value, b[index]))
+    }
+    let keys = Object.keys(a)
+    if (keys.length !== Object.keys(b).length) {
+        return false
+    }
+    return keys.every((name) => Object.prototype.hasOwnProperty.call(b, name) && deepEqual(a[name], b[name]))
+}
+
+/**
+ * Copy a JSON value deeply
+ * @param {*} value
+ */
+function clone(value) {
+    if (Array.isArray(value)) {
+        return value.map(clone)
+    }
+    if (isObject(value)) {
+        let copy = {}
+        Object.keys(value).forEach((name) => {
+            copy[name] = clone(value[name])
+        })
+        return copy
+    }
+    return value
+}
+
+/**
+ * Merge a value over another one: objects are merged key by key, other values are replaced
+ * The result is a new value, it never shares objects with lower or upper
+ * @param {*} lower
+ * @param {*} upper the value winning over lower, undefined to keep lower
+ */
+function deepMerge(lower, upper) {
+    if (!isObject(lower) || !isObject(upper)) {
+        return clone(upper === undefined ? lower : upper)
+    }
+    let merged = clone(lower)
+    Object.keys(upper).forEach((name) => {
+        merged[name] = deepMerge(lower[name], upper[name])
+    })
+    return merged
+}
+
+/**
+ * Check if a value is a promise (or any thenable)
+ * @param {*} value
+ */
+function isPromise(value) {
+    return value !== null && typeof value === 'object' && typeof value.then === 'function'
+}
+
+/**
+ * Call a function with a value, or with the result of a promise
+ * So synchronous storages stay synchronous, and asynchronous ones work too
+ * @param {*} value
+ * @param {Function} fn
+ * @returns {*} the result of fn, or a promise of it
+ */
+function whenReady(value, fn) {
+    return isPromise(value) ? value.then(fn) : fn(value)
+}
+
+/**
+ * Call a function, and handle its errors whether it is synchronous or returns a promise
+ * @param {Function} fn
+ * @param {Function} onError called with the error, its result replaces the result of fn
+ * @returns {*} the result, or a promise of it
+ */
+function attempt(fn, onError) {
+    let result
+    try {
+        result = fn()
+    } catch (e) {
+        return onError(e)
+    }
+    return isPromise(result) ? result.then(null, onError) : result
+}
+
+/**
+ * Hash a text, to detect changes of contents without keeping them
+ * @param {String} text
+ * @returns {String} the hex SHA-1 of the text
+ */
+function hash(text) {
+    return crypto.createHash('sha1').update(text).digest('hex')
+}
+
+/**
+ * Log function
+ * Will only log if the verbosity (LiveJSON.VERBOSE) is 1 or more
+ * @param  {...any} args
+ */
+function log(...args) {
+    if (log.verbosity()) {
+        console.log.apply(console, args)
+    }
+}
+log.$2 = function(...args) {
+    if (log.verbosity() >= 2) {
+        log.apply(console, args)
+    }
+}
+log.$3 = function(...args) {
+    if (log.verbosity() >= 3) {
+        log.apply(console, args)
+    }
+}
+// Set by index.js to read LiveJSON.VERBOSE, the modules it requires can't require it
+log.verbosity = () => 0
+
+module.exports = {
+    isObject,
+    deepEqual,
+    clone,
+    deepMerge,
+    isPromise,
+    whenReady,
+    attempt,
+    hash,
+    log
+}
@@ -0,0 +1,69 @@
+const fs = require('fs')
+
+/**
+ * Directory watchers, shared between all the LiveJSON instances watching files in the same directory
+ * Key: directory path, value: { watcher, listeners }
+ */
+const directoryWatchers = new Map()
+
+/**
+ * Watch a directory with a shared fs.watch handle
+ * The handle is closed when the last listener is removed
+ * @param {String} dir the directory to watch
+ * @param {Function} onChange called with (eventType, filename)
+ * @param {Function} onError called with the watcher error
+ * @returns {Function} function removing the listener
+ */
+function watchDirectory(dir, onChange, onError) {
+    let entry = directoryWatchers.get(dir)
+    if (!entry) {
+        entry = {
+            watcher: fs.watch(dir),
+            listeners: new Set()
+        }
+        entry.watcher.on('change', (eventType, filename) => {
+            Array.from(entry.listeners).forEach((listener) => listener.onChange(eventType, filename))
+        })
+        entry.watcher.on('error', (err) => {
+            Array.from(entry.listeners).forEach((listener) => listener.onError(err))
+        })
+        directoryWatchers.set(dir, entry)
+    }
+    let listener = { onChange, onError }
+    entry.listeners.add(listener)
+    return function unwatch() {
+        if (!entry.listeners.delete(listener) || entry.listeners.size) {
+            return
+        }
+        entry.watcher.close()
+        if (directoryWatchers.get(dir) === entry) {
+            directoryWatchers.delete(dir)
+        }
+    }
+}
+
+/**
+ * Watch a file by polling its state, for the filesystems without native events (NFS, Docker bind mounts...)
+ * Works even if the file or its directory doesn't exist yet
+ * @param {String} file the file to watch
+ * @param {Number} interval ms between two checks
+ * @param {Function} onChange called with 'rename' when the file is created or removed, 'change' otherwise
+ * @returns {Function} function removing the listener
+ */
+function watchFile(file, interval, onChange) {
+    let listener = (current, previous) => {
+        // A missing file has a null ino and mtime
+        let existed = previous.mtimeMs !== 0 || previous.ino !== 0
+        let exists = current.mtimeMs !== 0 || current.ino !== 0
+        onChange(exists === existed ? 'change' : 'rename')
+    }
+    fs.watchFile(file, { interval: interval }, listener)
+    return function unwatch() {
+        fs.unwatchFile(file, listener)
+    }
+}
+
+module.exports = {
+    watchDirectory,
+    watchFile
+}
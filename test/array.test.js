@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const LiveJSON = require('../index')
+
+/**
+ * Create a LiveJSON without file, collecting the changes of its change events
+ * @param {*} data
+ */
+function create(data) {
+    let live = new LiveJSON(data, true)
+    live.changes = []
+    live.on('change', (e) => {
+        live.changes.push(e.changes.map((change) => [change.operation, change.index]))
+    })
+    return live
+}
+
+describe('proxies', () => {
+    it('gives the same proxy for the same object', () => {
+        let live = new LiveJSON({ a: { b: {} }, list: [{}] }, true)
+        assert.strictEqual(live.$.a, live.$.a)
+        assert.strictEqual(live.$.a.b, live.$.a.b)
+        assert.strictEqual(live.$.list, live.$.list)
+        assert.strictEqual(live.$.list[0], live.$.list[0])
+        assert.strictEqual(live.$.list.push, live.$.list.push)
+    })
+
+    it('follows the objects moved in their arrays', () => {
+        let live = new LiveJSON({ list: [{ id: 1 }, { id: 2 }] }, true)
+        let names = []
+        live.on('propchange', (e) => names.push(e.fullname))
+        let second = live.$.list[1]
+        live.$.list.unshift({ id: 0 })
+        second.id = 20
+        live.$.list.reverse()
+        second.id = 21
+        live.$.list.splice(0, 2)
+        // Removed, keeps its last path
+        let first = live.$.list[0]
+        live.$.list.shift()
+        assert.strictEqual(first.id, 0)
+        assert.deepStrictEqual(names.filter((name) => name !== 'list'), ['list.2.id', 'list.0.id'])
+    })
+})
+
+describe('array changes', () => {
+    it('gives the insertions and the removals of a call', () => {
+        let live = create({ list: [1, 2, 3] })
+        live.$.list.push(4, 5)
+        live.$.list.splice(1, 2, 'x')
+        live.$.list.shift()
+        live.$.list.unshift(0)
+        assert.deepStrictEqual(live.changes, [
+            [['insert', 3]],
+            [['replace', 1], ['remove', 2]],
+            [['remove', 0]],
+            [['insert', 0]]
+        ])
+        assert.deepStrictEqual(JSON.parse(live.toString()).list, [0, 'x', 4, 5])
+    })
+
+    it('gives the moves of sort and reverse, and nothing when the order is the same', () => {
+        let live = create({ list: [3, 1, 2] })
+        live.$.list.sort()
+        live.$.list.sort()
+        live.$.list.reverse()
+        assert.deepStrictEqual(live.changes.map((changes) => changes.map((change) => change[0])), [
+            ['move', 'move', 'move'],
+            ['move', 'move']
+        ])
+        assert.deepStrictEqual(JSON.parse(live.toString()).list, [3, 2, 1])
+    })
+
+    it('gives the values at the index and the whole arrays, like for an assignment', () => {
+        let live = new LiveJSON({ list: [1, 2, 3] }, true)
+        let propchanges = []
+        let changes = []
+        live.on('propchange', (e) => propchanges.push([e.operation, e.index, e.oldValue, e.value, e.values || e.oldValues]))
+        live.on('change', (e) => changes.push([e.oldValue, e.value]))
+        live.$.list.push(4, 5)
+        live.$.list.shift()
+        live.$.list.splice(1, 1, 'x', 'y')
+        live.$.list.reverse()
+        assert.deepStrictEqual(propchanges, [
+            ['insert', 3, undefined, 4, [4, 5]],
+            ['remove', 0, 1, 2, [1]],
+            ['replace', 1, 3, 'x', undefined],
+            ['insert', 2, 4, 'y', ['y']],
+            ['move', 0, 2, 5, undefined],
+            ['move', 1, 'x', 4, undefined],
+            ['move', 3, 4, 'x', undefined],
+            ['move', 4, 5, 2, undefined]
+        ])
+        assert.deepStrictEqual(changes, [
+            [[1, 2, 3], [1, 2, 3, 4, 5]],
+            [[1, 2, 3, 4, 5], [2, 3, 4, 5]],
+            [[2, 3, 4, 5], [2, 'x', 'y', 4, 5]],
+            [[2, 'x', 'y', 4, 5], [5, 4, 'y', 'x', 2]]
+        ])
+    })
+
+    it('returns the results of the array methods', () => {
+        let live = new LiveJSON({ list: [1, 2] }, true)
+        assert.strictEqual(live.$.list.push(3), 3)
+        assert.strictEqual(live.$.list.pop(), 3)
+        assert.deepStrictEqual(live.$.list.splice(0, 1), [1])
+        assert.strictEqual(live.$.list.reverse(), live.$.list)
+        assert.strictEqual(live.$.list.indexOf(2), 0)
+    })
+
+    it('restores the array when a change is refused', () => {
+        let live = new LiveJSON({ list: [1, 2, 3], locked: [1, 2] }, { schema: { properties: { list: { maxItems: 3 } } }, protect: ['locked'] })
+        assert.throws(() => live.$.list.push(4), LiveJSON.ValidationError)
+        assert.throws(() => live.$.locked.reverse(), LiveJSON.ReadOnlyError)
+        assert.deepStrictEqual(JSON.parse(live.toString()), { list: [1, 2, 3], locked: [1, 2] })
+    })
+})
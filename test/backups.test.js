@@ -0,0 +1,149 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const LiveJSON = require('../index')
+const { tmpdir, readJSON } = require('./helpers')
+
+/**
+ * Create a file and its backups
+ * @param {String} current the contents of the file
+ * @param {Array} backups the contents of file.1, file.2...
+ * @returns {String} the file
+ */
+function withBackups(current, backups) {
+    let file = path.join(tmpdir(), 'config.json')
+    fs.writeFileSync(file, current)
+    backups.forEach((contents, i) => fs.writeFileSync(`${file}.${i + 1}`, contents))
+    return file
+}
+
+describe('backups', () => {
+    it('rotates the backups on each write, keeping the backups option', () => {
+        let file = withBackups('{"v":0}', [])
+        let live = new LiveJSON({}, { file: file, backups: 2, autoload: false })
+        live.$.v = 1
+        return live.flush().then(() => {
+            live.$.v = 2
+            return live.flush()
+        }).then(() => {
+            live.$.v = 3
+            return live.flush()
+        }).then(() => {
+            assert.deepStrictEqual(readJSON(file), { v: 3 })
+            assert.deepStrictEqual(readJSON(`${file}.1`), { v: 2 })
+            assert.deepStrictEqual(readJSON(`${file}.2`), { v: 1 })
+            assert.strictEqual(fs.existsSync(`${file}.3`), false)
+        })
+    })
+
+    it('refuses to overwrite a file it couldn\'t read', () => {
+        let file = withBackups('{broken', [])
+        let live = new LiveJSON({ a: 1 }, { file: file, autoload: false })
+        let errors = []
+        live.on('error', (e) => errors.push(e.message))
+        live.$.a = 2
+        return live.flush().then(() => assert.fail('the file was overwritten'), () => {
+            assert.strictEqual(fs.readFileSync(file, 'utf8'), '{broken')
+            assert.match(errors[errors.length - 1], /won't be overwritten until it is fixed or restored/)
+        })
+    })
+
+    it('reports an unreadable file once for each contents', () => {
+        let file = withBackups('{broken', [])
+        // Read again before each write, not by the watcher
+        let live = new LiveJSON({ a: 1 }, { file: file, watcher: 'poll', pollInterval: 10000 })
+        let errors = []
+        live.on('error', (e) => errors.push(e.message))
+        let parseErrors = () => errors.filter((message) => /couldn't be read as json/.test(message)).length
+        live.$.a = 2
+        return live.flush().catch(() => live.flush()).catch(() => {
+            assert.strictEqual(parseErrors(), 1)
+            fs.writeFileSync(file, '{still broken')
+            return live.flush()
+        }).catch(() => live.flush()).catch(() => {
+            assert.strictEqual(parseErrors(), 2)
+            assert.strictEqual(fs.readFileSync(file, 'utf8'), '{still broken')
+            return live.close().catch(() => {})
+        })
+    })
+
+    it('recovers from the newest valid backup, and keeps the corrupt file aside', () => {
+        let file = withBackups('{broken', ['also broken', '{"v":2}', '{"v":1}'])
+        let live = new LiveJSON({}, { file: file, backups: 3, recover: 'backup', autoload: false })
+        let recovered = []
+        live.on('recovered', (e) => recovered.push(e))
+        assert.strictEqual(live.$.v, 2)
+        assert.strictEqual(recovered[0].index, 2)
+        live.$.v = 3
+        return live.flush().then(() => {
+            assert.deepStrictEqual(readJSON(file), { v: 3 })
+            assert.strictEqual(fs.readFileSync(`${file}.corrupt`, 'utf8'), '{broken')
+            // The backups are unchanged
+            assert.strictEqual(fs.readFileSync(`${file}.1`, 'utf8'), 'also broken')
+            assert.deepStrictEqual(readJSON(`${file}.2`), { v: 2 })
+            assert.deepStrictEqual(readJSON(`${file}.3`), { v: 1 })
+            // Then the backups rotate again
+            live.$.v = 4
+            return live.flush()
+        }).then(() => {
+            assert.deepStrictEqual(readJSON(`${file}.1`), { v: 3 })
+        })
+    })
+
+    it('keeps each corrupt file', () => {
+        let file = withBackups('{broken', ['{"v":1}'])
+        let first = new LiveJSON({}, { file: file, backups: 1, recover: 'backup', autoload: false })
+        first.$.v = 2
+        return first.close().then(() => {
+            fs.writeFileSync(file, '{broken again')
+            let second = new LiveJSON({}, { file: file, backups: 1, recover: 'backup', autoload: false })
+            assert.strictEqual(second.$.v, 1)
+            second.$.v = 3
+            return second.close()
+        }).then(() => {
+            assert.deepStrictEqual(readJSON(file), { v: 3 })
+            assert.strictEqual(fs.readFileSync(`${file}.corrupt`, 'utf8'), '{broken')
+            assert.strictEqual(fs.readFileSync(`${file}.corrupt.1`, 'utf8'), '{broken again')
+        })
+    })
+})
+
+describe('restore()', () => {
+    it('restores a corrupt file without pushing out the backups', () => {
+        let file = withBackups('{broken', ['{"v":2}', '{"v":1}'])
+        let live = new LiveJSON({}, { file: file, backups: 2, autoload: false })
+        live.on('error', () => {})
+        return live.restore(1).then(() => {
+            assert.strictEqual(live.$.v, 2)
+            assert.deepStrictEqual(readJSON(file), { v: 2 })
+            assert.deepStrictEqual(readJSON(`${file}.1`), { v: 2 })
+            assert.deepStrictEqual(readJSON(`${file}.2`), { v: 1 })
+            assert.strictEqual(fs.readFileSync(`${file}.corrupt`, 'utf8'), '{broken')
+        })
+    })
+
+    it('rotates the backups when the current file is valid', () => {
+        let file = withBackups('{"v":3}', ['{"v":2}', '{"v":1}'])
+        let live = new LiveJSON({}, { file: file, backups: 2, autoload: false })
+        return live.restore(2).then(() => {
+            assert.deepStrictEqual(readJSON(file), { v: 1 })
+            assert.deepStrictEqual(readJSON(`${file}.1`), { v: 3 })
+            assert.deepStrictEqual(readJSON(`${file}.2`), { v: 2 })
+            assert.strictEqual(fs.existsSync(`${file}.corrupt`), false)
+        })
+    })
+
+    it('fails on a missing or unreadable backup, and changes nothing', () => {
+        let file = withBackups('{"v":3}', ['{broken'])
+        let live = new LiveJSON({}, { file: file, backups: 2, autoload: false })
+        return live.restore(1).then(() => assert.fail('restored'), (err) => {
+            assert.match(err.message, /couldn't be read as json/)
+            return live.restore(2)
+        }).then(() => assert.fail('restored'), (err) => {
+            assert.match(err.message, /doesn't exist/)
+            assert.deepStrictEqual(readJSON(file), { v: 3 })
+            assert.strictEqual(live.$.v, 3)
+        })
+    })
+})
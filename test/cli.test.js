@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const { spawn, execFile } = require('child_process')
+const { tmpdir, until, readJSON } = require('./helpers')
+
+const BIN = path.join(__dirname, '..', 'bin', 'livejson.js')
+
+/**
+ * Run the command-line tool in a directory
+ * @param {String} cwd
+ * @param {Array} args
+ * @returns {Promise} resolved with { code, stdout, stderr }
+ */
+function run(cwd, args) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [BIN].concat(args), { cwd: cwd, timeout: 10000 }, (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, stdout: stdout, stderr: stderr })
+        })
+    })
+}
+
+describe('livejson command', () => {
+    it('reads and changes the files relative to the current directory', () => {
+        let dir = tmpdir()
+        fs.writeFileSync(path.join(dir, 'config.json'), '{\n    "db": {\n        "port": 1\n    }\n}\n')
+        return run(dir, ['get', 'config.json', 'db.port']).then((result) => {
+            assert.deepStrictEqual([result.code, result.stdout], [0, '1\n'])
+            return run(dir, ['set', 'config.json', 'db.host', '"h"'])
+        }).then((result) => {
+            assert.strictEqual(result.code, 0)
+            let text = fs.readFileSync(path.join(dir, 'config.json'), 'utf8')
+            assert.deepStrictEqual(JSON.parse(text), { db: { port: 1, host: 'h' } })
+            assert.match(text, /^ {4}"db"/m)
+            return run(dir, ['del', 'config.json', 'db.port'])
+        }).then((result) => {
+            assert.strictEqual(result.code, 0)
+            assert.deepStrictEqual(readJSON(path.join(dir, 'config.json')), { db: { host: 'h' } })
+            return run(dir, ['set', 'created.json', 'a', '1'])
+        }).then((result) => {
+            assert.strictEqual(result.code, 0)
+            assert.deepStrictEqual(readJSON(path.join(dir, 'created.json')), { a: 1 })
+        })
+    })
+
+    it('leaves the file untouched when reading or validating it', () => {
+        let dir = tmpdir()
+        let text = '{"a":1,  "b":"x"}'
+        fs.writeFileSync(path.join(dir, 'config.json'), text)
+        fs.writeFileSync(path.join(dir, 'schema.json'), '{"properties":{"a":{"type":"integer"}}}')
+        return run(dir, ['get', 'config.json']).then((result) => {
+            assert.strictEqual(result.code, 0)
+            assert.deepStrictEqual(JSON.parse(result.stdout), { a: 1, b: 'x' })
+            return run(dir, ['validate', 'config.json', '--schema', 'schema.json'])
+        }).then((result) => {
+            assert.deepStrictEqual([result.code, result.stdout], [0, 'config.json is valid\n'])
+            assert.strictEqual(fs.readFileSync(path.join(dir, 'config.json'), 'utf8'), text)
+        })
+    })
+
+    it('exits with the code of the error', () => {
+        let dir = tmpdir()
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{broken')
+        fs.writeFileSync(path.join(dir, 'config.json'), '{"a":"x"}')
+        fs.writeFileSync(path.join(dir, 'schema.json'), '{"properties":{"a":{"type":"integer"}}}')
+        return Promise.all([
+            run(dir, []),
+            run(dir, ['get', 'missing.json']),
+            run(dir, ['get', 'config.json', 'b']),
+            run(dir, ['get', 'broken.json']),
+            run(dir, ['validate', 'config.json', '--schema', 'schema.json']),
+            run(dir, ['set', 'config.json', 'a', 'unquoted'])
+        ]).then((results) => {
+            assert.deepStrictEqual(results.map((result) => result.code), [2, 6, 6, 3, 5, 2])
+            assert.match(results[4].stderr, /a .*integer/)
+            assert.strictEqual(fs.readFileSync(path.join(dir, 'broken.json'), 'utf8'), '{broken')
+        })
+    })
+
+    it('prints the changes of a watched file, without writing it', () => {
+        let dir = tmpdir()
+        let file = path.join(dir, 'config.json')
+        fs.writeFileSync(file, '{"a":1,"b":1,"a[b":1}')
+        let child = spawn(process.execPath, [BIN, 'watch', 'config.json', 'a', '--poll'], { cwd: dir })
+        let timer = setTimeout(() => child.kill('SIGKILL'), 10000)
+        let stdout = ''
+        let stderr = ''
+        child.stdout.on('data', (data) => {
+            stdout += data
+        })
+        child.stderr.on('data', (data) => {
+            stderr += data
+        })
+        let exited = new Promise((resolve) => child.on('exit', resolve))
+        // Changed until the watcher started
+        let value = 1
+        let writes = setInterval(() => {
+            value++
+            fs.writeFileSync(file, `{"a":${value},"b":${value},"a[b":${value}}`)
+        }, 200)
+        return until(() => stdout.indexOf('\n') !== -1, 8000).then(() => {
+            clearInterval(writes)
+            let events = stdout.trim().split('\n').map((line) => JSON.parse(line))
+            // The key a[b is another key, not a
+            assert.strictEqual(events.every((e) => e.fullname === 'a' || (e.fullnames || []).indexOf('a') !== -1), true)
+            assert.strictEqual(events.some((e) => e.fullname === 'a[b'), false)
+            child.kill('SIGTERM')
+            return exited
+        }).then((code) => {
+            clearTimeout(timer)
+            assert.deepStrictEqual([code, stderr], [0, ''])
+            assert.match(fs.readFileSync(file, 'utf8'), /^\{"a":\d+,"b":\d+,"a\[b":\d+\}$/)
+        }, (err) => {
+            clearInterval(writes)
+            clearTimeout(timer)
+            child.kill('SIGKILL')
+            throw err
+        })
+    })
+})
@@ -0,0 +1,187 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const LiveJSON = require('../index')
+const codecs = require('../lib/codecs')
+const { tmpdir } = require('./helpers')
+
+/**
+ * Serialize data with a codec and parse it back
+ * @param {String} name the codec
+ * @param {*} data
+ */
+function roundTrip(name, data) {
+    let codec = codecs.get(name)
+    return codec.parse(codec.serialize(data, { spacer: 2, source: null }))
+}
+
+describe('codecs registry', () => {
+    it('finds the codec of a file from its extension', () => {
+        assert.strictEqual(codecs.forFile('config.json').name, 'json')
+        assert.strictEqual(codecs.forFile('config.YML').name, 'yaml')
+        assert.strictEqual(codecs.forFile('config.toml').name, 'toml')
+        assert.strictEqual(codecs.forFile('/app/.env').name, 'env')
+        assert.strictEqual(codecs.forFile('/app/.env.production').name, 'env')
+        assert.strictEqual(codecs.forFile('config').name, 'json')
+        assert.strictEqual(codecs.forFile(null).name, 'json')
+    })
+
+    it('refuses unknown and incomplete codecs', () => {
+        assert.throws(() => codecs.get('xml'), /Unknown codec "xml"/)
+        assert.throws(() => codecs.register('broken', { parse() {} }), TypeError)
+        assert.throws(() => codecs.get({ serialize() {} }), TypeError)
+    })
+
+    it('uses the registered codecs for their extensions', () => {
+        codecs.register('lines', {
+            extensions: ['.lines'],
+            parse: (text) => text.split('\n').filter(Boolean),
+            serialize: (data) => data.join('\n') + '\n'
+        })
+        let file = path.join(tmpdir(), 'list.lines')
+        fs.writeFileSync(file, 'a\nb\n')
+        let live = new LiveJSON([], { file: file, autoload: false })
+        assert.deepStrictEqual(JSON.parse(live.toString()), ['a', 'b'])
+        live.$.push('c')
+        return live.close().then(() => {
+            assert.strictEqual(fs.readFileSync(file, 'utf8'), 'a\nb\nc\n')
+        })
+    })
+})
+
+describe('YAML codec', () => {
+    it('round-trips JSON values', () => {
+        let data = { name: 'app', port: 8080, ratio: 2.5, debug: false, nothing: null, tags: ['a', 'b'], db: { hosts: [{ host: 'x', port: 1 }] }, empty: {}, none: [] }
+        assert.deepStrictEqual(roundTrip('yaml', data), data)
+    })
+
+    it('keeps the strings that look like other values as strings', () => {
+        let data = { a: 'true', b: '123', c: 'null', d: '', e: 'with: colon', f: '- dash', g: ' padded ', h: 'line\nbreak', i: '#hash' }
+        assert.deepStrictEqual(roundTrip('yaml', data), data)
+    })
+
+    it('reads block scalars, flow collections, comments and plain values', () => {
+        let text = [
+            '# comment',
+            'text: |',
+            '  line1',
+            '  line2',
+            'folded: >',
+            '  a',
+            '  b',
+            'list:',
+            '  - x: 1',
+            '  - y',
+            'flow: {k: v, n: [1, 2]}',
+            'quoted: "q\\n"',
+            'single: \'it\'\'s\'',
+            'tilde: ~',
+            'yes: true # trailing comment',
+            'hex: 0x10',
+            ''
+        ].join('\n')
+        assert.deepStrictEqual(codecs.get('yaml').parse(text), {
+            text: 'line1\nline2\n',
+            folded: 'a b\n',
+            list: [{ x: 1 }, 'y'],
+            flow: { k: 'v', n: [1, 2] },
+            quoted: 'q\n',
+            single: 'it\'s',
+            tilde: null,
+            yes: true,
+            hex: 16
+        })
+    })
+
+    it('throws a SyntaxError with the line of the error', () => {
+        let yaml = codecs.get('yaml')
+        assert.throws(() => yaml.parse('a: [1, 2'), (e) => e instanceof SyntaxError && /line 1/.test(e.message))
+        assert.throws(() => yaml.parse('a:\n\tb: 1'), /Tabs can't be used for indentation at line 2/)
+        assert.throws(() => yaml.parse('a: 1\n---\nb: 2'), /Multiple documents/)
+        assert.throws(() => yaml.parse('a: 1\n  b: 2'), SyntaxError)
+    })
+})
+
+describe('TOML codec', () => {
+    it('round-trips tables, arrays of tables and values', () => {
+        let data = { title: 't', count: 3, ratio: 0.5, on: true, list: [1, 2], server: { host: 'h', ports: [80, 443], tls: { cert: 'c' } }, items: [{ id: 1 }, { id: 2 }] }
+        assert.deepStrictEqual(roundTrip('toml', data), data)
+    })
+
+    it('reads dotted keys, inline tables and literal strings', () => {
+        let text = [
+            'a.b = 1',
+            'inline = { x = 1, y = "z" }',
+            'path = \'C:\\dir\'',
+            '[server]',
+            'port = 80 # comment',
+            '[[items]]',
+            'id = 1',
+            '[[items]]',
+            'id = 2',
+            ''
+        ].join('\n')
+        assert.deepStrictEqual(codecs.get('toml').parse(text), {
+            a: { b: 1 },
+            inline: { x: 1, y: 'z' },
+            path: 'C:\\dir',
+            server: { port: 80 },
+            items: [{ id: 1 }, { id: 2 }]
+        })
+    })
+
+    it('throws on invalid files and on values TOML can\'t store', () => {
+        let toml = codecs.get('toml')
+        assert.throws(() => toml.parse('a = '), (e) => e instanceof SyntaxError && /line 1/.test(e.message))
+        assert.throws(() => toml.parse('a = 1\na = 2'), SyntaxError)
+        assert.throws(() => toml.serialize({ a: null }), /can't store null values \(a\)/)
+        assert.throws(() => toml.serialize([1]), /Only objects/)
+    })
+})
+
+describe('.env codec', () => {
+    it('round-trips strings', () => {
+        let data = { A: '1', B: 'x y', C: 'line\nbreak', D: '', E: 'say "hi"' }
+        assert.deepStrictEqual(roundTrip('env', data), data)
+    })
+
+    it('reads comments, export, quotes and inline comments', () => {
+        let text = '# comment\nA=1\nexport B="x\\ny"\nC=\'raw $x\'\nD=v # comment\n\n'
+        assert.deepStrictEqual(codecs.get('env').parse(text), { A: '1', B: 'x\ny', C: 'raw $x', D: 'v' })
+    })
+
+    it('throws on invalid lines and on values a .env file can\'t store', () => {
+        let env = codecs.get('env')
+        assert.throws(() => env.parse('not valid'), /Invalid line 1/)
+        assert.throws(() => env.parse('A="open'), /Unterminated value for A/)
+        assert.throws(() => env.serialize({ A: { b: 1 } }), /can't store objects/)
+        assert.throws(() => env.serialize({ 'bad key': '1' }), /Invalid .env key/)
+    })
+})
+
+describe('LiveJSON with a codec', () => {
+    it('reads and writes a YAML file', () => {
+        let file = path.join(tmpdir(), 'config.yaml')
+        fs.writeFileSync(file, 'db:\n  host: localhost\n  port: 5432\n')
+        let live = new LiveJSON({}, { file: file, autoload: false })
+        assert.strictEqual(live.$.db.port, 5432)
+        live.$.db.port = 5433
+        return live.close().then(() => {
+            assert.deepStrictEqual(codecs.get('yaml').parse(fs.readFileSync(file, 'utf8')), { db: { host: 'localhost', port: 5433 } })
+        })
+    })
+
+    it('reports the files the codec can\'t read, and doesn\'t overwrite them', () => {
+        let file = path.join(tmpdir(), 'config.toml')
+        fs.writeFileSync(file, 'a = ')
+        let live = new LiveJSON({ a: 1 }, { file: file, autoload: false })
+        let errors = []
+        live.on('error', (e) => errors.push(e))
+        assert.match(errors[0].message, /couldn't be read as toml/)
+        live.$.a = 2
+        return live.close().then(() => assert.fail('the file was overwritten'), () => {
+            assert.strictEqual(fs.readFileSync(file, 'utf8'), 'a = ')
+        })
+    })
+})
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const LiveJSON = require('../index')
+const { tmpdir, until, readJSON } = require('./helpers')
+
+/**
+ * Create a directory of files
+ * @param {Object} files the contents of the files by name
+ * @returns {String} the directory
+ */
+function confd(files) {
+    let dir = tmpdir()
+    Object.keys(files).forEach((name) => fs.writeFileSync(path.join(dir, name), JSON.stringify(files[name])))
+    return dir
+}
+
+describe('Directory', () => {
+    it('mounts each file under its name, and writes the changes to it', () => {
+        let dir = confd({ 'db.json': { host: 'a' }, 'cache.json': { ttl: 1 }, 'notes.txt': 'ignored' })
+        let config = new LiveJSON.Directory(dir, { autoload: false })
+        assert.deepStrictEqual(JSON.parse(config.toString()), { cache: { ttl: 1 }, db: { host: 'a' } })
+        config.$.db.host = 'b'
+        config.$.queue = { size: 10 }
+        delete config.$.cache
+        assert.strictEqual(config.whereFrom('db.host'), path.join(dir, 'db.json'))
+        return config.flush().then(() => {
+            assert.deepStrictEqual(readJSON(path.join(dir, 'db.json')), { host: 'b' })
+            assert.deepStrictEqual(readJSON(path.join(dir, 'queue.json')), { size: 10 })
+            return until(() => !fs.existsSync(path.join(dir, 'cache.json')))
+        }).then(() => config.close())
+    })
+
+    it('refuses to mount a value which isn\'t an object', () => {
+        let config = new LiveJSON.Directory(confd({}), { autoload: false })
+        let errors = []
+        config.on('error', (err) => errors.push(err.message))
+        config.$.port = 80
+        assert.match(errors[0], /only objects can be mounted from a file/)
+        return config.close()
+    })
+
+    it('merges the files in lexical order with the merge option', () => {
+        let dir = confd({ '20-local.json': { db: { host: 'local' } }, '10-base.json': { db: { host: 'base', port: 1 }, other: 1 } })
+        let config = new LiveJSON.Directory(dir, { merge: true, autoload: false })
+        assert.deepStrictEqual(JSON.parse(config.toString()), { db: { host: 'local', port: 1 }, other: 1 })
+        assert.strictEqual(config.whereFrom('db.port'), path.join(dir, '10-base.json'))
+        config.$.db.host = 'changed'
+        config.$.db.port = 2
+        config.$.added = true
+        return config.flush().then(() => {
+            assert.deepStrictEqual(readJSON(path.join(dir, '10-base.json')), { db: { host: 'base', port: 2 }, other: 1 })
+            assert.deepStrictEqual(readJSON(path.join(dir, '20-local.json')), { db: { host: 'changed' }, added: true })
+            return config.close()
+        })
+    })
+
+    it('follows the files added, changed and removed in the directory', () => {
+        let dir = confd({ 'db.json': { host: 'a' } })
+        let config = new LiveJSON.Directory(dir, { watcher: 'native', reloadDelay: 10 })
+        let changes = []
+        config.on('change', (e) => changes.push(e))
+        fs.writeFileSync(path.join(dir, 'cache.json'), '{"ttl":1}')
+        return until(() => config.$.cache && config.$.cache.ttl === 1).then(() => {
+            fs.writeFileSync(path.join(dir, 'db.json'), '{"host":"b"}')
+            return until(() => config.$.db.host === 'b')
+        }).then(() => {
+            fs.unlinkSync(path.join(dir, 'cache.json'))
+            return until(() => !('cache' in config.$))
+        }).then(() => {
+            assert.strictEqual(changes.every((e) => e.external), true)
+            return config.close()
+        })
+    })
+})
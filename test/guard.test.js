@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const LiveJSON = require('../index')
+
+/**
+ * Create a LiveJSON without file, collecting its vetoed events
+ * @param {*} data
+ * @param {Object} [options]
+ */
+function create(data, options) {
+    let live = new LiveJSON(data, options || true)
+    live.vetoed = []
+    live.on('vetoed', (e) => live.vetoed.push(e))
+    return live
+}
+
+// The ways to get an object of an array without reading its index
+const ARRAY_PATHS = {
+    find: (list) => [list.find(() => true)],
+    filter: (list) => list.filter(() => true),
+    at: (list) => [list.at(0)],
+    forEach: (list) => {
+        let found = []
+        list.forEach((item) => found.push(item))
+        return found
+    },
+    map: (list) => list.map((item) => item),
+    iterator: (list) => [...list],
+    values: (list) => Array.from(list.values()),
+    entries: (list) => Array.from(list.entries()).map(([, item]) => item)
+}
+
+describe('readonly()', () => {
+    it('follows the data, and refuses every change', () => {
+        let live = create({ db: { host: 'a' }, list: [1] })
+        let ro = live.readonly()
+        assert.strictEqual(live.readonly(), ro)
+        live.$.db.host = 'b'
+        assert.strictEqual(ro.db.host, 'b')
+        assert.throws(() => {
+            ro.db.host = 'c'
+        }, LiveJSON.ReadOnlyError)
+        assert.throws(() => {
+            delete ro.db
+        }, LiveJSON.ReadOnlyError)
+        assert.throws(() => ro.list.push(2), LiveJSON.ReadOnlyError)
+        assert.deepStrictEqual(live.vetoed.map((e) => [e.fullname, e.reason]), [['db.host', 'readonly'], ['db', 'readonly'], ['list', 'readonly']])
+        assert.deepStrictEqual(JSON.parse(live.toString()), { db: { host: 'b' }, list: [1] })
+    })
+
+    Object.keys(ARRAY_PATHS).forEach((method) => {
+        it(`refuses the changes of the objects given by ${method}`, () => {
+            let live = create({ items: [{ id: 1 }] })
+            let items = ARRAY_PATHS[method](live.readonly().items)
+            assert.strictEqual(items.length, 1)
+            assert.throws(() => {
+                items[0].id = 99
+            }, LiveJSON.ReadOnlyError)
+            assert.deepStrictEqual(JSON.parse(live.toString()), { items: [{ id: 1 }] })
+        })
+    })
+})
+
+describe('protect option', () => {
+    it('refuses the changes of the protected paths', () => {
+        let live = create({ secrets: { key: 'x' }, version: 1, other: 1 }, { protect: ['secrets.**', 'version'] })
+        assert.throws(() => {
+            live.$.secrets.key = 'y'
+        }, (e) => e instanceof LiveJSON.ReadOnlyError && /secrets\.\*\* is protected/.test(e.message))
+        assert.throws(() => {
+            live.$.version = 2
+        }, LiveJSON.ReadOnlyError)
+        assert.throws(() => live.set({ other: 2 }), LiveJSON.ReadOnlyError)
+        live.$.other = 2
+        assert.deepStrictEqual(live.vetoed.map((e) => [e.fullname, e.reason, e.pattern]), [
+            ['secrets.key', 'protected', 'secrets.**'],
+            ['version', 'protected', 'version'],
+            [null, 'protected', 'secrets.**']
+        ])
+        assert.deepStrictEqual(JSON.parse(live.toString()), { secrets: { key: 'x' }, version: 1, other: 2 })
+    })
+
+    Object.keys(ARRAY_PATHS).forEach((method) => {
+        it(`refuses the changes of the protected objects given by ${method}`, () => {
+            let live = create({ items: [{ id: 1 }] }, { protect: ['items.*.id'] })
+            let items = ARRAY_PATHS[method](live.$.items)
+            assert.throws(() => {
+                items[0].id = 99
+            }, LiveJSON.ReadOnlyError)
+            items[0].extra = true
+            assert.deepStrictEqual(JSON.parse(live.toString()), { items: [{ id: 1, extra: true }] })
+        })
+    })
+})
+
+describe('beforeChange()', () => {
+    it('vetoes or transforms the changes', () => {
+        let live = create({ servers: { a: { port: 1 } } })
+        let remove = live.beforeChange('servers.*.port', (change) => {
+            change.value = Number(change.value)
+            return change.value > 0
+        })
+        live.$.servers.a.port = '8080'
+        live.$.servers.a.port = -1
+        assert.strictEqual(live.$.servers.a.port, 8080)
+        assert.deepStrictEqual(live.vetoed.map((e) => [e.fullname, e.reason, e.pattern, e.value]), [['servers.a.port', 'hook', 'servers.*.port', -1]])
+        remove()
+        live.$.servers.a.port = -1
+        assert.strictEqual(live.$.servers.a.port, -1)
+    })
+})
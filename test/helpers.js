@@ -0,0 +1,85 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+/**
+ * Helpers shared by the tests
+ */
+
+/**
+ * Create an empty temp directory, removed when the process exits
+ * @returns {String} its path
+ */
+function tmpdir() {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'livejson-'))
+    process.on('exit', () => {
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+    return dir
+}
+
+/**
+ * Wait some time
+ * @param {Number} ms
+ * @returns {Promise}
+ */
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/**
+ * Wait for the next event of an emitter
+ * @param {EventEmitter} emitter
+ * @param {String} name the event name
+ * @param {Number} [timeout] ms before failing (default: 2000)
+ * @returns {Promise} resolved with the event
+ */
+function nextEvent(emitter, name, timeout) {
+    return new Promise((resolve, reject) => {
+        let timer = setTimeout(() => {
+            emitter.removeListener(name, listener)
+            reject(new Error(`No ${name} event after ${timeout || 2000}ms`))
+        }, timeout || 2000)
+        let listener = (e) => {
+            clearTimeout(timer)
+            resolve(e)
+        }
+        emitter.once(name, listener)
+    })
+}
+
+/**
+ * Wait until a condition is true
+ * @param {Function} condition
+ * @param {Number} [timeout] ms before failing (default: 2000)
+ * @returns {Promise}
+ */
+function until(condition, timeout) {
+    let start = Date.now()
+    let check = () => {
+        if (condition()) {
+            return Promise.resolve()
+        }
+        if (Date.now() - start > (timeout || 2000)) {
+            return Promise.reject(new Error('Timed out waiting for a condition'))
+        }
+        return wait(10).then(check)
+    }
+    return check()
+}
+
+/**
+ * Read a JSON file
+ * @param {String} file
+ */
+function readJSON(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+module.exports = {
+    tmpdir,
+    wait,
+    nextEvent,
+    until,
+    readJSON
+}
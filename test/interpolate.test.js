@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const LiveJSON = require('../index')
+
+/**
+ * Create a LiveJSON without file resolving its strings, collecting its errors
+ * @param {*} data
+ */
+function create(data) {
+    let live = new LiveJSON(data, { file: null, interpolate: true })
+    live.errors = []
+    live.on('error', (err) => live.errors.push(err.message))
+    return live
+}
+
+describe('interpolation', () => {
+    it('resolves the references when the strings are read', () => {
+        process.env.LIVEJSON_TEST_HOME = '/home/test'
+        let live = create({ paths: { root: '${env:LIVEJSON_TEST_HOME}', logs: '${paths.root}/logs' }, literal: '$${paths.root}', missing: '${nope}' })
+        assert.strictEqual(live.$.paths.logs, '/home/test/logs')
+        assert.strictEqual(live.$.literal, '${paths.root}')
+        assert.strictEqual(live.$.missing, '${nope}')
+        let changes = []
+        live.on('propchange', (e) => changes.push([e.fullname, e.value, e.computed]))
+        live.$.paths.root = '/srv'
+        assert.strictEqual(live.$.paths.logs, '/srv/logs')
+        assert.deepStrictEqual(changes, [['paths.root', '/srv', undefined], ['paths.logs', '/srv/logs', true]])
+        // The file keeps the references
+        assert.deepStrictEqual(JSON.parse(live.toString()).paths, { root: '/srv', logs: '${paths.root}/logs' })
+        delete process.env.LIVEJSON_TEST_HOME
+    })
+
+    it('resolves the strings read by the array methods and the iteration', () => {
+        let live = create({ x: 'X', list: ['${x}', 'a'], objects: [{ v: '${x}' }] })
+        assert.deepStrictEqual(live.$.list.map((v) => v), ['X', 'a'])
+        assert.deepStrictEqual([...live.$.list], ['X', 'a'])
+        assert.strictEqual(live.$.list.join(), 'X,a')
+        assert.deepStrictEqual(live.$.list.slice(), ['X', 'a'])
+        assert.strictEqual(live.$.list.indexOf('X'), 0)
+        assert.deepStrictEqual(live.$.objects.map((o) => o.v), ['X'])
+        assert.deepStrictEqual(live.readonly().list.filter(() => true), ['X', 'a'])
+    })
+
+    it('reports each circular reference once', () => {
+        let live = create({ a: '${b}', b: '${a}', c: 'c' })
+        assert.strictEqual(live.$.a, '${b}')
+        assert.strictEqual(live.$.b, '${a}')
+        assert.strictEqual(live.$.a, '${b}')
+        assert.deepStrictEqual(live.errors, ['Circular reference in a: a -> b -> a'])
+        live.$.b = '${c}'
+        assert.strictEqual(live.$.a, 'c')
+        // Made again, it is reported again
+        live.$.b = '${a}'
+        live.$.a
+        live.$.b
+        assert.strictEqual(live.errors.filter((message) => /^Circular reference in/.test(message)).length, 2)
+    })
+
+    it('computes the values from the data', () => {
+        let live = create({ db: { host: 'h', port: 1 } })
+        let changes = []
+        live.on('propchange', (e) => changes.push([e.fullname, e.value]))
+        let remove = live.computed('db.url', ($) => `${$.db.host}:${$.db.port}`)
+        assert.strictEqual(live.$.db.url, 'h:1')
+        live.$.db.port = 2
+        assert.strictEqual(live.$.db.url, 'h:2')
+        assert.deepStrictEqual(changes, [['db.port', 2], ['db.url', 'h:2']])
+        remove()
+        assert.strictEqual(live.$.db.url, undefined)
+    })
+})
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const LiveJSON = require('../index')
+const jsonc = require('../lib/jsonc')
+const { tmpdir } = require('./helpers')
+
+const TEXT = `{
+    // the server
+    "host": "a", /* inline */
+    "port": 80,
+    "list": [1, 2,],
+}
+`
+
+describe('jsonc.parse', () => {
+    it('reads comments, trailing commas and unquoted keys', () => {
+        assert.deepStrictEqual(jsonc.parse(TEXT), { host: 'a', port: 80, list: [1, 2] })
+        assert.deepStrictEqual(jsonc.parse('{ key: 1 }'), { key: 1 })
+    })
+
+    it('reads the JSON5 syntax only in json5 mode', () => {
+        let text = `{ single: 'quoted', hex: 0x10, inf: Infinity, half: .5, plus: +1, point: 5., }`
+        assert.deepStrictEqual(jsonc.parse(text, { json5: true }), { single: 'quoted', hex: 16, inf: Infinity, half: 0.5, plus: 1, point: 5 })
+        assert.throws(() => jsonc.parse(text), SyntaxError)
+    })
+
+    it('throws a SyntaxError with the position of the error', () => {
+        assert.throws(() => jsonc.parse('{"a": 1 /* x'), /Unterminated comment at line 1 column 9/)
+        assert.throws(() => jsonc.parse('{\n"a": 1} x'), /Unexpected "x" at line 2 column 9/)
+        assert.throws(() => jsonc.parse('{"a": "\\q"}'), /Invalid escape/)
+    })
+})
+
+describe('jsonc.update', () => {
+    it('rewrites only the changed values', () => {
+        let text = jsonc.update(TEXT, { host: 'b', port: 80, list: [1, 2, 3] })
+        assert.strictEqual(text, TEXT.replace('"a"', '"b"').replace('[1, 2,]', '[1, 2, 3,]'))
+    })
+
+    it('adds and removes keys, keeping the other comments', () => {
+        let text = jsonc.update(TEXT, { port: 80, list: [1, 2], added: true })
+        assert.match(text, /\/\/ the server/)
+        assert.doesNotMatch(text, /"host"/)
+        assert.deepStrictEqual(jsonc.parse(text), { port: 80, list: [1, 2], added: true })
+    })
+
+    it('keeps the JSON5 syntax of the untouched values', () => {
+        let text = jsonc.update(`{unquoted: 'single', hex: 0x10}`, { unquoted: 'it\'s', hex: 16, key: 1 }, { json5: true })
+        assert.strictEqual(text, `{unquoted: 'it\\'s', hex: 0x10, key: 1}`)
+    })
+
+    it('indents the objects added two levels deep like their neighbours', () => {
+        let text = `{
+    // the server
+    "server": {
+        "host": "a", "tls": {"port": 443}
+    }
+}
+`
+        let value = { server: { host: 'a', tls: { port: 443, cert: { path: 'x' } }, proxy: { to: { host: 'b' } } } }
+        assert.strictEqual(jsonc.update(text, value, { spacer: 4 }), `{
+    // the server
+    "server": {
+        "host": "a", "tls": {"port": 443, "cert": {
+            "path": "x"
+        }},
+        "proxy": {
+            "to": {
+                "host": "b"
+            }
+        }
+    }
+}
+`)
+    })
+})
+
+describe('LiveJSON with a JSONC file', () => {
+    it('keeps the comments of the file when it is written', () => {
+        let file = path.join(tmpdir(), 'config.jsonc')
+        fs.writeFileSync(file, TEXT)
+        let live = new LiveJSON({}, { file: file, spacer: 4, autoload: false })
+        assert.strictEqual(live.$.host, 'a')
+        live.$.port = 81
+        return live.close().then(() => {
+            assert.strictEqual(fs.readFileSync(file, 'utf8'), TEXT.replace('80', '81'))
+        })
+    })
+})
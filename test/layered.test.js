@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const LiveJSON = require('../index')
+const { tmpdir, nextEvent, readJSON } = require('./helpers')
+
+/**
+ * Create the files of the layers
+ * @param {Object} files the contents of the files by name
+ * @returns {String} the base file
+ */
+function layerFiles(files) {
+    let dir = tmpdir()
+    Object.keys(files).forEach((name) => fs.writeFileSync(path.join(dir, name), JSON.stringify(files[name])))
+    return path.join(dir, 'config.json')
+}
+
+describe('Layered', () => {
+    it('merges the layers, the highest ones first', () => {
+        let file = layerFiles({
+            'config.json': { db: { host: 'base', port: 1 }, list: [1, 2] },
+            'config.production.json': { db: { host: 'production' }, list: [3] },
+            'config.local.json': { db: { user: 'me' } }
+        })
+        let config = new LiveJSON.Layered({
+            defaults: { db: { host: 'localhost', port: 0, timeout: 10 } },
+            file: file,
+            environment: 'production',
+            envPrefix: 'APP',
+            env: { APP__DB__PORT: '5433', APP__NEW__KEY: 'text', OTHER__DB__PORT: '1' },
+            autoload: false
+        })
+        assert.deepStrictEqual(JSON.parse(config.toString()), {
+            db: { host: 'production', port: 5433, timeout: 10, user: 'me' },
+            list: [3],
+            new: { key: 'text' }
+        })
+        assert.strictEqual(config.whereFrom('db.timeout'), 'defaults')
+        assert.strictEqual(config.whereFrom('db.host'), 'environment')
+        assert.strictEqual(config.whereFrom('db.user'), 'local')
+        assert.strictEqual(config.whereFrom('db.port'), 'variables')
+        assert.strictEqual(config.whereFrom('missing'), null)
+        return config.close()
+    })
+
+    it('writes the changes to the writable layer only', () => {
+        let file = layerFiles({ 'config.json': { a: 1, b: 1 } })
+        let config = new LiveJSON.Layered({ defaults: { c: 'default' }, file: file, environment: null, autoload: false })
+        config.$.b = 2
+        config.$.c = 'changed'
+        assert.strictEqual(config.whereFrom('c'), 'local')
+        delete config.$.c
+        // The value of the lower layer is back
+        assert.strictEqual(config.$.c, 'default')
+        return config.close().then(() => {
+            assert.deepStrictEqual(readJSON(file), { a: 1, b: 1 })
+            assert.deepStrictEqual(readJSON(file.replace('.json', '.local.json')), { b: 2 })
+        })
+    })
+
+    it('applies the external changes of each layer', () => {
+        let file = layerFiles({ 'config.json': { a: 1 }, 'config.local.json': {} })
+        let config = new LiveJSON.Layered({ file: file, environment: null, watcher: 'native', reloadDelay: 10 })
+        let changed = nextEvent(config, 'change')
+        fs.writeFileSync(file, '{"a":2}')
+        return changed.then((e) => {
+            assert.strictEqual(e.external, true)
+            assert.strictEqual(config.$.a, 2)
+            return config.close()
+        })
+    })
+
+    it('refuses a writable layer which doesn\'t exist', () => {
+        assert.throws(() => new LiveJSON.Layered({ writable: 'variables' }), /Invalid writable layer "variables"/)
+        assert.throws(() => new LiveJSON.Layered({ writable: 'environment', environment: null }), /without an environment/)
+        assert.throws(() => new LiveJSON.Layered({ local: false }), /when disabled/)
+    })
+})
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const LiveJSON = require('../index')
+const { tmpdir, wait, nextEvent, readJSON } = require('./helpers')
+
+/**
+ * Count the native watchers of the process
+ */
+function watchers() {
+    return process.getActiveResourcesInfo().filter((name) => name === 'FSEventWrap').length
+}
+
+describe('lifecycle', () => {
+    it('reloads the file when it is changed outside', () => {
+        let file = path.join(tmpdir(), 'config.json')
+        fs.writeFileSync(file, '{"a":1}')
+        let live = new LiveJSON({}, { file: file, watcher: 'native' })
+        let changed = nextEvent(live, 'change')
+        fs.writeFileSync(file, '{"a":2}')
+        return changed.then((e) => {
+            assert.strictEqual(e.external, true)
+            assert.strictEqual(live.$.a, 2)
+            return live.close()
+        })
+    })
+
+    it('writes the pending changes on close(), then emits close', () => {
+        let file = path.join(tmpdir(), 'config.json')
+        let live = new LiveJSON({}, { file: file, saveDelay: 10000 })
+        let closed = false
+        live.on('close', () => {
+            closed = true
+        })
+        live.$.a = 1
+        return live.close().then(() => {
+            assert.strictEqual(closed, true)
+            assert.strictEqual(live.closed, true)
+            assert.deepStrictEqual(readJSON(file), { a: 1 })
+            // Same promise when called again
+            assert.strictEqual(live.close(), live.close())
+        })
+    })
+
+    it('doesn\'t reload while paused, and reloads the changes made meanwhile on resume()', () => {
+        let file = path.join(tmpdir(), 'config.json')
+        fs.writeFileSync(file, '{"a":1}')
+        let live = new LiveJSON({}, { file: file, watcher: 'native', reloadDelay: 10 })
+        live.pause()
+        fs.writeFileSync(file, '{"a":2}')
+        return wait(100).then(() => {
+            assert.strictEqual(live.$.a, 1)
+            live.resume()
+            assert.strictEqual(live.$.a, 2)
+            return live.close()
+        })
+    })
+
+    it('shares one watcher between the files of a directory, and closes it with the last one', () => {
+        let dir = tmpdir()
+        let before, a, b
+        // The watchers of the other tests are closed in the background
+        return wait(20).then(() => {
+            before = watchers()
+            a = new LiveJSON({}, { file: path.join(dir, 'a.json'), watcher: 'native' })
+            b = new LiveJSON({}, { file: path.join(dir, 'b.json'), watcher: 'native' })
+            assert.strictEqual(watchers(), before + 1)
+            return a.close()
+        }).then(() => b.close()).then(() => wait(20)).then(() => {
+            assert.strictEqual(watchers(), before)
+        })
+    })
+})
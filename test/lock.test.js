@@ -0,0 +1,138 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+const LiveJSON = require('../index')
+const Lock = require('../lib/lock')
+const { tmpdir, readJSON } = require('./helpers')
+
+/**
+ * Get the pid of a process which has exited
+ */
+function deadPid() {
+    return spawnSync(process.execPath, ['-e', '']).pid
+}
+
+describe('Lock', () => {
+    it('creates the lockfile with its owner, and removes it on the last release', () => {
+        let file = path.join(tmpdir(), 'config.json.lock')
+        let lock = new Lock(file)
+        return lock.acquire().then(() => lock.acquire()).then(() => {
+            let owner = JSON.parse(fs.readFileSync(file, 'utf8'))
+            assert.strictEqual(owner.pid, process.pid)
+            assert.strictEqual(owner.host, os.hostname())
+            lock.release()
+            assert.strictEqual(fs.existsSync(file), true)
+            lock.release()
+            assert.strictEqual(fs.existsSync(file), false)
+        })
+    })
+
+    it('waits for the other owner, and gives up after the timeout', () => {
+        let file = path.join(tmpdir(), 'config.json.lock')
+        let first = new Lock(file)
+        let second = new Lock(file, { retryDelay: 5, timeout: 50 })
+        return first.acquire().then(() => second.acquire()).then(() => assert.fail('locked twice'), (err) => {
+            assert.strictEqual(err.code, 'ELOCKED')
+            assert.match(err.message, new RegExp(`held by process ${process.pid}`))
+            setTimeout(() => first.release(), 20)
+            return second.acquire()
+        }).then(() => {
+            assert.strictEqual(second.holders, 1)
+            second.release()
+        })
+    })
+
+    it('takes over the locks of the dead processes and the locks not refreshed', () => {
+        let file = path.join(tmpdir(), 'config.json.lock')
+        fs.writeFileSync(file, JSON.stringify({ pid: deadPid(), host: os.hostname(), time: Date.now() }))
+        let lock = new Lock(file, { timeout: 100 })
+        return lock.acquire().then(() => {
+            lock.release()
+            fs.writeFileSync(file, 'not a lock')
+            let old = new Date(Date.now() - 60000)
+            fs.utimesSync(file, old, old)
+            return lock.acquire()
+        }).then(() => {
+            assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).pid, process.pid)
+            lock.release()
+        })
+    })
+
+    it('doesn\'t take over the lock of a live process', () => {
+        let file = path.join(tmpdir(), 'config.json.lock')
+        fs.writeFileSync(file, JSON.stringify({ pid: process.ppid, host: os.hostname(), time: Date.now() }))
+        let lock = new Lock(file, { retryDelay: 5, timeout: 30 })
+        return lock.acquire().then(() => assert.fail('locked'), (err) => {
+            assert.strictEqual(err.code, 'ELOCKED')
+        })
+    })
+})
+
+describe('lock option', () => {
+    it('runs withLock() one at a time, on the latest contents of the file', () => {
+        let file = path.join(tmpdir(), 'counter.json')
+        fs.writeFileSync(file, '{"n":0}')
+        let options = { file: file, lock: { retryDelay: 5 }, autoload: false }
+        let a = new LiveJSON({}, options)
+        let b = new LiveJSON({}, options)
+        let increments = []
+        for (let i = 0; i < 5; i++) {
+            increments.push(a.withLock((data) => {
+                data.n++
+            }))
+            increments.push(b.withLock((data) => {
+                data.n++
+            }))
+        }
+        return Promise.all(increments).then(() => {
+            assert.deepStrictEqual(readJSON(file), { n: 10 })
+            assert.strictEqual(fs.existsSync(`${file}.lock`), false)
+            return Promise.all([a.close(), b.close()])
+        })
+    })
+
+    it('merges the changes of the other processes before writing', () => {
+        let file = path.join(tmpdir(), 'config.json')
+        fs.writeFileSync(file, '{}')
+        let options = { file: file, lock: true, autoload: false }
+        let a = new LiveJSON({}, options)
+        let b = new LiveJSON({}, options)
+        a.$.a = 1
+        b.$.b = 1
+        return Promise.all([a.flush(), b.flush()]).then(() => {
+            assert.deepStrictEqual(readJSON(file), { a: 1, b: 1 })
+        })
+    })
+
+    it('loses the increments made outside withLock(), and resolves the conflicts with the conflict option', () => {
+        let file = path.join(tmpdir(), 'counter.json')
+        fs.writeFileSync(file, '{"n":0}')
+        let a = new LiveJSON({}, { file: file, lock: true, autoload: false })
+        let b = new LiveJSON({}, { file: file, lock: true, autoload: false })
+        let ours = new LiveJSON({}, { file: file, lock: true, autoload: false, conflict: 'ours' })
+        let conflicts = []
+        ours.on('conflict', (e) => conflicts.push(e.conflicts.map((c) => [c.fullname, c.base, c.ours, c.theirs])))
+        a.$.n++
+        b.$.n++
+        return a.flush().then(() => b.flush()).then(() => {
+            // Both read 0 and wrote 1, there is no conflict to tell
+            assert.deepStrictEqual(readJSON(file), { n: 1 })
+            ours.$.n += 10
+            return ours.flush()
+        }).then(() => {
+            assert.deepStrictEqual(conflicts, [[['n', 0, 10, 1]]])
+            assert.deepStrictEqual(readJSON(file), { n: 10 })
+            return Promise.all([a.close(), b.close(), ours.close()])
+        })
+    })
+
+    it('needs the lock option for withLock()', () => {
+        let live = new LiveJSON({}, true)
+        return live.withLock(() => {}).then(() => assert.fail('ran'), (err) => {
+            assert.match(err.message, /needs the lock option/)
+        })
+    })
+})
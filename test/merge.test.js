@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const LiveJSON = require('../index')
+const { merge } = require('../lib/merge')
+const { tmpdir, wait, readJSON } = require('./helpers')
+
+describe('merge', () => {
+    it('keeps the changes of both sides', () => {
+        let result = merge({ a: 1, b: 1, c: 1 }, { a: 2, b: 1, d: 1 }, { a: 1, b: 1, e: 1 }, () => assert.fail('conflict'))
+        assert.deepStrictEqual(result, { value: { a: 2, b: 1, d: 1, e: 1 }, conflicts: [] })
+        result = merge({ a: 1, b: 1 }, { a: 1 }, { a: 1, b: 1 }, () => assert.fail('conflict'))
+        assert.deepStrictEqual(result.value, { a: 1 })
+    })
+
+    it('calls the resolver for the values changed on both sides', () => {
+        let result = merge({ a: 1, list: [1] }, { a: 2, list: [1, 2] }, { a: 3, list: [0, 1] }, (c) => c.ours)
+        assert.deepStrictEqual(result.value, { a: 2, list: [1, 2] })
+        assert.deepStrictEqual(result.conflicts, [
+            { segments: ['a'], base: 1, ours: 2, theirs: 3, value: 2 },
+            { segments: ['list'], base: [1], ours: [1, 2], theirs: [0, 1], value: [1, 2] }
+        ])
+        // A removal against a change, undefined removes the key
+        result = merge({ a: 1 }, {}, { a: 2 }, (c) => c.ours)
+        assert.deepStrictEqual(result.value, {})
+        assert.strictEqual(result.conflicts[0].ours, undefined)
+    })
+
+    it('merges the objects added on both sides', () => {
+        let result = merge({}, { db: { host: 'a' } }, { db: { port: 1 } }, () => assert.fail('conflict'))
+        assert.deepStrictEqual(result.value, { db: { host: 'a', port: 1 } })
+    })
+})
+
+describe('changes of the file not written yet', () => {
+    it('merges the file changed during the save delay before writing', () => {
+        let file = path.join(tmpdir(), 'config.json')
+        fs.writeFileSync(file, '{"a":1}')
+        let live = new LiveJSON({}, { file: file, saveDelay: 10, reloadDelay: 50, watcher: 'native' })
+        fs.writeFileSync(file, '{"a":1,"b":"EXTERNAL"}')
+        live.$.a = 'local'
+        return live.flush().then(() => {
+            assert.deepStrictEqual(readJSON(file), { a: 'local', b: 'EXTERNAL' })
+            assert.strictEqual(live.$.b, 'EXTERNAL')
+            return wait(80)
+        }).then(() => {
+            assert.deepStrictEqual(readJSON(file), { a: 'local', b: 'EXTERNAL' })
+            return live.close()
+        })
+    })
+
+    it('keeps the value of the file on a conflict by default, and emits conflict', () => {
+        let storage = new LiveJSON.MemoryStorage({ 'config.json': '{"a":1}' })
+        let live = new LiveJSON({}, { file: 'config.json', storage: storage, saveDelay: 1000 })
+        let conflicts = []
+        live.on('conflict', (e) => conflicts.push(e))
+        live.$.a = 'local'
+        storage.write('config.json', '{"a":"theirs"}')
+        return live.flush().then(() => {
+            assert.deepStrictEqual(JSON.parse(storage.read('config.json')), { a: 'theirs' })
+            assert.strictEqual(live.$.a, 'theirs')
+            assert.deepStrictEqual(conflicts.map((e) => [e.type, e.fullnames, e.resolution]), [['conflict', ['a'], 'theirs']])
+            assert.deepStrictEqual(conflicts[0].conflicts[0], { fullname: 'a', segments: ['a'], base: 1, ours: 'local', theirs: 'theirs', value: 'theirs' })
+            return live.close()
+        })
+    })
+
+    it('resolves the conflicts with the conflict option', () => {
+        let storage = new LiveJSON.MemoryStorage({ 'config.json': '{"a":1,"b":1}' })
+        let ours = new LiveJSON({}, { file: 'config.json', storage: storage, conflict: 'ours' })
+        let custom = new LiveJSON({}, {
+            file: 'config.json',
+            storage: storage,
+            conflict: (c) => c.fullname === 'a' ? c.ours + c.theirs : undefined
+        })
+        ours.$.a = 2
+        storage.write('config.json', '{"a":3,"b":1}')
+        return ours.flush().then(() => {
+            assert.deepStrictEqual(JSON.parse(storage.read('config.json')), { a: 2, b: 1 })
+            custom.$.a = 10
+            custom.$.b = 10
+            storage.write('config.json', '{"a":5,"b":5}')
+            return custom.flush()
+        }).then(() => {
+            assert.deepStrictEqual(JSON.parse(storage.read('config.json')), { a: 15 })
+            return Promise.all([ours.close(), custom.close()])
+        })
+    })
+
+    it('reads the file before writing only while following its changes, or with the lock', () => {
+        let file = path.join(tmpdir(), 'config.json')
+        fs.writeFileSync(file, '{"a":1}')
+        let following = new LiveJSON({}, { file: file, watcher: 'poll', pollInterval: 10000 })
+        let ignoring = new LiveJSON({}, { file: file, autoload: false })
+        let locked = new LiveJSON({}, { file: file, autoload: false, lock: true })
+        following.$.b = 1
+        fs.writeFileSync(file, '{"a":1,"c":1}')
+        // Before the watcher reloads it
+        return following.flush().then(() => {
+            assert.deepStrictEqual(readJSON(file), { a: 1, b: 1, c: 1 })
+            ignoring.$.d = 1
+            return ignoring.flush()
+        }).then(() => {
+            assert.deepStrictEqual(readJSON(file), { a: 1, d: 1 })
+            locked.$.e = 1
+            return locked.flush()
+        }).then(() => {
+            assert.deepStrictEqual(readJSON(file), { a: 1, d: 1, e: 1 })
+            following.pause()
+            following.$.f = 1
+            return following.flush()
+        }).then(() => {
+            assert.deepStrictEqual(readJSON(file), { a: 1, b: 1, c: 1, f: 1 })
+            return Promise.all([following.close(), ignoring.close(), locked.close()])
+        })
+    })
+})
@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const LiveJSON = require('../index')
+const { tmpdir, until, readJSON } = require('./helpers')
+
+const MIGRATIONS = {
+    3: (data) => {
+        data.db.port = Number(data.db.port)
+    },
+    2: (data) => {
+        data.db = { host: data.dbHost, port: data.dbPort }
+        delete data.dbHost
+        delete data.dbPort
+    }
+}
+
+/**
+ * Create a file in a new directory
+ * @param {String} [contents] nothing to not create it
+ */
+function createFile(contents) {
+    let file = path.join(tmpdir(), 'config.json')
+    if (contents !== undefined) {
+        fs.writeFileSync(file, contents)
+    }
+    return file
+}
+
+/**
+ * Storage reading and writing asynchronously in a MemoryStorage
+ * @param {Object} contents
+ */
+function asyncStorage(contents) {
+    let memory = new LiveJSON.MemoryStorage(contents)
+    return {
+        memory: memory,
+        read: (key) => Promise.resolve(memory.read(key)),
+        write: (key, text) => Promise.resolve(memory.write(key, text)),
+        stat: (key) => Promise.resolve(memory.stat(key))
+    }
+}
+
+describe('migrations', () => {
+    it('upgrades the file on load, and backs up the original one', () => {
+        let file = createFile('{"dbHost":"h","dbPort":"5432"}')
+        let migrated = []
+        let live = new LiveJSON({}, { file: file, migrations: MIGRATIONS, autoload: false })
+        live.on('migrated', (e) => migrated.push(e))
+        assert.deepStrictEqual(JSON.parse(live.toString()), { db: { host: 'h', port: 5432 }, version: 3 })
+        return live.ready.then(() => {
+            assert.deepStrictEqual(migrated.map((e) => [e.from, e.to, e.backup]), [[1, 3, `${file}.v1`]])
+            assert.strictEqual(fs.readFileSync(`${file}.v1`, 'utf8'), '{"dbHost":"h","dbPort":"5432"}')
+            assert.deepStrictEqual(readJSON(file), { db: { host: 'h', port: 5432 }, version: 3 })
+        })
+    })
+
+    it('keeps the backups of the previous migrations from the same version', () => {
+        let file = createFile('{"dbHost":"first","dbPort":"1"}')
+        let first = new LiveJSON({}, { file: file, migrations: MIGRATIONS, autoload: false })
+        return first.ready.then(() => first.close()).then(() => {
+            fs.writeFileSync(file, '{"dbHost":"second","dbPort":"2"}')
+            let second = new LiveJSON({}, { file: file, migrations: MIGRATIONS, autoload: false })
+            let migrated = []
+            second.on('migrated', (e) => migrated.push(e.backup))
+            return second.ready.then(() => {
+                assert.deepStrictEqual(migrated, [`${file}.v1.1`])
+                return second.close()
+            })
+        }).then(() => {
+            assert.strictEqual(fs.readFileSync(`${file}.v1`, 'utf8'), '{"dbHost":"first","dbPort":"1"}')
+            assert.strictEqual(fs.readFileSync(`${file}.v1.1`, 'utf8'), '{"dbHost":"second","dbPort":"2"}')
+            assert.deepStrictEqual(readJSON(file), { db: { host: 'second', port: 2 }, version: 3 })
+        })
+    })
+
+    it('upgrades the file on an external reload', () => {
+        let file = createFile('{"version":3,"db":{"host":"a","port":1}}')
+        let live = new LiveJSON({}, { file: file, migrations: MIGRATIONS, watcher: 'native', reloadDelay: 10 })
+        fs.writeFileSync(file, '{"version":2,"db":{"host":"b","port":"2"}}')
+        return until(() => live.$.db.host === 'b').then(() => until(() => readJSON(file).db.port === 2)).then(() => {
+            assert.strictEqual(live.$.db.port, 2)
+            assert.strictEqual(fs.readFileSync(`${file}.v2`, 'utf8'), '{"version":2,"db":{"host":"b","port":"2"}}')
+            return live.close()
+        })
+    })
+
+    it('leaves the file untouched when a migration fails', () => {
+        let file = createFile('{"a":1}')
+        let errors = []
+        let live = new LiveJSON({ d: 1 }, { file: file, migrations: { 2: () => { throw new Error('failed') } }, autoload: false })
+        live.on('error', (err) => errors.push(err.message))
+        // The defaults aren't at the latest version, the file wasn't upgraded
+        assert.deepStrictEqual(JSON.parse(live.toString()), { d: 1 })
+        live.$.x = 1
+        return live.flush().then(() => assert.fail('written'), () => {
+            assert.match(errors[0], /Couldn't migrate .* from version 1 to version 2: failed/)
+            assert.strictEqual(fs.readFileSync(file, 'utf8'), '{"a":1}')
+            assert.strictEqual(fs.existsSync(`${file}.v1`), false)
+        })
+    })
+
+    it('sets the latest version on the defaults only when there is no file', () => {
+        let file = createFile()
+        let live = new LiveJSON({ a: 1 }, { file: file, migrations: MIGRATIONS, autoload: false })
+        assert.deepStrictEqual(JSON.parse(live.toString()), { version: 3, a: 1 })
+        let unreadable = createFile('{broken')
+        let other = new LiveJSON({ a: 1 }, { file: unreadable, migrations: MIGRATIONS, autoload: false })
+        other.on('error', () => {})
+        assert.deepStrictEqual(JSON.parse(other.toString()), { a: 1 })
+        let invalid = createFile('{"dbHost":"h","dbPort":"x"}')
+        let schema = { properties: { db: { properties: { port: { type: 'integer' } } } } }
+        let third = new LiveJSON({ a: 1 }, { file: invalid, migrations: MIGRATIONS, schema: schema, autoload: false })
+        third.on('invalid', () => {})
+        assert.strictEqual(third.$.version, undefined)
+    })
+
+    it('sets the latest version with an asynchronous storage once it knows there is no file', () => {
+        let storage = asyncStorage({ 'old.json': '{"a":1}' })
+        let created = new LiveJSON({ a: 1 }, { file: 'new.json', storage: storage, migrations: MIGRATIONS, autoload: false })
+        let old = new LiveJSON({}, { file: 'old.json', storage: storage, migrations: { 2: () => { throw new Error('failed') } }, autoload: false })
+        old.on('error', () => {})
+        return Promise.all([created.ready, old.ready]).then(() => {
+            assert.strictEqual(created.$.version, 3)
+            assert.strictEqual(old.$.version, undefined)
+        })
+    })
+
+    it('refuses the invalid migrations', () => {
+        assert.throws(() => new LiveJSON({}, { migrations: { two: () => {} } }), /Invalid migration "two"/)
+        assert.throws(() => new LiveJSON({}, { migrations: { 2: true } }), TypeError)
+    })
+})
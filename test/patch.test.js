@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const LiveJSON = require('../index')
+const patch = require('../lib/patch')
+
+/**
+ * Get the data of a LiveJSON
+ * @param {LiveJSON} live
+ */
+function data(live) {
+    return JSON.parse(live.toString())
+}
+
+describe('JSON Pointer', () => {
+    it('escapes ~ and /', () => {
+        assert.strictEqual(patch.toPointer(['a', 'b/c', 'd~e', 0]), '/a/b~1c/d~0e/0')
+        assert.deepStrictEqual(patch.fromPointer('/a/b~1c/d~0e/0'), ['a', 'b/c', 'd~e', '0'])
+        assert.deepStrictEqual(patch.fromPointer(''), [])
+        assert.throws(() => patch.fromPointer('a/b'), /Invalid JSON Pointer/)
+    })
+})
+
+describe('patch.diff', () => {
+    let cases = [
+        [{ a: 1, b: 2 }, { a: 1, c: 3 }],
+        [{ a: { b: [1, 2, 3] } }, { a: { b: [1, 3] } }],
+        [[1, 2, 3], [0, 1, 2, 3, 4]],
+        [[{ id: 1 }, { id: 2 }], [{ id: 1, x: true }]],
+        [{ a: [1] }, { a: { 0: 1 } }],
+        [{ 'a/b': 1, 'c~d': 2 }, { 'a/b': 2 }],
+        [1, 'one']
+    ]
+    cases.forEach(([from, to], i) => {
+        it(`gives a patch transforming the first value into the second one (${i})`, () => {
+            let live = new LiveJSON({ value: from }, true)
+            live.applyPatch(patch.diff(from, to, ['value']))
+            assert.deepStrictEqual(data(live).value, to)
+        })
+    })
+
+    it('gives no operation for equal values', () => {
+        assert.deepStrictEqual(patch.diff({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), [])
+    })
+})
+
+describe('applyPatch()', () => {
+    it('applies every operation of RFC 6902', () => {
+        let live = new LiveJSON({ a: { b: 1 }, list: [1, 2, 3], c: 'x' }, true)
+        live.applyPatch([
+            { op: 'add', path: '/a/c', value: 2 },
+            { op: 'add', path: '/list/1', value: 'inserted' },
+            { op: 'add', path: '/list/-', value: 'last' },
+            { op: 'remove', path: '/list/0' },
+            { op: 'replace', path: '/c', value: { d: 1 } },
+            { op: 'move', from: '/a/b', path: '/moved' },
+            { op: 'copy', from: '/c', path: '/copy' },
+            { op: 'test', path: '/copy/d', value: 1 }
+        ])
+        assert.deepStrictEqual(data(live), {
+            a: { c: 2 },
+            list: ['inserted', 2, 3, 'last'],
+            c: { d: 1 },
+            moved: 1,
+            copy: { d: 1 }
+        })
+        // The copy is not shared with the original
+        live.$.copy.d = 2
+        assert.strictEqual(live.$.c.d, 1)
+    })
+
+    it('applies nothing when an operation fails', () => {
+        let live = new LiveJSON({ a: 1, list: [1] }, true)
+        let changes = 0
+        live.on('change', () => changes++)
+        let failing = [
+            [{ op: 'test', path: '/a', value: 2 }, /the value is different/],
+            [{ op: 'remove', path: '/missing' }, /the value doesn't exist/],
+            [{ op: 'add', path: '/x/y', value: 1 }, /the parent doesn't exist/],
+            [{ op: 'add', path: '/list/5', value: 1 }, /invalid array index/],
+            [{ op: 'replace', path: '/list/-', value: 1 }, /invalid array index/],
+            [{ op: 'move', from: '/list', path: '/list/0' }, /can't be moved into itself/],
+            [{ op: 'remove', path: '' }, /the root can't be removed/]
+        ]
+        failing.forEach(([op, message]) => {
+            assert.throws(() => live.applyPatch([{ op: 'replace', path: '/a', value: 'changed' }, op]), (e) => {
+                return e instanceof LiveJSON.PatchError && e.index === 1 && message.test(e.message)
+            })
+        })
+        assert.deepStrictEqual(data(live), { a: 1, list: [1] })
+        assert.strictEqual(changes, 0)
+    })
+
+    it('refuses malformed patches', () => {
+        let live = new LiveJSON({}, true)
+        assert.throws(() => live.applyPatch({ op: 'add' }), /must be an array/)
+        assert.throws(() => live.applyPatch([{ op: 'merge', path: '/a' }]), /unknown op "merge"/)
+        assert.throws(() => live.applyPatch([{ op: 'add', path: '/a' }]), /has no value/)
+        assert.throws(() => live.applyPatch([{ op: 'copy', path: '/a' }]), /has no from/)
+    })
+})
+
+describe('patch events', () => {
+    it('emits the operations of each change, which can be applied to a copy', () => {
+        let live = new LiveJSON({ a: { b: 1 }, list: [3, 1, 2] }, true)
+        let copy = new LiveJSON(data(live), true)
+        let events = []
+        live.on('patch', (e) => {
+            events.push(e)
+            copy.applyPatch(e.operations)
+        })
+        live.$.a.b = 2
+        live.$.a.c = [1]
+        delete live.$.a.b
+        live.$.list.push(4)
+        live.$.list.splice(0, 1)
+        live.$.list.sort()
+        live.$.list.unshift(0)
+        live.set({ replaced: true, list: [] })
+        assert.strictEqual(events.every((e) => e.type === 'patch' && e.external === false), true)
+        assert.deepStrictEqual(events[0].operations, [{ op: 'replace', path: '/a/b', value: 2 }])
+        assert.deepStrictEqual(data(copy), data(live))
+    })
+})
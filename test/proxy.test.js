@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const LiveJSON = require('../index')
+
+/**
+ * Create a LiveJSON without file, collecting its propchange events
+ * @param {*} data
+ */
+function create(data) {
+    let live = new LiveJSON(data, true)
+    live.events = []
+    live.on('propchange', (e) => live.events.push(e))
+    return live
+}
+
+describe('changes tracking', () => {
+    it('emits the removals', () => {
+        let live = create({ a: 1, b: { c: 2 } })
+        delete live.$.b.c
+        delete live.$.missing
+        assert.deepStrictEqual(live.events.map((e) => [e.fullname, e.removed, e.oldValue]), [['b.c', true, 2]])
+        assert.deepStrictEqual(JSON.parse(live.toString()), { a: 1, b: {} })
+    })
+
+    it('tracks defineProperty, and refuses accessors', () => {
+        let live = create({})
+        Object.defineProperty(live.$, 'a', { value: 1, enumerable: true, writable: true, configurable: true })
+        assert.deepStrictEqual(live.events.map((e) => [e.fullname, e.value]), [['a', 1]])
+        assert.throws(() => Object.defineProperty(live.$, 'b', { get: () => 1, enumerable: true }), TypeError)
+        assert.strictEqual('b' in live.$, false)
+    })
+
+    it('stores the assigned objects raw, and tracks the changes made in them', () => {
+        let live = create({})
+        let db = { host: 'a', ports: [1] }
+        live.$.db = db
+        // The assigned object is copied
+        db.host = 'changed'
+        assert.strictEqual(live.$.db.host, 'a')
+        live.$.db.host = 'b'
+        live.$.db.ports.push(2)
+        assert.deepStrictEqual(live.events.map((e) => e.fullname), ['db', 'db.host', 'db.ports'])
+        assert.deepStrictEqual(JSON.parse(live.toString()), { db: { host: 'b', ports: [1, 2] } })
+    })
+
+    it('stores a live object assigned to another path as a copy', () => {
+        let live = create({ a: { x: 1 } })
+        live.$.b = live.$.a
+        live.$.b.x = 2
+        assert.strictEqual(live.$.a.x, 1)
+        assert.strictEqual(live.$.b.x, 2)
+    })
+
+    it('ignores the assignments which change nothing', () => {
+        let live = create({ a: 1 })
+        live.$.a = 1
+        assert.strictEqual(live.events.length, 0)
+    })
+})
@@ -0,0 +1,140 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const LiveJSON = require('../index')
+const { writeFileAtomic } = require('../lib/storage/fs')
+const { tmpdir, wait, readJSON } = require('./helpers')
+
+/**
+ * Memory storage counting its writes
+ * @param {Object} [contents]
+ */
+function countingStorage(contents) {
+    let storage = new LiveJSON.MemoryStorage(contents)
+    let write = storage.write
+    storage.writes = 0
+    storage.write = function(key, text) {
+        this.writes++
+        return write.call(this, key, text)
+    }
+    return storage
+}
+
+describe('autosave', () => {
+    it('writes a burst of changes once', () => {
+        let storage = countingStorage()
+        let live = new LiveJSON({}, { file: 'config.json', storage: storage })
+        live.$.a = 1
+        live.$.b = 2
+        live.$.c = [1]
+        live.$.c.push(2)
+        return live.flush().then(() => {
+            assert.strictEqual(storage.writes, 1)
+            assert.deepStrictEqual(JSON.parse(storage.read('config.json')), { a: 1, b: 2, c: [1, 2] })
+        })
+    })
+
+    it('waits for saveDelay without changes, but no more than saveMaxDelay', () => {
+        let storage = countingStorage()
+        let live = new LiveJSON({ n: 0 }, { file: 'config.json', storage: storage, saveDelay: 40, saveMaxDelay: 100 })
+        let timer = setInterval(() => live.$.n++, 10)
+        return wait(150).then(() => {
+            // Changes never stopped for 40ms, they were written after 100ms
+            assert.strictEqual(storage.writes, 1)
+            clearInterval(timer)
+            return live.close()
+        }).then(() => {
+            assert.strictEqual(JSON.parse(storage.read('config.json')).n, live.$.n)
+        })
+    })
+
+    it('resolves flush() and save() when the data is written', () => {
+        let file = path.join(tmpdir(), 'config.json')
+        let live = new LiveJSON({ a: 1 }, { file: file, saveDelay: 1000, autoload: false })
+        live.$.a = 2
+        return live.flush().then(() => {
+            assert.deepStrictEqual(readJSON(file), { a: 2 })
+            fs.writeFileSync(file, '{}')
+            // Written even without changes
+            return live.save()
+        }).then(() => {
+            assert.deepStrictEqual(readJSON(file), { a: 2 })
+            return live.close()
+        })
+    })
+
+    it('doesn\'t write without autosave until save() is called', () => {
+        let storage = countingStorage()
+        let live = new LiveJSON({}, { file: 'config.json', storage: storage, autosave: false })
+        live.$.a = 1
+        return wait(10).then(() => {
+            assert.strictEqual(storage.writes, 0)
+            return live.save()
+        }).then(() => {
+            assert.strictEqual(storage.writes, 1)
+        })
+    })
+})
+
+describe('atomic writes', () => {
+    it('leaves no temp file and keeps the mode of the file', () => {
+        let dir = tmpdir()
+        let file = path.join(dir, 'config.json')
+        fs.writeFileSync(file, '{}', { mode: 0o600 })
+        fs.chmodSync(file, 0o600)
+        return writeFileAtomic(file, '{"a":1}', 'utf8').then(() => {
+            assert.deepStrictEqual(fs.readdirSync(dir), ['config.json'])
+            assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600)
+            assert.deepStrictEqual(readJSON(file), { a: 1 })
+        })
+    })
+
+    it('syncs the file, then its directory after the rename', () => {
+        let dir = tmpdir()
+        let file = path.join(dir, 'config.json')
+        let fsync = writeFileAtomic.fsync
+        let synced = []
+        writeFileAtomic.fsync = (fd) => {
+            synced.push({ directory: fs.fstatSync(fd).isDirectory(), exists: fs.existsSync(file) })
+            return fsync(fd)
+        }
+        return writeFileAtomic(file, '{}', 'utf8').then(() => {
+            assert.deepStrictEqual(synced, [{ directory: false, exists: false }, { directory: true, exists: true }])
+        }).finally(() => {
+            writeFileAtomic.fsync = fsync
+        })
+    })
+
+    it('ignores the platforms which can\'t sync a directory', () => {
+        let dir = tmpdir()
+        let file = path.join(dir, 'config.json')
+        let fsync = writeFileAtomic.fsync
+        writeFileAtomic.fsync = (fd) => {
+            if (fs.fstatSync(fd).isDirectory()) {
+                let err = new Error('EPERM: operation not permitted, fsync')
+                err.code = 'EPERM'
+                return Promise.reject(err)
+            }
+            return fsync(fd)
+        }
+        return writeFileAtomic(file, '{}', 'utf8').then(() => {
+            assert.deepStrictEqual(readJSON(file), {})
+        }).finally(() => {
+            writeFileAtomic.fsync = fsync
+        })
+    })
+
+    it('removes the temp file when the write fails', () => {
+        let dir = tmpdir()
+        let file = path.join(dir, 'config.json')
+        let rename = writeFileAtomic.rename
+        writeFileAtomic.rename = () => Promise.reject(new Error('rename failed'))
+        return writeFileAtomic(file, '{}', 'utf8').then(() => assert.fail('the write succeeded'), (err) => {
+            assert.strictEqual(err.message, 'rename failed')
+            assert.deepStrictEqual(fs.readdirSync(dir), [])
+        }).finally(() => {
+            writeFileAtomic.rename = rename
+        })
+    })
+})
@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const LiveJSON = require('../index')
+const schema = require('../lib/schema')
+const { tmpdir, nextEvent } = require('./helpers')
+
+const SCHEMA = {
+    type: 'object',
+    required: ['port'],
+    properties: {
+        port: { type: 'integer', minimum: 1, maximum: 65535 },
+        host: { type: 'string', minLength: 1 },
+        tags: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+        mode: { enum: ['dev', 'prod'] }
+    },
+    additionalProperties: false
+}
+
+describe('schema.validate', () => {
+    it('accepts the valid values', () => {
+        assert.deepStrictEqual(schema.validate(SCHEMA, { port: 80, host: 'h', tags: ['a', 'b'], mode: 'dev' }), [])
+    })
+
+    it('lists the errors with their paths', () => {
+        let errors = schema.validate(SCHEMA, { port: 0, host: '', tags: ['a', 'a', 1], mode: 'test', other: true })
+        assert.deepStrictEqual(errors.map((e) => [e.path, e.keyword]), [
+            ['port', 'minimum'],
+            ['host', 'minLength'],
+            ['tags', 'uniqueItems'],
+            ['tags.2', 'type'],
+            ['mode', 'enum'],
+            ['other', 'additionalProperties']
+        ])
+        assert.deepStrictEqual(schema.validate(SCHEMA, {}).map((e) => [e.path, e.keyword]), [['port', 'required']])
+    })
+
+    it('supports $ref and the combinations', () => {
+        let s = {
+            definitions: { positive: { type: 'number', exclusiveMinimum: 0 } },
+            anyOf: [{ $ref: '#/definitions/positive' }, { type: 'string', pattern: '^a' }]
+        }
+        assert.deepStrictEqual(schema.validate(s, 1), [])
+        assert.deepStrictEqual(schema.validate(s, 'abc'), [])
+        assert.strictEqual(schema.validate(s, -1)[0].keyword, 'anyOf')
+        assert.strictEqual(schema.validate({ oneOf: [{ type: 'number' }, { type: 'integer' }] }, 1)[0].keyword, 'oneOf')
+        assert.strictEqual(schema.validate({ not: { type: 'null' } }, null)[0].keyword, 'not')
+    })
+})
+
+describe('LiveJSON with a schema', () => {
+    it('throws a ValidationError on an invalid change, and keeps the value', () => {
+        let live = new LiveJSON({ port: 80 }, { schema: SCHEMA })
+        assert.throws(() => {
+            live.$.port = 'http'
+        }, (e) => e instanceof LiveJSON.ValidationError && e.errors[0].path === 'port')
+        assert.throws(() => live.$.tags = ['a', 'a'], LiveJSON.ValidationError)
+        assert.strictEqual(live.$.port, 80)
+        assert.strictEqual(live.$.tags, undefined)
+    })
+
+    it('refuses invalid changes with an invalid event in refuse mode', () => {
+        let live = new LiveJSON({ port: 80, tags: [] }, { schema: SCHEMA, schemaMode: 'refuse' })
+        let invalid = []
+        live.on('invalid', (e) => invalid.push(e))
+        live.$.port = 70000
+        live.$.tags.push(1)
+        delete live.$.port
+        assert.deepStrictEqual(invalid.map((e) => e.fullname), ['port', 'tags', 'port'])
+        assert.deepStrictEqual(JSON.parse(live.toString()), { port: 80, tags: [] })
+    })
+
+    it('keeps the defaults when the file is invalid', () => {
+        let file = path.join(tmpdir(), 'config.json')
+        fs.writeFileSync(file, '{"port":"x"}')
+        let live = new LiveJSON({ port: 80 }, { file: file, schema: SCHEMA, autoload: false })
+        let invalid = []
+        live.on('invalid', (e) => invalid.push(e))
+        assert.strictEqual(invalid.length, 1)
+        assert.strictEqual(invalid[0].external, true)
+        assert.strictEqual(live.$.port, 80)
+    })
+
+    it('ignores an invalid external change', () => {
+        let file = path.join(tmpdir(), 'config.json')
+        fs.writeFileSync(file, '{"port":80}')
+        let live = new LiveJSON({}, { file: file, schema: SCHEMA, watcher: 'native', reloadDelay: 10 })
+        let invalid = nextEvent(live, 'invalid')
+        fs.writeFileSync(file, '{"port":-1}')
+        return invalid.then((e) => {
+            assert.strictEqual(e.external, true)
+            assert.strictEqual(live.$.port, 80)
+            return live.close()
+        })
+    })
+})
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const util = require('util')
+const LiveJSON = require('../index')
+const { tmpdir, readJSON } = require('./helpers')
+
+const SECRETS = { secrets: ['db.password', 'apiKeys.*'], secretKey: 'passphrase' }
+
+/**
+ * Create a file in a new directory
+ * @param {Object} contents
+ */
+function createFile(contents) {
+    let file = path.join(tmpdir(), 'config.json')
+    fs.writeFileSync(file, JSON.stringify(contents))
+    return file
+}
+
+describe('secrets', () => {
+    it('encrypts the secret values in the file, and reads them back', () => {
+        let file = createFile({ db: { host: 'h', password: 'plain' }, apiKeys: {} })
+        let live = new LiveJSON({}, Object.assign({ file: file, autoload: false }, SECRETS))
+        assert.strictEqual(live.$.db.password, 'plain')
+        live.$.apiKeys.main = 'key'
+        return live.close().then(() => {
+            let written = readJSON(file)
+            assert.strictEqual(written.db.host, 'h')
+            assert.match(written.db.password, /^enc:v1:/)
+            assert.match(written.apiKeys.main, /^enc:v1:/)
+            let other = new LiveJSON({}, Object.assign({ file: file, autoload: false }, SECRETS))
+            assert.strictEqual(other.$.apiKeys.main, 'key')
+            let wrongKey = new LiveJSON({}, { file: file, autoload: false, secrets: SECRETS.secrets, secretKey: 'other' })
+            let errors = []
+            wrongKey.on('error', (err) => errors.push(err))
+            assert.strictEqual(errors.length, 1)
+        })
+    })
+
+    it('needs a key to read and write a file', () => {
+        assert.throws(() => new LiveJSON({}, { file: 'config.json', secrets: ['a'] }), /needs a key/)
+    })
+
+    it('hides the secret values in the output and the events', () => {
+        let live = new LiveJSON({ db: { password: 'plain' }, apiKeys: {} }, Object.assign({ file: null }, SECRETS))
+        let events = []
+        let collect = (e) => events.push(e)
+        live.on('change', collect)
+        live.on('propchange', collect)
+        live.on('patch', collect)
+        assert.doesNotMatch(util.inspect(live.$, { depth: 5 }), /plain/)
+        assert.doesNotMatch(live.toString(), /plain/)
+        assert.match(live.toString(true), /plain/)
+        live.$.db.password = 'changed'
+        live.$.apiKeys.main = 'key'
+        assert.strictEqual(events.length, 6)
+        assert.doesNotMatch(JSON.stringify(events), /plain|changed|key"/)
+    })
+
+    it('hides the secret values in the events of the keys with brackets or dots', () => {
+        let live = new LiveJSON({ apiKeys: {} }, Object.assign({ file: null }, SECRETS))
+        let events = []
+        live.on('change', (e) => events.push(e))
+        live.on('propchange', (e) => events.push(e))
+        live.$.apiKeys['a[b'] = 'bracket'
+        live.$.apiKeys['x.y'] = 'dot'
+        // Not the secret db.password, only a key with a dot
+        live.$['db.password'] = 'visible'
+        assert.deepStrictEqual(events.map((e) => [e.type, e.segments, e.value]), [
+            ['propchange', ['apiKeys', 'a[b'], '[REDACTED]'],
+            ['change', ['apiKeys', 'a[b'], '[REDACTED]'],
+            ['propchange', ['apiKeys', 'x.y'], '[REDACTED]'],
+            ['change', ['apiKeys', 'x.y'], '[REDACTED]'],
+            ['propchange', ['db.password'], 'visible'],
+            ['change', ['db.password'], 'visible']
+        ])
+        assert.strictEqual(live.$.apiKeys['a[b'], 'bracket')
+    })
+
+    it('hides the secret values given to the watch() callbacks', () => {
+        let live = new LiveJSON({ db: { password: 'plain' }, apiKeys: {} }, Object.assign({ file: null }, SECRETS))
+        let calls = []
+        let collect = (value, oldValue) => calls.push([value, oldValue])
+        live.watch('db.password', collect, { immediate: true })
+        live.watch('db', collect, { deep: true })
+        live.watch('apiKeys.*', collect)
+        live.$.db.password = 'changed'
+        live.$.apiKeys.main = 'key'
+        assert.deepStrictEqual(calls, [
+            ['[REDACTED]', undefined],
+            ['[REDACTED]', '[REDACTED]'],
+            [{ password: '[REDACTED]' }, { password: '[REDACTED]' }],
+            ['[REDACTED]', undefined]
+        ])
+        let revealed = new LiveJSON({ db: { password: 'plain' } }, Object.assign({ file: null, revealSecrets: true }, SECRETS))
+        let values = []
+        revealed.watch('db.password', (value, oldValue) => values.push([value, oldValue]))
+        revealed.$.db.password = 'changed'
+        assert.deepStrictEqual(values, [['changed', 'plain']])
+    })
+})
@@ -0,0 +1,138 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const LiveJSON = require('../index')
+const { log } = require('../lib/util')
+const { tmpdir, until, nextEvent, readJSON } = require('./helpers')
+
+/**
+ * Get the data of a LiveJSON
+ * @param {LiveJSON} live
+ */
+function data(live) {
+    return JSON.parse(live.toString())
+}
+
+/**
+ * Create a server for a new file, listening on a socket
+ * @param {Object} contents the contents of the file
+ * @param {Object} [options] the options of the server
+ * @returns {Promise} resolved with { server, file, socket }
+ */
+function serve(contents, options) {
+    let dir = tmpdir()
+    let file = path.join(dir, 'config.json')
+    let socket = path.join(dir, 'config.sock')
+    fs.writeFileSync(file, JSON.stringify(contents))
+    let server = new LiveJSON({}, Object.assign({ file: file, autoload: false }, options))
+    return server.listen(socket).then(() => ({ server: server, file: file, socket: socket }))
+}
+
+describe('socket sync', () => {
+    it('gives the data of the server to the clients, and shares the changes', () => {
+        let server, file, first, second
+        return serve({ a: 1, list: [1, 2, 3] }).then((s) => {
+            ({ server, file } = s)
+            first = new LiveJSON({ socket: s.socket })
+            second = new LiveJSON({ socket: s.socket })
+            return Promise.all([first.ready, second.ready])
+        }).then(() => {
+            assert.deepStrictEqual(data(first), { a: 1, list: [1, 2, 3] })
+            let changes = []
+            second.on('propchange', (e) => changes.push(e))
+            first.$.a = 2
+            first.$.list.push(4)
+            first.$.list.splice(0, 1)
+            return first.flush().then(() => until(() => second.$.list.length === 3)).then(() => {
+                assert.strictEqual(changes[0].fullname, 'a')
+                assert.strictEqual(changes.every((e) => e.external), true)
+            })
+        }).then(() => {
+            assert.deepStrictEqual(data(server), { a: 2, list: [2, 3, 4] })
+            assert.deepStrictEqual(data(second), data(server))
+            server.$.b = 'server'
+            return until(() => first.$.b === 'server' && second.$.b === 'server')
+        }).then(() => server.flush()).then(() => {
+            assert.deepStrictEqual(readJSON(file), { a: 2, list: [2, 3, 4], b: 'server' })
+            return Promise.all([first.close(), second.close(), server.close()])
+        })
+    })
+
+    it('resyncs a client whose change is refused by the server', () => {
+        let server, client
+        return serve({ a: 1 }, { protect: ['locked'] }).then((s) => {
+            server = s.server
+            client = new LiveJSON({ socket: s.socket })
+            return client.ready
+        }).then(() => {
+            let errors = []
+            client.on('error', (err) => errors.push(err.message))
+            client.$.a = 2
+            client.$.locked = true
+            client.$.a = 3
+            return client.flush().then(() => until(() => errors.length)).then(() => {
+                assert.match(errors[0], /The server refused a change: Can't change locked/)
+            })
+        }).then(() => {
+            assert.strictEqual(server.$.locked, undefined)
+            return until(() => !('locked' in client.$))
+        }).then(() => {
+            assert.deepStrictEqual(data(client), data(server))
+            return Promise.all([client.close(), server.close()])
+        })
+    })
+
+    it('reconnects to a new server, and sends the changes made meanwhile', () => {
+        let server, client, socket, file
+        return serve({ a: 1 }).then((s) => {
+            ({ server, socket, file } = s)
+            client = new LiveJSON({ socket: socket, reconnectDelay: 20 })
+            return client.ready
+        }).then(() => {
+            let disconnected = nextEvent(client, 'disconnect')
+            return server.close().then(() => disconnected)
+        }).then(() => {
+            client.$.offline = true
+            server = new LiveJSON({}, { file: file, autoload: false })
+            return server.listen(socket)
+        }).then(() => until(() => server.$.offline === true)).then(() => {
+            return Promise.all([client.close(), server.close()])
+        })
+    })
+
+    it('refuses a second server on the same socket', () => {
+        let first
+        return serve({}).then((s) => {
+            first = s.server
+            let second = new LiveJSON({}, true)
+            return second.listen(s.socket)
+        }).then(() => assert.fail('listening'), (err) => {
+            assert.match(err.message, /already used by another server/)
+            return first.close()
+        })
+    })
+
+    it('refuses the socket option with a file', () => {
+        assert.throws(() => new LiveJSON({}, { file: 'config.json', socket: 'config.sock' }), /can't read a file and sync with a socket/)
+    })
+})
+
+describe('log', () => {
+    it('logs with the verbosity of LiveJSON.VERBOSE', () => {
+        let logged = []
+        let consoleLog = console.log
+        console.log = (...args) => logged.push(args.join(' '))
+        try {
+            log('hidden')
+            LiveJSON.VERBOSE = 2
+            log('shown')
+            log.$2('shown too')
+            log.$3('hidden')
+        } finally {
+            console.log = consoleLog
+            LiveJSON.VERBOSE = 0
+        }
+        assert.deepStrictEqual(logged, ['shown', 'shown too'])
+    })
+})
@@ -0,0 +1,91 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const LiveJSON = require('../index')
+const { nextEvent, until } = require('./helpers')
+
+/**
+ * A store with the Web Storage API, like localStorage
+ */
+class WebStore {
+    constructor() {
+        this.items = {}
+    }
+
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this.items, key) ? this.items[key] : null
+    }
+
+    setItem(key, value) {
+        this.items[key] = String(value)
+    }
+
+    removeItem(key) {
+        delete this.items[key]
+    }
+}
+
+describe('storages', () => {
+    it('refuses a storage without read, write and stat', () => {
+        assert.throws(() => new LiveJSON({}, { file: 'a', storage: { read() {}, write() {} } }), /must have read, write and stat/)
+        assert.throws(() => new LiveJSON.KeyValueStorage({}), /getItem\/setItem\/removeItem or get\/set\/delete/)
+    })
+
+    it('works with a custom asynchronous storage', () => {
+        let files = { 'config.json': '{"a":1}' }
+        let storage = {
+            read: (key) => Promise.resolve(files[key] === undefined ? null : files[key]),
+            write: (key, contents) => Promise.resolve().then(() => {
+                files[key] = contents
+            }),
+            stat: (key) => Promise.resolve(files[key] === undefined ? null : { size: files[key].length })
+        }
+        let live = new LiveJSON({}, { file: 'config.json', storage: storage, backups: 1 })
+        return nextEvent(live, 'change').then(() => {
+            assert.strictEqual(live.$.a, 1)
+            live.$.a = 2
+            return live.flush()
+        }).then(() => {
+            assert.deepStrictEqual(JSON.parse(files['config.json']), { a: 2 })
+            // Backed up with read and write
+            assert.deepStrictEqual(JSON.parse(files['config.json.1']), { a: 1 })
+            return live.close()
+        })
+    })
+
+    it('shares the changes between the objects of a MemoryStorage', () => {
+        let storage = new LiveJSON.MemoryStorage({ 'config.json': '{"a":1}' })
+        let first = new LiveJSON({}, { file: 'config.json', storage: storage, reloadDelay: 1 })
+        let second = new LiveJSON({}, { file: 'config.json', storage: storage, reloadDelay: 1 })
+        first.$.a = 2
+        return first.flush().then(() => until(() => second.$.a === 2)).then(() => {
+            assert.deepStrictEqual(storage.toJSON(), { 'config.json': '{\n  "a": 2\n}' })
+            return Promise.all([first.close(), second.close()])
+        })
+    })
+
+    it('sees the changes made directly in the store when polling', () => {
+        let store = new WebStore()
+        store.setItem('config', '{"a":1}')
+        let storage = new LiveJSON.KeyValueStorage(store, { interval: 5 })
+        let live = new LiveJSON({}, { file: 'config', storage: storage, codec: 'json', reloadDelay: 1 })
+        assert.strictEqual(live.$.a, 1)
+        store.setItem('config', '{"a":2}')
+        return until(() => live.$.a === 2).then(() => {
+            live.$.b = true
+            return live.flush()
+        }).then(() => {
+            assert.deepStrictEqual(JSON.parse(store.getItem('config')), { a: 2, b: true })
+            return live.close()
+        })
+    })
+
+    it('gives the versions of the keys in stat()', () => {
+        let storage = new LiveJSON.MemoryStorage({ a: 'one' })
+        let before = storage.stat('a')
+        storage.write('a', 'two')
+        assert.notStrictEqual(storage.stat('a').version, before.version)
+        assert.strictEqual(storage.stat('a').size, 3)
+        storage.remove('a')
+        assert.strictEqual(storage.stat('a'), null)
+    })
+})
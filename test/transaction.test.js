@@ -0,0 +1,225 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const LiveJSON = require('../index')
+const { wait, until } = require('./helpers')
+
+describe('transaction()', () => {
+    it('emits one change event for all the changes', () => {
+        let live = new LiveJSON({ a: 1, b: 1 }, true)
+        let changes = []
+        let propchanges = []
+        live.on('change', (e) => changes.push(e))
+        live.on('propchange', (e) => propchanges.push(e))
+        let result = live.transaction(($) => {
+            $.a = 2
+            $.b = 2
+            // Events are sent at the end
+            assert.strictEqual(propchanges.length, 0)
+            return 'done'
+        })
+        assert.strictEqual(result, 'done')
+        assert.strictEqual(changes.length, 1)
+        assert.deepStrictEqual(changes[0].fullnames, ['a', 'b'])
+        assert.strictEqual(propchanges.length, 2)
+    })
+
+    it('rolls back all the changes when fn throws', () => {
+        let live = new LiveJSON({ a: 1, list: [1, 2] }, true)
+        let changes = 0
+        live.on('change', () => changes++)
+        assert.throws(() => live.transaction(($) => {
+            $.a = 2
+            $.list.push(3)
+            delete $.a
+            $.b = { c: 1 }
+            throw new Error('failed')
+        }), /failed/)
+        assert.deepStrictEqual(JSON.parse(live.toString()), { a: 1, list: [1, 2] })
+        assert.strictEqual(changes, 0)
+    })
+
+    it('makes the nested transactions part of the parent one', () => {
+        let live = new LiveJSON({}, true)
+        let changes = 0
+        live.on('change', () => changes++)
+        live.transaction(($) => {
+            $.a = 1
+            live.transaction(() => {
+                $.b = 1
+            })
+            live.applyPatch([{ op: 'add', path: '/c', value: 1 }])
+        })
+        assert.strictEqual(changes, 1)
+        assert.deepStrictEqual(JSON.parse(live.toString()), { a: 1, b: 1, c: 1 })
+    })
+
+    it('validates only the final state', () => {
+        let schema = { type: 'object', properties: { min: { type: 'number' }, max: { type: 'number' } }, required: ['min', 'max'] }
+        let live = new LiveJSON({ min: 0, max: 1 }, { schema: schema })
+        live.transaction(($) => {
+            delete $.min
+            $.min = 5
+            $.max = 10
+        })
+        assert.throws(() => live.transaction(($) => {
+            $.min = 'x'
+        }), LiveJSON.ValidationError)
+        assert.deepStrictEqual(JSON.parse(live.toString()), { min: 5, max: 10 })
+    })
+})
+
+describe('asynchronous transaction()', () => {
+    it('commits the changes made after an await, once done', () => {
+        let live = new LiveJSON({ a: 1 }, true)
+        let changes = []
+        live.on('change', (e) => changes.push(e))
+        return live.transaction(async ($) => {
+            $.a = 2
+            await wait(5)
+            $.b = 3
+            return 'done'
+        }).then((result) => {
+            assert.strictEqual(result, 'done')
+            assert.strictEqual(changes.length, 1)
+            assert.deepStrictEqual(changes[0].fullnames, ['a', 'b'])
+        })
+    })
+
+    it('refuses the changes made by other code while it runs', () => {
+        let live = new LiveJSON({ a: 1, y: 0, list: [] }, true)
+        live.$.y = 1
+        let running = live.transaction(async ($) => {
+            $.a = 2
+            await wait(20)
+            throw new Error('failed')
+        })
+        assert.throws(() => {
+            live.$.y = 2
+        }, /Can't change y while a transaction is running/)
+        assert.throws(() => live.$.list.push(1), /while a transaction is running/)
+        assert.throws(() => live.set({ y: 3 }), /while a transaction is running/)
+        assert.throws(() => live.transaction(() => {}), /A transaction is already running/)
+        assert.throws(() => live.undo(), /while a transaction is running/)
+        return running.then(() => assert.fail('committed'), (err) => {
+            assert.strictEqual(err.message, 'failed')
+            assert.deepStrictEqual(JSON.parse(live.toString()), { a: 1, y: 1, list: [] })
+            // Allowed again
+            live.$.y = 2
+            assert.strictEqual(live.$.y, 2)
+        })
+    })
+
+    it('validates the changes made by other code once it is done', () => {
+        let live = new LiveJSON({ n: 1 }, { schema: { properties: { n: { type: 'number' } } } })
+        return live.transaction(async ($) => {
+            await wait(1)
+            $.n = 2
+        }).then(() => {
+            assert.throws(() => {
+                live.$.n = 'x'
+            }, LiveJSON.ValidationError)
+        })
+    })
+
+    it('writes the file once it is done, never in between', () => {
+        let storage = new LiveJSON.MemoryStorage()
+        let live = new LiveJSON({}, { file: 'config.json', storage: storage })
+        live.$.before = true
+        let written = []
+        let write = storage.write
+        storage.write = (key, text) => {
+            written.push(JSON.parse(text))
+            return write.call(storage, key, text)
+        }
+        return live.transaction(async ($) => {
+            $.a = 1
+            await wait(20)
+            $.b = 1
+        }).then(() => live.flush()).then(() => {
+            assert.deepStrictEqual(written, [{ before: true, a: 1, b: 1 }])
+        })
+    })
+
+    it('reloads the changes of the file once it is done', () => {
+        let storage = new LiveJSON.MemoryStorage({ 'config.json': '{"a":1}' })
+        let live = new LiveJSON({}, { file: 'config.json', storage: storage, reloadDelay: 1 })
+        let other = new LiveJSON({}, { file: 'config.json', storage: storage, reloadDelay: 1 })
+        let reloaded = false
+        return live.transaction(async () => {
+            other.$.a = 2
+            await other.flush()
+            await wait(20)
+            reloaded = live.$.a === 2
+        }).then(() => {
+            assert.strictEqual(reloaded, false)
+            return until(() => live.$.a === 2)
+        })
+    })
+
+    it('loads and runs without AsyncLocalStorage, like on old Node versions', () => {
+        let asyncHooks = require('async_hooks')
+        let AsyncLocalStorage = asyncHooks.AsyncLocalStorage
+        let index = require.resolve('../index')
+        let cached = require.cache[index]
+        let Legacy
+        asyncHooks.AsyncLocalStorage = undefined
+        delete require.cache[index]
+        try {
+            Legacy = require('../index')
+        } finally {
+            asyncHooks.AsyncLocalStorage = AsyncLocalStorage
+            require.cache[index] = cached
+        }
+        let live = new Legacy({ a: 1, b: 1 }, true)
+        let changes = []
+        live.on('change', (e) => changes.push(e.fullnames))
+        live.transaction(($) => {
+            $.a = 2
+            live.transaction(() => {
+                $.b = 2
+            })
+        })
+        return live.transaction(async ($) => {
+            await wait(1)
+            $.a = 3
+            // Can't be told apart from the changes of the transaction
+            live.$.b = 3
+        }).then(() => {
+            assert.deepStrictEqual(changes, [['a', 'b'], ['a', 'b']])
+            assert.deepStrictEqual(JSON.parse(live.toString()), { a: 3, b: 3 })
+        })
+    })
+})
+
+describe('undo() and redo()', () => {
+    it('undoes and redoes the changes and the transactions', () => {
+        let live = new LiveJSON({ a: 1, list: [1] }, true)
+        live.$.a = 2
+        live.transaction(($) => {
+            $.list.push(2)
+            $.b = 1
+        })
+        assert.strictEqual(live.undo(), true)
+        assert.deepStrictEqual(JSON.parse(live.toString()), { a: 2, list: [1] })
+        assert.strictEqual(live.undo(), true)
+        assert.deepStrictEqual(JSON.parse(live.toString()), { a: 1, list: [1] })
+        assert.strictEqual(live.undo(), false)
+        assert.strictEqual(live.redo(), true)
+        assert.strictEqual(live.redo(), true)
+        assert.strictEqual(live.redo(), false)
+        assert.deepStrictEqual(JSON.parse(live.toString()), { a: 2, list: [1, 2], b: 1 })
+    })
+
+    it('forgets the redo stack on a new change, and keeps the history option', () => {
+        let live = new LiveJSON({ n: 0 }, { history: 2 })
+        live.$.n = 1
+        live.$.n = 2
+        live.$.n = 3
+        live.undo()
+        live.undo()
+        assert.strictEqual(live.undo(), false)
+        assert.strictEqual(live.$.n, 1)
+        live.$.n = 10
+        assert.strictEqual(live.redo(), false)
+    })
+})
@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const LiveJSON = require('../index')
+const jsonPath = require('../lib/path')
+
+/**
+ * Watch a pattern, collecting the calls
+ * @param {LiveJSON} live
+ * @param {String} pattern
+ * @param {Object} [options]
+ * @returns {Array} the calls as [fullname, value, oldValue]
+ */
+function collect(live, pattern, options) {
+    let calls = []
+    live.watch(pattern, (value, oldValue, e) => calls.push([e.fullname, value, oldValue]), options)
+    return calls
+}
+
+describe('paths', () => {
+    it('parses and formats the paths', () => {
+        assert.deepStrictEqual(jsonPath.parse('db.*.hosts[0]'), ['db', '*', 'hosts', 0])
+        assert.deepStrictEqual(jsonPath.parse(['a', 'b']), ['a', 'b'])
+        assert.strictEqual(jsonPath.format(['db', 'main', 'hosts', 0]), 'db.main.hosts.0')
+    })
+
+    it('matches the wildcards', () => {
+        assert.strictEqual(jsonPath.match(['db', '*', 'host'], ['db', 'main', 'host']), true)
+        assert.strictEqual(jsonPath.match(['db', '*', 'host'], ['db', 'host']), false)
+        assert.strictEqual(jsonPath.match(['**', 'host'], ['host']), true)
+        assert.strictEqual(jsonPath.match(['**', 'host'], ['a', 'b', 'host']), true)
+        assert.strictEqual(jsonPath.isPrefix(['list', 1], ['list', '1', 'a']), true)
+        assert.strictEqual(jsonPath.isPrefix(['list', 1, 'a'], ['list', 1]), false)
+    })
+})
+
+describe('watch()', () => {
+    it('calls the subscriptions matching the changed values', () => {
+        let live = new LiveJSON({ db: { main: { host: 'a' }, backup: { host: 'b' } } }, true)
+        let calls = collect(live, 'db.*.host')
+        live.$.db.main.host = 'c'
+        live.$.db.backup.port = 1
+        live.$.db.other = { host: 'd' }
+        delete live.$.db.backup
+        assert.deepStrictEqual(calls, [
+            ['db.main.host', 'c', 'a'],
+            ['db.other.host', 'd', undefined],
+            ['db.backup.host', undefined, 'b']
+        ])
+    })
+
+    it('matches any depth with **', () => {
+        let live = new LiveJSON({ a: { b: { host: 1 } } }, true)
+        let calls = collect(live, '**.host')
+        live.$.a.b.host = 2
+        live.$.host = 3
+        assert.deepStrictEqual(calls, [['a.b.host', 2, 1], ['host', 3, undefined]])
+    })
+
+    it('calls the deep subscriptions for the changes inside the value', () => {
+        let live = new LiveJSON({ db: { host: 'a' } }, true)
+        let shallow = collect(live, 'db')
+        let deep = collect(live, 'db', { deep: true })
+        live.$.db.host = 'b'
+        assert.deepStrictEqual(shallow, [])
+        assert.deepStrictEqual(deep, [['db', { host: 'b' }, { host: 'a' }]])
+    })
+
+    it('calls the subscription now with immediate', () => {
+        let live = new LiveJSON({ db: { main: { host: 'a' }, backup: { host: 'b' } } }, true)
+        let calls = collect(live, 'db.*.host', { immediate: true })
+        assert.deepStrictEqual(calls, [['db.main.host', 'a', undefined], ['db.backup.host', 'b', undefined]])
+    })
+
+    it('gives the values moved by the insertions and the removals in arrays', () => {
+        let live = new LiveJSON({ list: [{ id: 1 }, { id: 2 }, { id: 3 }] }, true)
+        let calls = collect(live, 'list.*.id')
+        live.$.list.splice(0, 1)
+        assert.deepStrictEqual(calls, [
+            ['list.0.id', 2, 1],
+            ['list.1.id', 3, 2],
+            ['list.2.id', undefined, 3]
+        ])
+        calls.length = 0
+        live.$.list.unshift({ id: 0 })
+        assert.deepStrictEqual(calls, [
+            ['list.0.id', 0, 2],
+            ['list.1.id', 2, 3],
+            ['list.2.id', 3, undefined]
+        ])
+    })
+
+    it('calls each subscription once per change in a transaction', () => {
+        let live = new LiveJSON({ a: 1 }, true)
+        let calls = collect(live, 'a')
+        live.transaction(($) => {
+            $.a = 2
+            $.a = 3
+        })
+        assert.deepStrictEqual(calls, [['a', 3, 1]])
+    })
+
+    it('stops calling the subscription once removed', () => {
+        let live = new LiveJSON({ a: 1 }, true)
+        let calls = []
+        let unwatch = live.watch('a', (value) => calls.push(value))
+        live.$.a = 2
+        unwatch()
+        unwatch()
+        live.$.a = 3
+        assert.deepStrictEqual(calls, [2])
+    })
+})
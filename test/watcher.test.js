@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const EventEmitter = require('events')
+const LiveJSON = require('../index')
+const { hash } = require('../lib/util')
+const { tmpdir, wait, until, nextEvent } = require('./helpers')
+
+/**
+ * Create a file in a new directory
+ * @param {String} contents
+ */
+function createFile(contents) {
+    let file = path.join(tmpdir(), 'config.json')
+    fs.writeFileSync(file, contents)
+    return file
+}
+
+/**
+ * Write a file until a condition is true, the first poll of fs.watchFile can already see the first write
+ * @param {String} file
+ * @param {String} contents
+ * @param {Function} condition
+ */
+function writeUntil(file, contents, condition) {
+    fs.writeFileSync(file, contents)
+    let timer = setInterval(() => fs.writeFileSync(file, contents), 50)
+    return until(condition).then(() => clearInterval(timer), (err) => {
+        clearInterval(timer)
+        throw err
+    })
+}
+
+/**
+ * Close a LiveJSON once a promise is settled, so a failed test doesn't keep watching
+ * @param {LiveJSON} live
+ * @param {Promise} promise
+ */
+function closeAfter(live, promise) {
+    return promise.then(() => live.close(), (err) => live.close().then(() => {
+        throw err
+    }))
+}
+
+describe('watchers', () => {
+    it('reloads the file with the poll watcher', () => {
+        let file = createFile('{"a":1}')
+        let live = new LiveJSON({}, { file: file, watcher: 'poll', pollInterval: 10, reloadDelay: 1 })
+        return closeAfter(live, writeUntil(file, '{"a":2}', () => live.$.a === 2))
+    })
+
+    it('polls in auto mode when the native watcher gets no events', () => {
+        let file = createFile('{"a":1}')
+        let watch = fs.watch
+        // A watcher which works but never tells anything, like on NFS
+        fs.watch = () => Object.assign(new EventEmitter(), { close() {} })
+        let live
+        try {
+            live = new LiveJSON({}, { file: file, watcher: 'auto', pollInterval: 10, reloadDelay: 1 })
+        } finally {
+            fs.watch = watch
+        }
+        return closeAfter(live, writeUntil(file, '{"a":2}', () => live.$.a === 2))
+    })
+
+    it('reloads once for several events, and not for the same contents', () => {
+        let file = createFile('{"a":1}')
+        let live = new LiveJSON({}, { file: file, watcher: 'native', reloadDelay: 30 })
+        let changes = 0
+        live.on('change', () => changes++)
+        fs.writeFileSync(file, '{"a":2}')
+        fs.writeFileSync(file, '{"a":3}')
+        fs.appendFileSync(file, ' ')
+        return until(() => live.$.a === 3).then(() => {
+            let now = new Date()
+            fs.utimesSync(file, now, now)
+            fs.writeFileSync(file, '{"a":3} ')
+            return wait(80)
+        }).then(() => {
+            assert.strictEqual(changes, 1)
+            return live.close()
+        })
+    })
+
+    it('follows the files replaced by a rename, like editors do', () => {
+        let file = createFile('{"a":1}')
+        let live = new LiveJSON({}, { file: file, watcher: 'native', reloadDelay: 10 })
+        fs.writeFileSync(`${file}.swp`, '{"a":2}')
+        fs.renameSync(`${file}.swp`, file)
+        return until(() => live.$.a === 2).then(() => {
+            fs.writeFileSync(`${file}.swp`, '{"a":3}')
+            fs.renameSync(`${file}.swp`, file)
+            return until(() => live.$.a === 3)
+        }).then(() => live.close())
+    })
+
+    it('emits unlink and add when the file is removed and created again', () => {
+        let file = createFile('{"a":1}')
+        let live = new LiveJSON({}, { file: file, watcher: 'native', reloadDelay: 10 })
+        let unlink = nextEvent(live, 'unlink')
+        fs.unlinkSync(file)
+        return unlink.then((e) => {
+            assert.strictEqual(e.file, file)
+            // The data is kept
+            assert.strictEqual(live.$.a, 1)
+            let add = nextEvent(live, 'add')
+            fs.writeFileSync(file, '{"a":2}')
+            return add
+        }).then(() => until(() => live.$.a === 2)).then(() => live.close())
+    })
+
+    it('refuses an unknown watcher', () => {
+        assert.throws(() => new LiveJSON.FileStorage({ watcher: 'inotify' }), /Invalid watcher "inotify"/)
+    })
+
+    it('gives the hash of the contents as the version of a key-value storage', () => {
+        let storage = new LiveJSON.MemoryStorage({ a: 'contents' })
+        assert.strictEqual(storage.stat('a').version, hash('contents'))
+    })
+})